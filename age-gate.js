@@ -0,0 +1,275 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Age gate shown before Sage accepts a question or renders results.
+//
+// The minimum age comes from the jurisdiction profile (`minimumAge`, see jurisdiction-rules.js).
+// The customer's answer is kept in sessionStorage under `sageAgeGate`:
+//   { status: 'verified' | 'declined', method: 'self' | 'staff', minimumAge, jurisdiction, at }
+// A decline blocks both pages for the rest of the session. With KIOSK_MODE 'in-store', staff
+// can verify a customer (or lift a decline) by entering the staff PIN; config holds only
+// its SHA-256 hash (AGE_GATE_STAFF_PIN_SHA256).
+
+const AGE_GATE_STORAGE_KEY = 'sageAgeGate';
+const DEFAULT_MINIMUM_AGE = 21;
+
+function readAgeGateState(storage) {
+  try {
+    const state = JSON.parse(storage?.getItem(AGE_GATE_STORAGE_KEY) || 'null');
+    return state && typeof state === 'object' ? state : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function recordAgeGateChoice(storage, { status, method = 'self', minimumAge, jurisdiction = null }) {
+  const state = { status, method, minimumAge, jurisdiction, at: Date.now() };
+  storage?.setItem(AGE_GATE_STORAGE_KEY, JSON.stringify(state));
+  return state;
+}
+
+// 'verified' | 'declined' | 'required'. A verification only counts for the minimum age it was
+// given at (a store that raises its age asks again) and, with ttlMinutes, until it expires.
+function ageGateStatus(state, { minimumAge = DEFAULT_MINIMUM_AGE, ttlMinutes = null, now = Date.now() } = {}) {
+  if (!state) return 'required';
+  if (state.status === 'declined') return 'declined';
+  if (state.status !== 'verified' || !(state.minimumAge >= minimumAge)) return 'required';
+  if (Number.isFinite(ttlMinutes) && ttlMinutes > 0 && now - state.at > ttlMinutes * 60000) return 'required';
+  return 'verified';
+}
+
+// Web Crypto only exists on secure origins (https or localhost); a kiosk served over plain
+// http on the LAN has no crypto.subtle, so the staff PIN can't be checked there
+function canCheckStaffPin() {
+  return Boolean(globalThis.crypto?.subtle);
+}
+
+async function sha256Hex(text) {
+  if (!canCheckStaffPin()) throw new Error('crypto.subtle is unavailable (page is not a secure origin)');
+  const bytes = new TextEncoder().encode(String(text));
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function checkStaffPin(pin, expectedHash) {
+  if (!pin || !expectedHash) return false;
+  return (await sha256Hex(pin.trim())) === String(expectedHash).toLowerCase();
+}
+
+// Browser UI: a full-page overlay that keeps the page locked until the gate is passed.
+// options.config: object with get(key); options.loadProfile: async () => jurisdiction profile
+class AgeGate {
+  constructor({ storage, config, loadProfile } = {}) {
+    this.storage = storage || (typeof sessionStorage !== 'undefined' ? sessionStorage : null);
+    this.config = config || null;
+    this.loadProfile = loadProfile || (async () => null);
+    this.profile = null;
+    this.overlay = null;
+    this.waiting = null;
+  }
+
+  setting(key, fallback) {
+    const value = this.config ? this.config.get(key) : undefined;
+    return value === undefined || value === null ? fallback : value;
+  }
+
+  get minimumAge() {
+    return this.profile?.minimumAge || DEFAULT_MINIMUM_AGE;
+  }
+
+  get inStore() {
+    return this.setting('KIOSK_MODE', 'web') === 'in-store';
+  }
+
+  status() {
+    if (!this.setting('AGE_GATE_ENABLED', true)) return 'verified';
+    return ageGateStatus(readAgeGateState(this.storage), {
+      minimumAge: this.minimumAge,
+      ttlMinutes: this.setting('AGE_GATE_TTL_MINUTES', null)
+    });
+  }
+
+  // Resolves once the gate is passed; a declined session stays locked and never resolves
+  async require() {
+    if (!this.profile) {
+      try {
+        this.profile = await this.loadProfile();
+      } catch (error) {
+        console.warn('Age gate: jurisdiction profile unavailable, using default minimum age:', error?.message || error);
+      }
+    }
+    if (this.status() === 'verified') {
+      this.unlock();
+      return;
+    }
+    if (!this.waiting) {
+      this.waiting = new Promise((resolve) => { this.resolveWaiting = resolve; });
+    }
+    this.lock();
+    if (this.status() === 'declined') this.renderDeclined();
+    else this.renderPrompt();
+    return this.waiting;
+  }
+
+  pass(method) {
+    recordAgeGateChoice(this.storage, {
+      status: 'verified',
+      method,
+      minimumAge: this.minimumAge,
+      jurisdiction: this.profile?.id || null
+    });
+    console.info(`Age gate passed (${method}, ${this.minimumAge}+)`);
+    this.unlock();
+    if (this.resolveWaiting) this.resolveWaiting();
+    this.waiting = null;
+  }
+
+  decline() {
+    recordAgeGateChoice(this.storage, {
+      status: 'declined',
+      minimumAge: this.minimumAge,
+      jurisdiction: this.profile?.id || null
+    });
+    console.info('Age gate declined; session blocked');
+    this.renderDeclined();
+  }
+
+  lock() {
+    document.body.classList.add('age-gate-locked');
+    if (!this.overlay) {
+      this.overlay = document.createElement('div');
+      this.overlay.className = 'age-gate';
+      this.overlay.setAttribute('role', 'dialog');
+      this.overlay.setAttribute('aria-modal', 'true');
+      document.body.appendChild(this.overlay);
+    }
+  }
+
+  unlock() {
+    document.body.classList.remove('age-gate-locked');
+    if (this.overlay) this.overlay.remove();
+    this.overlay = null;
+  }
+
+  renderPanel(title, message, buttons) {
+    this.overlay.innerHTML = '';
+    const panel = document.createElement('div');
+    panel.className = 'age-gate-panel';
+    const heading = document.createElement('h2');
+    heading.className = 'age-gate-title';
+    heading.textContent = title;
+    const text = document.createElement('p');
+    text.className = 'age-gate-text';
+    text.textContent = message;
+    const actions = document.createElement('div');
+    actions.className = 'age-gate-actions';
+    buttons.forEach(({ label, className, onClick }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      actions.appendChild(button);
+    });
+    panel.append(heading, text, actions);
+    this.overlay.appendChild(panel);
+    this.overlay.setAttribute('aria-labelledby', 'age-gate-title');
+    heading.id = 'age-gate-title';
+    actions.querySelector('button')?.focus();
+    return panel;
+  }
+
+  staffButton() {
+    return { label: 'Staff verify', className: 'age-gate-staff', onClick: () => this.renderStaffForm() };
+  }
+
+  renderPrompt() {
+    const age = this.minimumAge;
+    const buttons = [
+      { label: `Yes, I'm ${age} or older`, className: 'age-gate-confirm', onClick: () => this.pass('self') },
+      { label: 'No', className: 'age-gate-decline', onClick: () => this.decline() }
+    ];
+    if (this.inStore) buttons.push(this.staffButton());
+    this.renderPanel(`Are you ${age} or older?`, `You must be ${age} or older to use Sage and view products.`, buttons);
+  }
+
+  renderDeclined() {
+    const buttons = this.inStore ? [this.staffButton()] : [];
+    this.renderPanel(
+      'Sorry, Sage is not available',
+      `You must be ${this.minimumAge} or older to use Sage and view products.`,
+      buttons
+    );
+  }
+
+  // Staff checks ID, then enters the store PIN on the kiosk
+  renderStaffForm() {
+    const panel = this.renderPanel('Staff verification', `Confirm the customer's ID shows they are ${this.minimumAge} or older, then enter the staff PIN.`, [
+      { label: 'Verify', className: 'age-gate-confirm', onClick: () => submit() },
+      { label: 'Back', className: 'age-gate-decline', onClick: () => (this.status() === 'declined' ? this.renderDeclined() : this.renderPrompt()) }
+    ]);
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.inputMode = 'numeric';
+    input.autocomplete = 'off';
+    input.className = 'age-gate-pin';
+    input.setAttribute('aria-label', 'Staff PIN');
+    const error = document.createElement('p');
+    error.className = 'age-gate-error';
+    error.hidden = true;
+    panel.insertBefore(input, panel.querySelector('.age-gate-actions'));
+    panel.insertBefore(error, panel.querySelector('.age-gate-actions'));
+    input.focus();
+
+    const unavailable = () => {
+      error.textContent = 'Staff override is unavailable on this connection.';
+      error.hidden = false;
+    };
+    if (!canCheckStaffPin()) unavailable();
+
+    const submit = async () => {
+      let ok;
+      try {
+        ok = await checkStaffPin(input.value, this.setting('AGE_GATE_STAFF_PIN_SHA256', ''));
+      } catch (e) {
+        console.warn('Age gate: staff PIN could not be checked:', e?.message || e);
+        unavailable();
+        return;
+      }
+      if (ok) {
+        this.pass('staff');
+      } else {
+        console.warn('Age gate: staff PIN rejected');
+        error.textContent = 'That PIN was not accepted.';
+        error.hidden = false;
+        input.value = '';
+        input.focus();
+      }
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submit();
+    });
+  }
+}
+
+const SageAgeGate = {
+  AGE_GATE_STORAGE_KEY,
+  DEFAULT_MINIMUM_AGE,
+  readAgeGateState,
+  recordAgeGateChoice,
+  ageGateStatus,
+  canCheckStaffPin,
+  sha256Hex,
+  checkStaffPin,
+  AgeGate
+};
+
+if (typeof window !== 'undefined') {
+  window.SageAgeGate = SageAgeGate;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageAgeGate;
+}
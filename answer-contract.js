@@ -0,0 +1,213 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Sage answer contract: the JSON shape the model answers in, requested through Ollama's
+// `format` option and validated here before anything renders.
+//
+//   {
+//     "version": 1,
+//     "sections": {
+//       "introduction":  { "text": "...", "bullets": ["..."] },
+//       "coreTopic":     { ... }, "whyThisWorks": { ... }, "whatToExpect": { ... }, "gettingStarted": { ... }
+//     },
+//     "dosingSteps": [{ "instruction": "...", "amount": "2.5mg", "waitMinutes": 120 }],
+//     "productIds": ["apotheca-thca-hemp-flower-indica"]
+//   }
+//
+// Bump ANSWER_CONTRACT_VERSION when the shape changes. Replies that aren't valid JSON
+// (older Ollama builds, cached answers, fallbacks) go through the [MARKER] parser instead.
+
+const ANSWER_CONTRACT_VERSION = 1;
+const ANSWER_SECTION_KEYS = ['introduction', 'coreTopic', 'whyThisWorks', 'whatToExpect', 'gettingStarted'];
+
+const ANSWER_LIMITS = {
+  sectionText: 2000,
+  bullets: 6,
+  bulletText: 300,
+  dosingSteps: 6,
+  productIds: 10
+};
+
+// `text` comes first in each section so partial JSON can be rendered while it streams
+const ANSWER_SECTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    bullets: { type: 'array', items: { type: 'string' }, maxItems: ANSWER_LIMITS.bullets }
+  },
+  required: ['text', 'bullets']
+};
+
+const ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    version: { type: 'integer', enum: [ANSWER_CONTRACT_VERSION] },
+    sections: {
+      type: 'object',
+      properties: Object.fromEntries(ANSWER_SECTION_KEYS.map(key => [key, ANSWER_SECTION_SCHEMA])),
+      required: ANSWER_SECTION_KEYS
+    },
+    dosingSteps: {
+      type: 'array',
+      maxItems: ANSWER_LIMITS.dosingSteps,
+      items: {
+        type: 'object',
+        properties: {
+          instruction: { type: 'string' },
+          amount: { type: 'string' },
+          waitMinutes: { type: 'number', minimum: 0 }
+        },
+        required: ['instruction']
+      }
+    },
+    productIds: { type: 'array', items: { type: 'string' }, maxItems: ANSWER_LIMITS.productIds }
+  },
+  required: ['version', 'sections', 'dosingSteps', 'productIds']
+};
+
+const PRODUCT_ID_PATTERN = /^[A-Za-z0-9][\w.:-]{0,63}$/;
+
+function cleanText(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+// Check an untrusted answer object. Returns { ok, answer, problems }; ok needs the current
+// version and at least one non-empty section. Fields outside the contract are dropped.
+function validateAnswer(candidate) {
+  const problems = [];
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { ok: false, answer: null, problems: ['answer is not an object'] };
+  }
+  if (candidate.version !== ANSWER_CONTRACT_VERSION) {
+    return { ok: false, answer: null, problems: [`unsupported version ${JSON.stringify(candidate.version)}`] };
+  }
+
+  const sections = {};
+  ANSWER_SECTION_KEYS.forEach((key) => {
+    const raw = candidate.sections?.[key];
+    const text = cleanText(typeof raw === 'string' ? raw : raw?.text, ANSWER_LIMITS.sectionText);
+    const bullets = Array.isArray(raw?.bullets)
+      ? raw.bullets.map(b => cleanText(b, ANSWER_LIMITS.bulletText)).filter(Boolean).slice(0, ANSWER_LIMITS.bullets)
+      : [];
+    if (!text) problems.push(`sections.${key}: missing text`);
+    sections[key] = { text, bullets };
+  });
+
+  const dosingSteps = (Array.isArray(candidate.dosingSteps) ? candidate.dosingSteps : [])
+    .map((step) => {
+      const instruction = cleanText(step?.instruction, ANSWER_LIMITS.bulletText);
+      if (!instruction) return null;
+      const wait = Number(step.waitMinutes);
+      return {
+        instruction,
+        amount: cleanText(step.amount, 40) || null,
+        waitMinutes: Number.isFinite(wait) && wait >= 0 ? wait : null
+      };
+    })
+    .filter(Boolean)
+    .slice(0, ANSWER_LIMITS.dosingSteps);
+
+  const rawIds = Array.isArray(candidate.productIds) ? candidate.productIds : [];
+  const productIds = [...new Set(rawIds.map(id => String(id).trim()).filter(id => PRODUCT_ID_PATTERN.test(id)))]
+    .slice(0, ANSWER_LIMITS.productIds);
+  if (productIds.length < rawIds.length) problems.push('productIds: invalid or duplicate IDs dropped');
+
+  const ok = ANSWER_SECTION_KEYS.some(key => sections[key].text);
+  if (!ok) problems.push('no section has text');
+  return { ok, answer: { version: ANSWER_CONTRACT_VERSION, sections, dosingSteps, productIds }, problems };
+}
+
+// Some models wrap JSON in ```json fences even under `format`
+function stripCodeFence(text) {
+  return String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+}
+
+function looksLikeJsonAnswer(text) {
+  return stripCodeFence(text).startsWith('{');
+}
+
+// Parse a raw model reply; returns { ok, answer, problems } like validateAnswer
+function parseAnswer(raw) {
+  if (raw && typeof raw === 'object') return validateAnswer(raw);
+  if (!looksLikeJsonAnswer(raw)) return { ok: false, answer: null, problems: ['not a JSON answer'] };
+  try {
+    return validateAnswer(JSON.parse(stripCodeFence(raw)));
+  } catch (error) {
+    return { ok: false, answer: null, problems: [`invalid JSON: ${error.message}`] };
+  }
+}
+
+// Decode a JSON string body that may be cut off mid-escape
+function decodeJsonString(body) {
+  const safe = body.replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+  try {
+    return JSON.parse(`"${safe}"`);
+  } catch (_) {
+    return safe;
+  }
+}
+
+// Section texts seen so far in a JSON answer that is still streaming (or was cut off)
+function partialAnswerSections(text) {
+  const source = stripCodeFence(text);
+  const sections = {};
+  ANSWER_SECTION_KEYS.forEach((key) => {
+    const match = source.match(new RegExp(`"${key}"\\s*:\\s*\\{\\s*"text"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+    if (match) sections[key] = decodeJsonString(match[1]).trim();
+  });
+  return sections;
+}
+
+// Section key → text, the shape the products page populate* methods take
+function sectionTexts(answer) {
+  const texts = {};
+  ANSWER_SECTION_KEYS.forEach((key) => {
+    texts[key] = answer?.sections?.[key]?.text || '';
+  });
+  return texts;
+}
+
+// Marker-formatted rendering of an answer, for consumers that read free text
+function answerToText(answer) {
+  const markers = {
+    introduction: 'INTRODUCTION',
+    coreTopic: 'CORE_TOPIC',
+    whyThisWorks: 'WHY_THIS_WORKS',
+    whatToExpect: 'WHAT_TO_EXPECT',
+    gettingStarted: 'GETTING_STARTED'
+  };
+  return ANSWER_SECTION_KEYS.map((key) => {
+    const section = answer.sections[key];
+    const lines = [`[${markers[key]}]`, section.text, ...section.bullets.map(b => `- ${b}`)];
+    if (key === 'gettingStarted') {
+      answer.dosingSteps.forEach((step, i) => {
+        const amount = step.amount ? ` (${step.amount})` : '';
+        const wait = step.waitMinutes !== null ? ` Wait ${step.waitMinutes} minutes.` : '';
+        lines.push(`${i + 1}. ${step.instruction.replace(/[.!]+$/, '')}${amount}.${wait}`);
+      });
+    }
+    return lines.filter(Boolean).join('\n');
+  }).join('\n\n');
+}
+
+const SageAnswerContract = {
+  ANSWER_CONTRACT_VERSION,
+  ANSWER_SECTION_KEYS,
+  ANSWER_SCHEMA,
+  validateAnswer,
+  parseAnswer,
+  looksLikeJsonAnswer,
+  partialAnswerSections,
+  sectionTexts,
+  answerToText
+};
+
+if (typeof window !== 'undefined') {
+  window.SageAnswerContract = SageAnswerContract;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageAnswerContract;
+}
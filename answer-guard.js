@@ -0,0 +1,239 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Hallucination guard: a post-processing pass over the model's answer that pulls out
+// strain and product names and checks them against the loaded inventory. Names Sage
+// doesn't carry are marked "(not available here)" or rewritten to a generic phrase,
+// and every check is logged so the team can see how often the model wanders off-menu.
+//
+// Candidates come from three places:
+//   - well-known strain names (KNOWN_STRAIN_NAMES), matched case-sensitively
+//   - capitalized names ending in a strain word ("Lemon Haze", "Tahoe OG")
+//   - capitalized names ending in a product word ("Wana Gummies", "Stiiizy Pod")
+// [[id]] references are left alone; they're resolved against the shown products.
+
+const GUARD_MODES = ['mark', 'rewrite', 'off'];
+const UNAVAILABLE_NOTE = '(not available here)';
+const GUARD_LOG_KEY = 'sageAnswerGuardLog';
+const GUARD_LOG_LIMIT = 200;
+
+const KNOWN_STRAIN_NAMES = [
+  'Blue Dream', 'OG Kush', 'Sour Diesel', 'Girl Scout Cookies', 'GSC', 'Granddaddy Purple',
+  'Northern Lights', 'Jack Herer', 'Green Crack', 'Pineapple Express', 'White Widow',
+  'Gorilla Glue', 'GG4', 'Wedding Cake', 'Purple Haze', 'Durban Poison', 'Bubba Kush',
+  'AK-47', 'Trainwreck', 'Super Lemon Haze', 'Harlequin', 'ACDC', "Charlotte's Web",
+  'Zkittlez', 'Gelato', 'Runtz', 'Do-Si-Dos', 'Sunset Sherbet', 'Strawberry Cough',
+  'Tangie', 'Maui Wowie', 'Blue Cheese', 'Purple Punch', 'Ice Cream Cake', 'Mimosa',
+  'Cherry Pie', 'Skywalker OG', 'Headband', 'Chemdawg', 'Lemon Haze', 'Blueberry'
+];
+
+const STRAIN_WORDS = ['Kush', 'OG', 'Haze', 'Diesel', 'Cookies', 'Dream', 'Cake', 'Glue', 'Skunk', 'Widow',
+  'Gelato', 'Runtz', 'Sherbet', 'Breath', 'Mints', 'Express', 'Lights', 'Cheese', 'Cough', 'Punch'];
+const PRODUCT_WORDS = ['Gummies', 'Gummy', 'Chocolate', 'Chocolates', 'Tincture', 'Cart', 'Carts', 'Cartridge',
+  'Cartridges', 'Vape', 'Pen', 'Pod', 'Pods', 'Pre-Roll', 'Pre-Rolls', 'Preroll', 'Prerolls', 'Rosin',
+  'Resin', 'Disposable', 'Seltzer', 'Drops', 'Capsules', 'Bar'];
+
+// Capitalized words that start a sentence or an instruction rather than a name
+const LEADING_WORDS = new Set(['A', 'An', 'The', 'Try', 'Our', 'Your', 'This', 'That', 'These', 'Those',
+  'Consider', 'Choose', 'Pick', 'Grab', 'Start', 'Begin', 'Look', 'Like', 'With', 'For', 'If', 'When',
+  'Or', 'And', 'Some', 'Many', 'Most', 'Classic', 'Popular', 'Strains', 'Strain', 'Products']);
+
+// Words that don't make a name specific ("THCa Hemp Flower" is every product here)
+const GENERIC_WORDS = new Set(['thca', 'thc', 'cbd', 'hemp', 'flower', 'strain', 'the', 'a', 'of', 'and', '-']);
+
+const NAME_RUN = /(?:[A-Z][\w'’-]*|#\d+)(?:\s+(?:[A-Z][\w'’-]*|#\d+))*/g;
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// What the inventory knows about: normalized names/strains/ids plus every word in them
+function buildInventoryIndex(catalog) {
+  const phrases = [];
+  const words = new Set();
+  (catalog || []).forEach((product) => {
+    [product.name, product.strain, product.brand, product.id].forEach((value) => {
+      const text = normalize(value);
+      if (!text) return;
+      phrases.push(text);
+      text.split(' ').forEach(word => words.add(word));
+    });
+  });
+  return { phrases, words, size: (catalog || []).length };
+}
+
+// A name is carried when it appears inside an inventory name/strain, or when every specific
+// word in it does ("Apotheca Indica" matches "Apotheca THCa Hemp Flower - Indica")
+function isKnownName(name, index) {
+  const text = normalize(name);
+  if (!text) return true;
+  if (index.phrases.some(phrase => ` ${phrase} `.includes(` ${text} `))) return true;
+  const specific = text.split(' ').filter(word => !GENERIC_WORDS.has(word));
+  return specific.length > 0 && specific.every(word => index.words.has(word));
+}
+
+// Candidate names in one piece of text: [{ name, kind: 'strain' | 'product' }], deduped
+function extractNamedMentions(text) {
+  const source = String(text || '');
+  const found = new Map();
+  const add = (name, kind) => {
+    if (!found.has(name)) found.set(name, { name, kind });
+  };
+
+  KNOWN_STRAIN_NAMES.forEach((name) => {
+    if (new RegExp(`(^|[^\\w])${escapeRegExp(name)}(?![\\w])`).test(source)) add(name, 'strain');
+  });
+
+  for (const match of source.matchAll(NAME_RUN)) {
+    const words = match[0].split(/\s+/);
+    while (words.length > 0 && LEADING_WORDS.has(words[0])) words.shift();
+    if (words.length < 2) continue;
+    const last = words[words.length - 1];
+    const name = words.join(' ');
+    if (STRAIN_WORDS.includes(last)) add(name, 'strain');
+    else if (PRODUCT_WORDS.includes(last)) add(name, 'product');
+  }
+
+  // "Super Lemon Haze" also contains "Lemon Haze"; keep the longest name only
+  const names = [...found.keys()];
+  return [...found.values()].filter(m => !names.some(other => other !== m.name && other.includes(m.name)));
+}
+
+// Check and fix one text. Returns { text, checks: [{ name, kind, status, action }] }.
+// mark: first mention becomes "Blue Dream (not available here)";
+// rewrite: every mention becomes "a strain not available here".
+function guardText(text, index, { mode = 'mark' } = {}) {
+  const source = String(text || '');
+  if (mode === 'off' || !source) return { text: source, checks: [] };
+
+  let output = source;
+  const checks = extractNamedMentions(source).map((mention) => {
+    const known = isKnownName(mention.name, index);
+    const check = { ...mention, status: known ? 'known' : 'unknown', action: 'none' };
+    if (known) return check;
+
+    const pattern = `(^|[^\\w])(${escapeRegExp(mention.name)})(?![\\w])`;
+    if (mode === 'rewrite') {
+      const phrase = `a ${mention.kind} ${UNAVAILABLE_NOTE.slice(1, -1)}`;
+      output = output.replace(new RegExp(pattern, 'g'), (all, before, name, offset, whole) => {
+        const startsSentence = /(^|[.!?]\s*)$/.test(whole.slice(0, offset) + before);
+        return before + (startsSentence ? phrase.charAt(0).toUpperCase() + phrase.slice(1) : phrase);
+      });
+      check.action = 'rewritten';
+    } else if (!output.includes(`${mention.name} ${UNAVAILABLE_NOTE}`)) {
+      output = output.replace(new RegExp(pattern), `$1$2 ${UNAVAILABLE_NOTE}`);
+      check.action = 'marked';
+    }
+    return check;
+  });
+  return { text: output, checks };
+}
+
+// Guard every text in an answer: { sections: { key: text }, answer?, answerText } as the
+// products page parses it. Returns the same shape plus report { checks, unknown, mode }.
+function guardAnswer(parsed, catalog, options = {}) {
+  const mode = GUARD_MODES.includes(options.mode) ? options.mode : 'mark';
+  const index = buildInventoryIndex(catalog);
+  const checks = [];
+  const guard = (text, where) => {
+    const result = guardText(text, index, { mode });
+    result.checks.forEach(check => checks.push({ ...check, where }));
+    return result.text;
+  };
+
+  // Without inventory there is nothing to check against, so nothing is flagged
+  if (index.size === 0 || mode === 'off') {
+    return { ...parsed, report: { mode, checks, unknown: 0, skipped: true } };
+  }
+
+  const sections = {};
+  Object.entries(parsed.sections || {}).forEach(([key, text]) => {
+    sections[key] = guard(text, key);
+  });
+
+  let answer = parsed.answer || null;
+  if (answer) {
+    const guardedSections = {};
+    Object.entries(answer.sections).forEach(([key, section]) => {
+      guardedSections[key] = {
+        text: sections[key] ?? guard(section.text, key),
+        bullets: section.bullets.map(bullet => guard(bullet, `${key}.bullets`))
+      };
+    });
+    answer = {
+      ...answer,
+      sections: guardedSections,
+      dosingSteps: answer.dosingSteps.map(step => ({ ...step, instruction: guard(step.instruction, 'dosingSteps') }))
+    };
+  }
+
+  // answerText feeds the regex extractors; guard it without logging the same names twice
+  const answerText = guardText(parsed.answerText, index, { mode }).text;
+  const unknown = checks.filter(check => check.status === 'unknown').length;
+  return { ...parsed, sections, answer, answerText, report: { mode, checks, unknown, skipped: false } };
+}
+
+// Log each check to the console and append it to a capped log in storage (localStorage in
+// the browser) so flagged names can be counted across sessions. Returns the stored log.
+function recordGuardChecks(report, { storage, query = '' } = {}) {
+  const checks = report?.checks || [];
+  checks.forEach((check) => {
+    const line = `[answer-guard] ${check.status} ${check.kind} "${check.name}" in ${check.where} → ${check.action}`;
+    if (check.status === 'unknown') console.warn(line);
+    else console.info(line);
+  });
+  if (!storage || checks.length === 0) return readGuardLog(storage);
+
+  const at = new Date().toISOString();
+  const entries = checks.map(({ name, kind, status, action, where }) => ({ at, query, name, kind, status, action, where }));
+  const log = readGuardLog(storage).concat(entries).slice(-GUARD_LOG_LIMIT);
+  try {
+    storage.setItem(GUARD_LOG_KEY, JSON.stringify(log));
+  } catch (error) {
+    console.warn('Could not persist answer guard log:', error.message);
+  }
+  return log;
+}
+
+function readGuardLog(storage) {
+  try {
+    const log = JSON.parse(storage?.getItem(GUARD_LOG_KEY) || '[]');
+    return Array.isArray(log) ? log : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+// Unknown-name counts from the stored log, most frequent first: [{ name, kind, count }]
+function summarizeGuardLog(log) {
+  const counts = new Map();
+  (log || []).filter(entry => entry.status === 'unknown').forEach((entry) => {
+    const current = counts.get(entry.name) || { name: entry.name, kind: entry.kind, count: 0 };
+    current.count += 1;
+    counts.set(entry.name, current);
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+const SageAnswerGuard = {
+  GUARD_MODES,
+  UNAVAILABLE_NOTE,
+  KNOWN_STRAIN_NAMES,
+  buildInventoryIndex,
+  isKnownName,
+  extractNamedMentions,
+  guardText,
+  guardAnswer,
+  recordGuardChecks,
+  readGuardLog,
+  summarizeGuardLog
+};
+
+if (typeof window !== 'undefined') {
+  window.SageAnswerGuard = SageAnswerGuard;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageAnswerGuard;
+}
@@ -17,10 +17,36 @@ const API_CONFIG = {
       llava: 'llava:latest'                     // Vision tasks
     },
     // Default model for cannabis guidance
-    defaultModel: 'qwen2.5:14b-instruct'
+    defaultModel: 'qwen2.5:14b-instruct',
+    // Sampling options shared by streaming and non-streaming generation
+    generationOptions: {
+      temperature: 0.7,
+      top_p: 0.9,
+      top_k: 40,
+      repeat_penalty: 1.1
+    },
+    // Abort a stream when no chunk arrives for this long (covers cold model loads)
+    streamIdleTimeout: 120000
   }
 };
 
+// Embedding calls (scoreRelevance): per-request timeout, and how long to use keywords after a failure
+const EMBEDDING_TIMEOUT_MS = 30000;
+const EMBEDDING_RETRY_MS = 5 * 60 * 1000;
+// Intent model check (classifyIntent): one short attempt, then the heuristic answer stands
+const INTENT_MODEL_TIMEOUT_MS = 8000;
+// Products returned when neither the caller nor RECOMMENDATION_COUNT says how many
+const DEFAULT_RECOMMENDATION_COUNT = 4;
+
+// Section markers requested by buildExperienceLevelPrompt, in display order
+const RESPONSE_SECTIONS = [
+  { key: 'introduction', marker: 'INTRODUCTION' },
+  { key: 'coreTopic', marker: 'CORE_TOPIC' },
+  { key: 'whyThisWorks', marker: 'WHY_THIS_WORKS' },
+  { key: 'whatToExpect', marker: 'WHAT_TO_EXPECT' },
+  { key: 'gettingStarted', marker: 'GETTING_STARTED' }
+];
+
 // Experience-based benefit content
 const EXPERIENCE_BENEFITS = {
   new: [
@@ -106,25 +132,55 @@ const EXPERIENCE_BENEFITS = {
   ]
 };
 
+// Helper modules load as their own <script> in the browser; require them under Node
+function resolveSageModule(globalName, modulePath) {
+  if (typeof window !== 'undefined' && window[globalName]) {
+    return window[globalName];
+  }
+  if (typeof require === 'function') {
+    return require(modulePath);
+  }
+  return null;
+}
+
 class SageAPI {
-  constructor() {
+  // options.config: object with get(key)/hasOllamaConnection(); defaults to window.Config
+  // options.inventoryAdapters: InventoryAdapterRegistry; defaults to the shared registry
+  constructor(options = {}) {
     this.preferredModel = API_CONFIG.ollama.defaultModel;
+    this.configOverride = options.config || null;
+    this.inventoryAdapters = options.inventoryAdapters ||
+      resolveSageModule('SageInventoryAdapters', './inventory-adapters.js')?.registry || null;
+    // options.loadJson: reads jurisdiction profiles and the interaction knowledge base; defaults to fetch
+    this.loadJson = options.loadJson || null;
+    // options.embeddingStorage: where the embedding index is cached (getItem/setItem); defaults to localStorage
+    this.embeddingStorage = options.embeddingStorage || (typeof localStorage !== 'undefined' ? localStorage : null);
+  }
+
+  get config() {
+    if (this.configOverride) return this.configOverride;
+    return typeof window !== 'undefined' ? window.Config : null;
   }
 
-  // Generate AI response using Ollama MCP server
-  async generateResponse(userInput, experienceLevel, useModel = null) {
+  // Generate AI response using Ollama MCP server.
+  // Pass the ranked `products` shown with the answer so the model recommends only those,
+  // `interactions` (checkMedications) so it doesn't suggest combining with them, and `intent`
+  // (classifyIntent) to pick the prompt template for the question type, `eventPlan`
+  // (planEvent) so event answers use the calculated quantities, and `occasion` (getOccasion)
+  // for the What to Expect timeline.
+  async generateResponse(userInput, experienceLevel, useModel = null, { products = [], interactions = null, intent = null, eventPlan = null, occasion = null } = {}) {
     console.log(`=== GENERATING RESPONSE ===`);
     console.log(`User Input: "${userInput}"`);
     console.log(`Experience Level: ${experienceLevel}`);
     
     try {
       // Check if Ollama connection is available
-      if (!window.Config || !window.Config.hasOllamaConnection()) {
+      if (!this.config || !this.config.hasOllamaConnection()) {
         console.error('Ollama connection not available');
         throw new Error('Ollama connection not configured');
       }
 
-      const ollamaHost = window.Config.get('OLLAMA_HOST');
+      const ollamaHost = this.config.get('OLLAMA_HOST');
       console.log(`=== CONFIGURATION CHECK ===`);
       console.log(`Ollama host: ${ollamaHost}`);
       console.log(`Is proxy URL (11435): ${ollamaHost.includes('11435')}`);
@@ -134,13 +190,13 @@ class SageAPI {
       console.log('EMERGENCY MODE: Bypassing connection test');
       console.log('Proceeding directly to main API call...');
 
-      const prompt = this.buildExperienceLevelPrompt(userInput, experienceLevel);
+      const prompt = this.buildExperienceLevelPrompt(userInput, experienceLevel, { products, interactions, intent, eventPlan, occasion });
       const modelToUse = useModel || this.preferredModel;
       
       console.log(`Using model: ${modelToUse}`);
       console.log(`Prompt length: ${prompt.length} chars`);
       
-      const response = await this.callOllama(prompt, modelToUse);
+      const response = await this.callOllama(prompt, modelToUse, { format: this.getAnswerFormat() });
       console.log(`=== OLLAMA RESPONSE RECEIVED ===`);
       console.log(`Response length: ${response.length} chars`);
       console.log(`Response preview: ${response.substring(0, 200)}...`);
@@ -158,11 +214,284 @@ class SageAPI {
     }
   }
 
+  // Stream an AI response token by token; onUpdate(fullText) fires as chunks arrive.
+  // Falls back to the blocking request when streaming is disabled or fails mid-way.
+  // On cancellation via `signal`, resolves with whatever text has arrived so far.
+  async generateResponseStream(userInput, experienceLevel, { onUpdate, signal, useModel = null, products = [], interactions = null, intent = null, eventPlan = null, occasion = null } = {}) {
+    console.log(`=== STREAMING RESPONSE ===`);
+    console.log(`User Input: "${userInput}"`);
+    console.log(`Experience Level: ${experienceLevel}`);
+
+    if (!this.config || !this.config.hasOllamaConnection()) {
+      console.warn('Ollama connection not configured; using fallback response');
+      return this.getFallbackResponse(userInput, experienceLevel);
+    }
+
+    const prompt = this.buildExperienceLevelPrompt(userInput, experienceLevel, { products, interactions, intent, eventPlan, occasion });
+    const modelToUse = useModel || this.preferredModel;
+    let partial = '';
+
+    if (this.config.get('OLLAMA_STREAMING') !== false) {
+      try {
+        return await this.streamOllama(prompt, modelToUse, {
+          signal,
+          format: this.getAnswerFormat(),
+          onToken: (_, fullText) => {
+            partial = fullText;
+            if (onUpdate) onUpdate(fullText);
+          }
+        });
+      } catch (error) {
+        if (signal?.aborted) {
+          console.warn(`Stream cancelled by user after ${partial.length} chars`);
+          return partial;
+        }
+        console.warn('Streaming failed, retrying without streaming:', error?.message || error);
+      }
+    }
+
+    try {
+      const response = await this.callOllama(prompt, modelToUse, { format: this.getAnswerFormat() });
+      if (onUpdate) onUpdate(response);
+      return response;
+    } catch (error) {
+      console.error('=== ERROR GENERATING RESPONSE ===');
+      console.error('Error message:', error.message);
+      console.warn('Falling back to generic response');
+      return this.getFallbackResponse(userInput, experienceLevel);
+    }
+  }
+
+  // JSON schema for the answer contract (answer-contract.js), passed as Ollama's `format`
+  getAnswerFormat() {
+    const contract = resolveSageModule('SageAnswerContract', './answer-contract.js');
+    return contract ? contract.ANSWER_SCHEMA : undefined;
+  }
+
+  // Output policy (compliance-policy.js) with COMPLIANCE_POLICY overrides from config,
+  // tightened by the jurisdiction profile's warnings, serving limit and allowed types, and by
+  // the dose cap of a medication check (checkMedications)
+  getCompliancePolicy(profile = this.jurisdictionProfile, interactions = null) {
+    const compliance = resolveSageModule('SageCompliancePolicy', './compliance-policy.js');
+    if (!compliance) return null;
+    let policy = compliance.resolvePolicy(this.config && this.config.get('COMPLIANCE_POLICY'));
+    const jurisdictions = resolveSageModule('SageJurisdictions', './jurisdiction-rules.js');
+    if (jurisdictions && profile) policy = jurisdictions.applyJurisdictionToPolicy(policy, profile);
+    const medications = interactions ? resolveSageModule('SageInteractions', './medication-interactions.js') : null;
+    return medications ? medications.applyInteractionsToPolicy(policy, interactions) : policy;
+  }
+
+  // Jurisdiction profile named by JURISDICTION_PROFILE (see jurisdiction-rules.js), loaded once.
+  // Falls back to the built-in federal hemp rules when the profile files can't be read.
+  async loadJurisdictionProfile() {
+    const jurisdictions = resolveSageModule('SageJurisdictions', './jurisdiction-rules.js');
+    if (!jurisdictions) return null;
+    if (this.jurisdictionProfile) return this.jurisdictionProfile;
+
+    const id = (this.config && this.config.get('JURISDICTION_PROFILE')) || 'us-federal';
+    const loadJson = this.loadJson || (async (url) => {
+      const res = await fetch(url, { headers: { Accept: 'application/json' } });
+      if (!res.ok) throw new Error(`${url}: ${res.status}`);
+      return res.json();
+    });
+    try {
+      this.jurisdictionProfile = await jurisdictions.loadJurisdictionProfile(id, {
+        loadJson,
+        basePath: (this.config && this.config.get('JURISDICTION_RULES_PATH')) || './jurisdictions'
+      });
+    } catch (error) {
+      console.warn(`Jurisdiction profile "${id}" unavailable, using federal hemp rules:`, error?.message || error);
+      this.jurisdictionProfile = jurisdictions.DEFAULT_JURISDICTION;
+    }
+    return this.jurisdictionProfile;
+  }
+
+  // Pre-flight crisis check (crisis-rules.js). Returns the classification, or null when the
+  // prompt is fine or the check is disabled with CRISIS_CHECK_ENABLED.
+  checkPromptSafety(userInput) {
+    const crisis = resolveSageModule('SageCrisis', './crisis-rules.js');
+    if (!crisis || (this.config && this.config.get('CRISIS_CHECK_ENABLED') === false)) return null;
+    const classification = crisis.classifyPrompt(userInput, { minimumAge: this.jurisdictionProfile?.minimumAge });
+    if (classification) {
+      console.warn(`Crisis check: ${classification.category} (${classification.severity}) matched "${classification.matches.join('", "')}"`);
+    }
+    return classification;
+  }
+
+  // Safety response for a classified prompt, serialized like a model answer
+  getSafetyResponse(classification) {
+    const crisis = resolveSageModule('SageCrisis', './crisis-rules.js');
+    return JSON.stringify(crisis.buildSafetyAnswer(classification));
+  }
+
+  // Interaction knowledge base (medication-interactions.js) from INTERACTIONS_KB_URL, loaded once.
+  // Resolves null when it can't be read or doesn't validate; medication lists then go unchecked.
+  async loadInteractionKnowledgeBase() {
+    const interactions = resolveSageModule('SageInteractions', './medication-interactions.js');
+    if (!interactions) return null;
+    if (this.interactionKnowledgeBase !== undefined) return this.interactionKnowledgeBase;
+
+    const url = (this.config && this.config.get('INTERACTIONS_KB_URL')) || './interactions/medication-interactions.json';
+    const loadJson = this.loadJson || (async (path) => {
+      const res = await fetch(path, { headers: { Accept: 'application/json' } });
+      if (!res.ok) throw new Error(`${path}: ${res.status}`);
+      return res.json();
+    });
+    try {
+      const kb = await loadJson(url);
+      const problems = interactions.validateKnowledgeBase(kb);
+      if (problems.length > 0) throw new Error(problems.join('; '));
+      this.interactionKnowledgeBase = kb;
+    } catch (error) {
+      console.warn('Interaction knowledge base unavailable; medication lists will not be checked:', error?.message || error);
+      this.interactionKnowledgeBase = null;
+    }
+    return this.interactionKnowledgeBase;
+  }
+
+  // Check the customer's medication and substance list; null when it's empty or can't be checked
+  async checkMedications(medications) {
+    const interactions = resolveSageModule('SageInteractions', './medication-interactions.js');
+    if (!interactions || interactions.parseMedicationList(medications).length === 0) return null;
+    const kb = await this.loadInteractionKnowledgeBase();
+    if (!kb) return null;
+    const result = interactions.checkMedications(medications, kb);
+    result.warnings.forEach((w) => {
+      console.warn(`Interaction: ${w.medications.join(', ')} → ${w.classId} (${w.severity})`);
+    });
+    return result;
+  }
+
+  // Question type (intent-router.js): education, product search, dosing, event planning or
+  // off-topic. Heuristics first; a weak match is re-checked by the local model when
+  // INTENT_MODEL_ENABLED is on, with a single short attempt so a slow or cold model
+  // falls back to the heuristic instead of holding up the question. Null when the router isn't loaded (every prompt then
+  // gets the product-search flow).
+  async classifyIntent(userInput) {
+    const intents = resolveSageModule('SageIntents', './intent-router.js');
+    if (!intents) return null;
+    const heuristic = intents.classifyIntent(userInput);
+    const useModel = this.config && this.config.get('INTENT_MODEL_ENABLED') !== false && this.config.hasOllamaConnection();
+    if (!useModel || heuristic.confidence >= intents.INTENT_MODEL_THRESHOLD) return heuristic;
+
+    try {
+      const raw = await this.callOllama(intents.intentClassificationPrompt(userInput), this.getModel('qwen2_5_14b'), {
+        format: intents.INTENT_SCHEMA,
+        timeouts: [INTENT_MODEL_TIMEOUT_MS]
+      });
+      const fromModel = intents.sanitizeIntent(JSON.parse(raw), userInput);
+      if (fromModel) return fromModel;
+      console.warn('Intent: model reply unusable, keeping heuristic', heuristic.intent);
+    } catch (e) {
+      console.warn('Using heuristic intent (model call failed):', e?.message || e);
+    }
+    return heuristic;
+  }
+
+  // Shopping list for an event or group (event-planner.js) from the ranked products: group
+  // size, days and experience mix from the prompt, doses capped by the compliance policy, and
+  // packages trimmed to the jurisdiction's purchase limits. Null when the planner isn't loaded.
+  planEvent(userInput, experienceLevel, products, interactions = null) {
+    const events = resolveSageModule('SageEvents', './event-planner.js');
+    if (!events) return null;
+    const profile = this.jurisdictionProfile;
+    const policy = this.getCompliancePolicy(profile, interactions);
+    const plan = events.planEvent(events.parseEventDetails(userInput, { experienceLevel }), products, {
+      maxDoseMg: policy?.maxDoseMg || {},
+      purchaseLimits: profile?.purchaseLimits || {},
+      limitsName: profile?.name || 'the store'
+    });
+    console.log(`Event plan: ${plan.summary}, ${plan.items.length} item(s), total ${plan.total.amount} ${plan.total.currency}`);
+    return plan;
+  }
+
+  // Question → product relevance for ranking (embedding-index.js): cosine similarity over the
+  // cached embedding index when EMBEDDING_MODEL answers on Ollama, otherwise keyword overlap.
+  // A failed embedding call falls back for EMBEDDING_RETRY_MS before trying again.
+  async scoreRelevance(userInput, products) {
+    const embeddings = resolveSageModule('SageEmbeddings', './embedding-index.js');
+    if (!embeddings || !Array.isArray(products) || products.length === 0) return null;
+    const model = this.config && this.config.get('EMBEDDING_MODEL');
+    const retryAt = (this.embeddingFailedAt || 0) + EMBEDDING_RETRY_MS;
+    if (model && this.config.hasOllamaConnection() && Date.now() >= retryAt) {
+      try {
+        if (!this.embeddingIndex || this.embeddingIndex.model !== model) {
+          this.embeddingIndex = new embeddings.EmbeddingIndex({
+            model,
+            embed: texts => this.embedTexts(texts, model),
+            storage: this.embeddingStorage
+          });
+        }
+        const similarity = await this.embeddingIndex.similarities(userInput, products);
+        return { source: 'embeddings', model, scores: embeddings.similarityScores(similarity), similarity };
+      } catch (e) {
+        this.embeddingFailedAt = Date.now();
+        console.warn(`Embeddings unavailable (${model}), ranking by keywords:`, e?.message || e);
+      }
+    }
+    return { source: 'keywords', ...embeddings.keywordScores(userInput, products) };
+  }
+
+  // Vectors for several texts from Ollama's /api/embed, in order
+  async embedTexts(texts, model) {
+    const ollamaHost = this.config.get('OLLAMA_HOST');
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), EMBEDDING_TIMEOUT_MS) : null;
+    try {
+      const response = await fetch(`${ollamaHost}/api/embed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, input: texts }),
+        signal: controller?.signal
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status} from /api/embed`);
+      const data = await response.json();
+      return data.embeddings;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  // Occasion for a question (occasion-model.js) on the local clock; null when the model isn't loaded
+  getOccasion(userInput, now = new Date()) {
+    const occasions = resolveSageModule('SageOccasions', './occasion-model.js');
+    return occasions ? occasions.parseOccasion(userInput, { now }) : null;
+  }
+
+  // Split a (possibly partial) response into the sections seen so far: JSON answers
+  // through the answer contract, older [MARKER] text through the markers
+  splitStreamingSections(text) {
+    const contract = resolveSageModule('SageAnswerContract', './answer-contract.js');
+    if (contract && contract.looksLikeJsonAnswer(text)) {
+      return contract.partialAnswerSections(text);
+    }
+
+    const sections = {};
+    const markers = RESPONSE_SECTIONS.map(s => s.marker).join('|');
+    const hits = [...(text || '').matchAll(new RegExp(`\\[(${markers})\\]`, 'g'))];
+
+    hits.forEach((hit, i) => {
+      const start = hit.index + hit[0].length;
+      const end = i + 1 < hits.length ? hits[i + 1].index : text.length;
+      const { key } = RESPONSE_SECTIONS.find(s => s.marker === hit[1]);
+      sections[key] = text.slice(start, end);
+    });
+
+    // Hide a marker that is still arriving, e.g. "...[WHY_TH"
+    const keys = Object.keys(sections);
+    if (keys.length > 0) {
+      const lastKey = keys[keys.length - 1];
+      sections[lastKey] = sections[lastKey].replace(/\[[A-Z_]*$/, '');
+    }
+    keys.forEach(key => { sections[key] = sections[key].trim(); });
+    return sections;
+  }
+
   // Lightweight background warm-up to load the model into memory sooner
   async warmUp() {
     try {
-      if (!window.Config || !window.Config.hasOllamaConnection()) return;
-      const ollamaHost = window.Config.get('OLLAMA_HOST');
+      if (!this.config || !this.config.hasOllamaConnection()) return;
+      const ollamaHost = this.config.get('OLLAMA_HOST');
       const model = API_CONFIG.ollama.defaultModel;
       // Quick probe to avoid wasting time if proxy/server is down
       await (async () => {
@@ -221,7 +550,27 @@ class SageAPI {
     return API_CONFIG.ollama.defaultModel;
   }
 
-  buildExperienceLevelPrompt(userInput, experienceLevel) {
+  // One line per product for the answer prompt, e.g.
+  // "- [[apotheca-indica]] Apotheca Indica | Indica | THCa 25% | effects: Sleep, Calm | $32.99"
+  // Edibles and tinctures add the calculated starting dose (dose-calculator.js) for the level,
+  // and products with a COA add their lab profile (lab-results.js).
+  formatProductsForPrompt(products, { experienceLevel = 'casual', maxMg = null } = {}) {
+    const dosing = resolveSageModule('SageDosing', './dose-calculator.js');
+    const labs = resolveSageModule('SageLabResults', './lab-results.js');
+    return (products || []).map((p) => {
+      const potency = p.thc || (p.thcaPercent != null ? `THCa ${p.thcaPercent}%` : 'potency n/a');
+      const effects = (p.effects || []).join(', ') || 'n/a';
+      const dose = dosing ? dosing.calculateDose(p, { experienceLevel, maxMg }) : null;
+      const doseNote = dose ? ` | starting dose: ${dose.summary}` : '';
+      const labNote = labs && p.lab ? ` | lab: ${labs.labSummary(p.lab)}` : '';
+      return `- [[${p.id}]] ${p.name} | ${p.type || 'product'} | ${p.strain || 'n/a'} | ${potency} | effects: ${effects} | ${p.price || 'price n/a'}${doseNote}${labNote}`;
+    }).join('\n');
+  }
+
+  // `intent` is an intent-router.js id; it swaps in that question type's focus and section guide.
+  // `eventPlan` (planEvent) adds the calculated shopping list, `occasion` (getOccasion) the
+  // occasion and a timeline for the top product.
+  buildExperienceLevelPrompt(userInput, experienceLevel, { products = [], interactions = null, intent = null, eventPlan = null, occasion = null } = {}) {
     const experienceInstructions = {
       new: {
         tone: "gentle, educational, safety-first",
@@ -244,6 +593,37 @@ class SageAPI {
     };
     
     const instruction = experienceInstructions[experienceLevel] || experienceInstructions.casual;
+    const compliance = resolveSageModule('SageCompliancePolicy', './compliance-policy.js');
+    const jurisdictions = resolveSageModule('SageJurisdictions', './jurisdiction-rules.js');
+    const storeRules = jurisdictions && this.jurisdictionProfile
+      ? `\n${jurisdictions.jurisdictionPromptRules(this.jurisdictionProfile)}`
+      : '';
+    const interactionRules = resolveSageModule('SageInteractions', './medication-interactions.js')?.interactionPromptRules(interactions);
+    const policy = compliance ? this.getCompliancePolicy(this.jurisdictionProfile, interactions) : null;
+    const policyRules = compliance ? `
+CONTENT RULES (answers are shown at a dispensary counter):
+${compliance.policyPromptRules(experienceLevel, policy)}${storeRules}${interactionRules ? `\n${interactionRules}` : ''}
+` : '';
+
+    const intentBlock = intent ? resolveSageModule('SageIntents', './intent-router.js')?.intentPromptBlock(intent) : null;
+    const focusLine = intentBlock ? `\nQUESTION TYPE: ${intentBlock.focus}\n` : '';
+    const sectionGuide = intentBlock ? intentBlock.sections : `- introduction: Brief personalized greeting and acknowledgment of their question, adapted to their experience level.
+- coreTopic: Comprehensive exploration of their question/topic. This is your main educational content with depth matching their experience level.
+- whyThisWorks: Explain the scientific/practical reasoning behind your recommendations, adapted to their knowledge level.
+- whatToExpect: Specific outcomes, timelines, and effects they should expect, with complexity matching their experience.
+- gettingStarted: Concrete action steps and implementation guidance, tailored to their experience level.`;
+
+    const grounded = (products || []).filter(p => p && p.id);
+    const eventLines = eventPlan ? resolveSageModule('SageEvents', './event-planner.js')?.eventPlanPromptLines(eventPlan) : '';
+    const eventBlock = eventLines ? `\n${eventLines}\n` : '';
+    const occasionLines = occasion ? resolveSageModule('SageOccasions', './occasion-model.js')?.occasionPromptLines(occasion, grounded) : '';
+    const occasionBlock = occasionLines ? `\n${occasionLines}\n` : '';
+    const inventoryBlock = grounded.length > 0 ? `
+PRODUCTS SHOWN WITH YOUR ANSWER (the only products in stock):
+${this.formatProductsForPrompt(grounded, { experienceLevel, maxMg: policy?.maxDoseMg[experienceLevel] ?? null })}
+
+Recommend only these products, never other strains, brands or products. When you suggest an edible or tincture in gettingStarted or dosingSteps, use its starting dose as given. Refer to a product by writing its ID in double brackets, e.g. [[${grounded[0].id}]], instead of its name; the page turns it into a link to the product card. List every ID you mention in "productIds".
+${eventBlock}` : '';
     
     return `You are THE definitive cannabis expert and authority. A user with ${experienceLevel} experience asks: "${userInput}"
 
@@ -254,29 +634,33 @@ Adapt your response with these characteristics:
 - Language: ${instruction.language}
 - Information Depth: ${instruction.depth}
 - Approach: ${instruction.approach}
+${focusLine}${inventoryBlock}${occasionBlock}${policyRules}
+CRITICAL: Reply with JSON only, following Sage answer contract version 1:
+{
+  "version": 1,
+  "sections": {
+    "introduction": { "text": "...", "bullets": [] },
+    "coreTopic": { "text": "...", "bullets": [] },
+    "whyThisWorks": { "text": "...", "bullets": [] },
+    "whatToExpect": { "text": "...", "bullets": [] },
+    "gettingStarted": { "text": "...", "bullets": [] }
+  },
+  "dosingSteps": [{ "instruction": "...", "amount": "...", "waitMinutes": 0 }],
+  "productIds": []
+}
 
-CRITICAL: Structure your response in exactly these 5 sections using these markers:
-
-[INTRODUCTION]
-Brief personalized greeting and acknowledgment of their question, adapted to their experience level.
-
-[CORE_TOPIC]
-Comprehensive exploration of their question/topic. This is your main educational content with depth matching their experience level.
-
-[WHY_THIS_WORKS]
-Explain the scientific/practical reasoning behind your recommendations, adapted to their knowledge level.
-
-[WHAT_TO_EXPECT]
-Specific outcomes, timelines, and effects they should expect, with complexity matching their experience.
+Sections:
+${sectionGuide}
 
-[GETTING_STARTED]
-Concrete action steps and implementation guidance, tailored to their experience level.
+"bullets" holds up to 6 short key points for a section (may be empty). "dosingSteps" lists ordered dosing steps with an amount and how many minutes to wait before the next step (empty if dosing doesn't apply). "productIds" lists the IDs of any provided products you mention; leave it empty when no products are provided.
 
-Each section should be 2-4 sentences and provide authoritative, clinical-grade guidance. Be specific about strains, dosages, and mechanisms. Write with confidence - no hedging or uncertainty.`;
+Each section's text should be 2-4 sentences of clear, practical, evidence-informed guidance. Be specific about ${grounded.length > 0 ? 'the listed products' : 'strains'}, typical dose ranges, and mechanisms, and be direct without overstating what cannabis can do.`;
   }
 
-  async callOllama(prompt, model) {
-    const ollamaHost = window.Config.get('OLLAMA_HOST');
+  // options.format: Ollama structured output, 'json' or a JSON schema the reply must follow.
+  // options.timeouts: per-attempt timeouts in ms, one attempt each (default 1, 2 then 4 min)
+  async callOllama(prompt, model, { format, timeouts } = {}) {
+    const ollamaHost = this.config.get('OLLAMA_HOST');
     
     console.log(`=== CALLING OLLAMA API ===`);
     console.log(`Host: ${ollamaHost}`);
@@ -291,13 +675,9 @@ Each section should be 2-4 sentences and provide authoritative, clinical-grade g
       model: model,
       prompt: prompt,
       stream: false,
-      options: {
-        temperature: 0.7,
-        top_p: 0.9,
-        top_k: 40,
-        repeat_penalty: 1.1
-      }
+      options: { ...API_CONFIG.ollama.generationOptions }
     };
+    if (format) requestBody.format = format;
 
     console.log('Request body:', {
       model: requestBody.model,
@@ -307,7 +687,7 @@ Each section should be 2-4 sentences and provide authoritative, clinical-grade g
     });
 
     // Retry with progressive timeouts to handle cold starts and heavy prompts
-    const attemptTimeouts = [60000, 120000, 240000]; // 1 min, 2 min, 4 min
+    const attemptTimeouts = timeouts || [60000, 120000, 240000]; // 1 min, 2 min, 4 min
     const maxAttempts = attemptTimeouts.length;
 
     const doFetchWithTimeout = async (timeoutMs) => {
@@ -404,6 +784,122 @@ Each section should be 2-4 sentences and provide authoritative, clinical-grade g
     throw lastError || new Error('Unknown error contacting Ollama');
   }
 
+  // Read Ollama's NDJSON /api/generate stream; onToken(chunk, fullText) fires per chunk.
+  // Pass an AbortSignal to cancel; a stalled stream aborts after streamIdleTimeout.
+  async streamOllama(prompt, model, { onToken, signal, format } = {}) {
+    const ollamaHost = this.config.get('OLLAMA_HOST');
+    if (!ollamaHost) {
+      throw new Error('Ollama host not found');
+    }
+
+    const requestBody = {
+      model: model,
+      prompt: prompt,
+      stream: true,
+      options: { ...API_CONFIG.ollama.generationOptions }
+    };
+    if (format) requestBody.format = format;
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const idleMs = API_CONFIG.ollama.streamIdleTimeout;
+    let idleTimer = null;
+    let stalled = false;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        stalled = true;
+        controller.abort();
+      }, idleMs);
+    };
+
+    let fullText = '';
+    // Returns true once Ollama reports the final chunk
+    const handleLine = (line) => {
+      if (!line.trim()) return false;
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(`Ollama API error: ${data.error}`);
+      }
+      if (data.response) {
+        fullText += data.response;
+        if (onToken) onToken(data.response, fullText);
+      }
+      return !!data.done;
+    };
+
+    console.log(`=== STREAMING FROM OLLAMA ===`);
+    console.log(`Host: ${ollamaHost}`);
+    console.log(`Model: ${model}`);
+
+    try {
+      resetIdleTimer();
+      const response = await fetch(`${ollamaHost}/api/generate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Ollama API error: ${response.status} - ${errorText}`);
+      }
+
+      if (!response.body || typeof response.body.getReader !== 'function') {
+        // No readable body (older browsers): parse the whole NDJSON payload at once
+        const lines = (await response.text()).split('\n');
+        for (const line of lines) {
+          if (handleLine(line)) break;
+        }
+      } else {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finished = false;
+        while (!finished) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          resetIdleTimer();
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          for (const line of lines) {
+            if (handleLine(line)) {
+              finished = true;
+              break;
+            }
+          }
+        }
+        buffer += decoder.decode();
+        if (finished) {
+          reader.cancel().catch(() => {});
+        } else if (buffer.trim()) {
+          handleLine(buffer);
+        }
+      }
+    } catch (streamError) {
+      if (streamError?.name === 'AbortError' && stalled) {
+        throw new Error(`Ollama stream stalled for ${Math.round(idleMs / 1000)}s`);
+      }
+      throw streamError;
+    } finally {
+      clearTimeout(idleTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    if (!fullText) {
+      throw new Error('Invalid response format from Ollama - empty stream');
+    }
+    console.log(`=== OLLAMA STREAM COMPLETE (${fullText.length} chars) ===`);
+    return fullText;
+  }
+
   getFallbackResponse(userInput, experienceLevel) {
     // Note: This fallback is only used when Ollama is unavailable
     console.warn('Using fallback response - Ollama server may be offline');
@@ -424,205 +920,331 @@ Each section should be 2-4 sentences and provide authoritative, clinical-grade g
     return EXPERIENCE_BENEFITS[experienceLevel] || EXPERIENCE_BENEFITS.casual;
   }
 
-  // Product recommendations pipeline with pluggable inventory source
-  async getProductRecommendations(userInput, experienceLevel) {
-    // 1) Build a structured search spec (prompt → filters)
-    const spec = await this.buildProductSearchSpec(userInput, experienceLevel).catch(() => null);
+  // Product recommendations pipeline with pluggable inventory source.
+  // options.medications: the customer's medication/substance list, which tightens the spec
+  // options.count: how many products to return (default RECOMMENDATION_COUNT)
+  async getProductRecommendations(userInput, experienceLevel, { medications = [], count = null } = {}) {
+    // 1) Crisis check first (minimumAge comes from the profile), so a safety answer never waits on the model
+    await this.loadJurisdictionProfile();
+    if (this.checkPromptSafety(userInput)) {
+      console.warn('Product recommendations skipped for a crisis prompt');
+      this.inventoryCatalog = [];
+      return [];
+    }
+
+    // 2) Build a structured search spec (prompt → filters)
+    const spec = await this.buildProductSearchSpec(userInput, experienceLevel, { medications }).catch(() => null);
 
-    // 2) Fetch products from configured source (static by default)
+    // 3) Fetch products from the adapter registered for DISPENSARY_SOURCE (static by default)
     let items = [];
+    let loaded = false;
     try {
-      const source = (window.Config && window.Config.get('DISPENSARY_SOURCE')) || 'static';
-      if (source === 'static') {
-        const url = window.Config.get('INVENTORY_SOURCE_URL') || './inventory/apotheca-thca.json';
-        items = await this.fetchStaticInventory(url);
-      } else if (source === 'apotheca') {
-        // Placeholder for live adapter; fall back to static until enabled
-        console.warn('Apotheca live adapter not yet enabled; using static inventory');
-        const url = window.Config.get('INVENTORY_SOURCE_URL') || './inventory/apotheca-thca.json';
-        items = await this.fetchStaticInventory(url);
+      const source = (this.config && this.config.get('DISPENSARY_SOURCE')) || 'static';
+      const adapter = this.inventoryAdapters?.get(source);
+      if (adapter) {
+        const raw = await adapter.fetch({ config: this.config });
+        items = this.validateInventoryItems(adapter.normalize(raw, { config: this.config }), source);
+        loaded = true;
       } else {
-        console.warn('Unknown DISPENSARY_SOURCE, using mock fallback');
+        console.warn(`No inventory adapter registered for DISPENSARY_SOURCE "${source}", using mock fallback`);
       }
     } catch (e) {
       console.warn('Inventory fetch failed, falling back to mock products:', e?.message || e);
     }
 
-    // 3) Normalize → rank → select top N
+    // 4) Normalize → rank → pick a varied top N
     if (Array.isArray(items) && items.length > 0) {
       const normalized = this.normalizeInventory(items, spec, { experienceLevel });
-      const ranked = this.rankProducts(normalized, spec).slice(0, 4);
-      return ranked;
+      this.inventoryCatalog = this.toInventoryCatalog(normalized);
+      // How close each product is to the question (embeddings, else keywords) feeds the relevance signal
+      const relevance = await this.scoreRelevance(userInput, normalized).catch(() => null);
+      const ranked = this.rankProducts(normalized, relevance ? { ...(spec || {}), relevance } : spec);
+      return this.diversifyProducts(ranked, { count });
+    }
+    // The inventory loaded but has nothing to show (empty, or every record failed INVENTORY_STRICT):
+    // no products rather than invented ones
+    if (loaded) {
+      console.warn('Inventory has no usable records; no products to recommend');
+      this.inventoryCatalog = [];
+      return [];
     }
 
-    // 4) Last-resort: minimal mock fallback to keep UI working
+    // 5) Last-resort when no inventory could be loaded: minimal mock fallback to keep UI working,
+    // labelled for the loaded profile
     const mock = [
       {
+        id: 'mock-hybrid',
         name: 'THCa Hemp Flower — Hybrid',
         type: 'THCa Flower',
         thc: 'THCa ~22%',
-        cbd: 'Δ9 ≤0.3% (hemp)',
+        cbd: null,
         price: '$29',
-        description: 'Farm Bill compliant THCa flower, balanced daytime use',
+        description: `${this.complianceDescription('flower')}, balanced daytime use`,
         availability: 'In Stock',
         strain: 'Hybrid',
         effects: ['Balanced', 'Relaxed', 'Uplifted'],
         dispensaryUrl: '#'
       },
       {
+        id: 'mock-indica',
         name: 'THCa Hemp Flower — Indica',
         type: 'THCa Flower',
         thc: 'THCa ~25%',
-        cbd: 'Δ9 ≤0.3% (hemp)',
+        cbd: null,
         price: '$32',
-        description: 'Compliant THCa indica option for evening relaxation',
+        description: `${this.complianceDescription('flower')}, indica for evening relaxation`,
         availability: 'In Stock',
         strain: 'Indica',
         effects: ['Relaxing', 'Sleep', 'Calm'],
         dispensaryUrl: '#'
       }
     ];
+    this.inventoryCatalog = this.toInventoryCatalog(mock);
     return mock;
   }
 
-  // Build a prompt → ProductSearchSpec using local model (JSON-only), with heuristic fallback
-  async buildProductSearchSpec(userInput, experienceLevel) {
-    const baseSpec = {
-      query: userInput,
-      experienceLevel,
-      legal: {
-        hempDerivedOnly: true,
-        delta9MaxPercent: 0.3,
-        categoriesAllowed: ['THCa Flower', 'Hemp-derived Delta-8/Delta-9 where compliant']
-      },
+  // Names the answer guard checks model output against: every loaded product, not just
+  // the ranked few, so a carried strain the page didn't show isn't flagged
+  toInventoryCatalog(products) {
+    return (products || []).map(({ id, name, strain }) => ({ id, name, strain }));
+  }
+
+  // Build a prompt → ProductSearchSpec: heuristics first, then the local model through Ollama's
+  // JSON-schema `format`, validated and clamped by search-spec.js. spec.provenance records
+  // whether each field came from the heuristics, the model, or the defaults. A medication list
+  // (options.medications) tightens the result last, so the model can't loosen it.
+  async buildProductSearchSpec(userInput, experienceLevel, { medications = [] } = {}) {
+    const interactions = resolveSageModule('SageInteractions', './medication-interactions.js');
+    const medicationCheck = await this.checkMedications(medications);
+    const tighten = (spec) => (interactions && medicationCheck ? interactions.applyInteractionsToSpec(spec, medicationCheck) : spec);
+
+    const defaults = {
       desiredEffects: [],
-      productTypes: ['flower'],
+      productTypes: [],
       strainPreference: 'hybrid',
       targetTHCaPercent: { min: 18, max: 28 },
       avoid: [],
       priceBand: 'mid',
+      maxPrice: null,
+    };
+    // Legal limits come from the store's jurisdiction profile, never from the query or the model
+    const jurisdictions = resolveSageModule('SageJurisdictions', './jurisdiction-rules.js');
+    const baseSpec = {
+      query: userInput,
+      experienceLevel,
+      legal: jurisdictions ? jurisdictions.legalRules(await this.loadJurisdictionProfile()) : null,
+      ...JSON.parse(JSON.stringify(defaults)),
     };
 
     // Heuristic enrich from query
     const q = userInput.toLowerCase();
-    if (q.includes('sleep') || q.includes('anxiety') || q.includes('relax')) baseSpec.strainPreference = 'indica';
-    if (q.includes('focus') || q.includes('day') || q.includes('energy')) baseSpec.strainPreference = 'sativa';
-    if (q.includes('budget') || q.includes('cheap')) baseSpec.priceBand = 'value';
+    const addEffects = (list, effects) => effects.forEach(e => { if (!list.includes(e)) list.push(e); });
+    // Effects come from the shared taxonomy (effects-taxonomy.js): synonyms, related effects,
+    // and "not sleepy" or an effect's opposites go into avoid
+    const taxonomy = resolveSageModule('SageEffects', './effects-taxonomy.js');
+    if (taxonomy) {
+      const asked = taxonomy.readEffects(userInput);
+      addEffects(baseSpec.desiredEffects, asked.desired.map(taxonomy.effectLabel));
+      addEffects(baseSpec.avoid, asked.avoid.map(taxonomy.effectLabel));
+      baseSpec.strainPreference = taxonomy.strainLeanOf(asked.desired) || baseSpec.strainPreference;
+    }
+    const namedStrain = q.match(/\b(indica|sativa|hybrid)\b/);
+    if (namedStrain) baseSpec.strainPreference = namedStrain[1];
+    const types = resolveSageModule('SageProductTypes', './product-types.js');
+    if (types) baseSpec.productTypes = types.productTypesInText(userInput);
+    const pricing = resolveSageModule('SagePricing', './pricing.js');
+    baseSpec.maxPrice = pricing ? pricing.parseBudget(userInput) : null;
+    if (!baseSpec.maxPrice && (q.includes('budget') || q.includes('cheap'))) baseSpec.priceBand = 'value';
+    if (q.includes('premium') || q.includes('top shelf') || q.includes('top-shelf')) baseSpec.priceBand = 'premium';
     if (q.includes('strong') || q.includes('potent')) baseSpec.targetTHCaPercent = { min: 22, max: 30 };
 
-    // Try calling the local model for a crisp JSON spec (optional)
+    // Occasion (activity, time of day, setting, duration) fills in what the keywords didn't:
+    // the strain lean when no strain was asked for, the activity's effects, and a gentler
+    // THCa range for "not jittery". Its onset and duration limits feed the timing signal.
+    const occasions = resolveSageModule('SageOccasions', './occasion-model.js');
+    if (occasions) {
+      const occasion = this.getOccasion(userInput);
+      baseSpec.occasion = occasion;
+      if (baseSpec.strainPreference === defaults.strainPreference && !namedStrain) baseSpec.strainPreference = occasion.strainLean;
+      addEffects(baseSpec.desiredEffects, occasion.effects.filter(e => !baseSpec.avoid.includes(e)));
+      addEffects(baseSpec.avoid, occasion.avoid.filter(e => !baseSpec.desiredEffects.includes(e)));
+      if (occasion.gentle && !(q.includes('strong') || q.includes('potent'))) baseSpec.targetTHCaPercent = { ...occasions.GENTLE_THCA_PERCENT };
+    }
+
+    const specSchema = resolveSageModule('SageSearchSpec', './search-spec.js');
+    if (!specSchema) return tighten(baseSpec);
+    baseSpec.provenance = specSchema.heuristicProvenance(defaults, baseSpec, namedStrain ? ['strainPreference'] : []);
+
+    // Ask the local model for the same fields as schema-constrained JSON (optional); it only
+    // fills the fields the heuristics left at their defaults
     try {
-      if (!window.Config || !window.Config.hasOllamaConnection()) return baseSpec;
-      const prompt = `You are a product matching engine. Given a cannabis prompt and experience level, output a JSON spec only. Fields: desiredEffects (array), productTypes (array: flower, edible, vape, tincture), strainPreference (indica|sativa|hybrid), targetTHCaPercent {min,max}, priceBand (value|mid|premium), avoid (array). Also include legal {hempDerivedOnly:true, delta9MaxPercent:0.3}.
+      if (!this.config || !this.config.hasOllamaConnection()) return tighten(baseSpec);
+      const effectHint = taxonomy ? ` of ${taxonomy.EFFECT_IDS.map(id => taxonomy.EFFECTS[id].label).join(', ')}` : '';
+      const prompt = `You are a product matching engine. Given a cannabis prompt and experience level, output a JSON spec only. Fields: desiredEffects (array${effectHint}), productTypes (array: flower, pre-roll, vape, edible, tincture, concentrate; empty when the prompt names no type), strainPreference (indica|sativa|hybrid, or null), targetTHCaPercent {min,max} or null, priceBand (value|mid|premium, or null), maxPrice {amount,currency} or null (only when the prompt states a budget), avoid (array${effectHint}). Use null or an empty array for anything the prompt doesn't imply.
 PROMPT: "${userInput}"
 EXPERIENCE: ${experienceLevel}
 JSON ONLY:`;
-      const raw = await this.callOllama(prompt, this.getModel('qwen2_5_14b'));
-      const jsonStart = raw.indexOf('{');
-      const jsonEnd = raw.lastIndexOf('}');
-      if (jsonStart >= 0 && jsonEnd > jsonStart) {
-        const parsed = JSON.parse(raw.slice(jsonStart, jsonEnd + 1));
-        return { ...baseSpec, ...parsed, legal: { hempDerivedOnly: true, delta9MaxPercent: 0.3 } };
+      const raw = await this.callOllama(prompt, this.getModel('qwen2_5_14b'), {
+        format: specSchema.PRODUCT_SEARCH_SPEC_SCHEMA
+      });
+      const { values, problems } = specSchema.sanitizeSearchSpec(JSON.parse(raw));
+      if (problems.length > 0) {
+        console.warn('ProductSearchSpec: adjusted model output:', problems.join('; '));
       }
+      return tighten(specSchema.mergeSearchSpec(baseSpec, values));
     } catch (e) {
-      console.warn('Using heuristic ProductSearchSpec (model JSON parse failed):', e?.message || e);
+      console.warn('Using heuristic ProductSearchSpec (model JSON unusable):', e?.message || e);
     }
-    return baseSpec;
+    return tighten(baseSpec);
   }
 
-  // Fetch static inventory JSON from same-origin path
-  async fetchStaticInventory(url) {
-    const res = await fetch(url, { headers: { 'Content-Type': 'application/json' } });
-    if (!res.ok) throw new Error(`Static inventory fetch failed: ${res.status}`);
-    const data = await res.json();
-    if (!Array.isArray(data)) throw new Error('Static inventory JSON must be an array');
-    return data;
+  // Validate records against the inventory schema and report each problem.
+  // With INVENTORY_STRICT on, records that fail are dropped instead of rendered with defaults.
+  validateInventoryItems(items, source = 'inventory') {
+    const schema = resolveSageModule('SageInventorySchema', './inventory-schema.js');
+    if (!schema) return items;
+
+    const strict = !!(this.config && this.config.get('INVENTORY_STRICT'));
+    const report = schema.validateInventory(items, { strict });
+    if (!report.valid) {
+      console.warn(`=== INVENTORY VALIDATION: ${report.errors.length} problem(s) in "${source}" ===`);
+      schema.formatInventoryErrors(report.errors).forEach(line => console.warn(line));
+      if (strict) {
+        console.warn(`Strict mode: showing ${report.items.length} of ${items.length} records`);
+      }
+    }
+    this.lastInventoryReport = report;
+    return report.items;
   }
 
-  // Normalize raw items to UI schema
+  // Normalize raw items to UI schema and drop what the jurisdiction rules don't allow
+  // (spec.legal, else the loaded profile). ctx.keepBlocked keeps them, for rule checks.
   normalizeInventory(rawItems, spec, ctx = {}) {
     const toPercent = (v) => typeof v === 'number' ? `${v}%` : (v || '--');
-    const legalNote = 'Δ9 ≤0.3% (hemp)';
-    const pickEffects = (s) => {
-      const t = (s || '').toLowerCase();
-      if (t.includes('indica')) return ['Relaxing', 'Calm', 'Sleep'];
-      if (t.includes('sativa')) return ['Energetic', 'Uplifting', 'Focus'];
-      return ['Balanced', 'Relaxed', 'Uplifted'];
-    };
+    const jurisdictions = resolveSageModule('SageJurisdictions', './jurisdiction-rules.js');
+    const legal = spec?.legal || (jurisdictions ? jurisdictions.legalRules(this.jurisdictionProfile) : null);
+    const pricing = resolveSageModule('SagePricing', './pricing.js');
+    const types = resolveSageModule('SageProductTypes', './product-types.js');
+    const taxonomy = resolveSageModule('SageEffects', './effects-taxonomy.js');
+    const labs = resolveSageModule('SageLabResults', './lab-results.js');
 
     const normalized = rawItems.map((it) => {
-      const strain = it.strain || it.category || it.type || 'Hybrid';
+      const productType = types ? types.detectProductType(it) : 'flower';
+      const typeModel = types ? types.buildTypeDetails(it, productType) : { details: {}, onset: null, duration: null };
+      const strain = it.strain || it.category || (productType === 'flower' ? it.type : null) || 'Hybrid';
       const thcaPct = it.thcaPercent || it.thcPercent || it.thca || null;
-      const price = it.price || it.priceText || (it.priceCents ? `$${(it.priceCents/100).toFixed(2)}` : '$--');
+      const priceModel = pricing ? pricing.buildPriceModel(it) : { price: null, variants: [], pricePerGram: null };
+      const price = priceModel.price
+        ? pricing.formatPrice(priceModel.price)
+        : (it.price || it.priceText || '$--');
       const name = it.name || it.title || 'THCa Hemp Flower';
       const url = it.url || it.productUrl || it.dispensaryUrl || '#';
       const img = it.image || it.imageUrl || '';
+      // COA results (lab-results.js); a tested Δ9-THC stands in when the record lists none
+      const lab = labs ? labs.parseLabResults(it.lab || it.labResults || it.coa) : null;
+      const labDelta9 = lab?.cannabinoids.find(c => c.id === 'd9-thc')?.percent;
+      const cbd = it.cbd ?? it.cbdPercent ?? lab?.cannabinoids.find(c => c.id === 'cbd')?.percent ?? null;
 
       const product = {
+        // Stable ID the answer contract's productIds refer to
+        id: String(it.id || it.sku || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')),
         name,
-        type: 'THCa Flower',
+        productType,
+        // Flower keeps the compliance label; other types show their own type name
+        type: productType === 'flower' || !types ? 'THCa Flower' : (it.type || types.PRODUCT_TYPES[productType].label),
         thc: thcaPct ? `THCa ${toPercent(thcaPct)}` : 'THCa --',
-        cbd: legalNote,
+        // CBD as listed by the record or its COA; null (slot hidden on the card) when neither has it
+        cbd: cbd === null || cbd === '' ? null : toPercent(cbd),
+        cannabinoid: it.cannabinoid || null,
+        details: typeModel.details,
+        onset: typeModel.onset,
+        duration: typeModel.duration,
         price,
-        description: it.description || 'Farm Bill compliant THCa hemp flower',
+        priceAmount: priceModel.price ? priceModel.price.amount : null,
+        currency: priceModel.price ? priceModel.price.currency : null,
+        variants: priceModel.variants,
+        pricePerGram: priceModel.pricePerGram,
+        description: it.description || this.complianceDescription(productType, legal),
         availability: it.availability || 'In Stock',
         strain,
-        effects: it.effects || pickEffects(strain),
+        thcaPercent: Number.isFinite(Number(thcaPct)) && thcaPct !== null ? Number(thcaPct) : null,
+        // From the record itself (hempDerived, or its own name/description), never from the text above
+        hempDerived: jurisdictions ? jurisdictions.hempOriginOf(it) : (typeof it.hempDerived === 'boolean' ? it.hempDerived : null),
+        delta9Percent: it.delta9Percent ?? it.d9Percent ?? labDelta9 ?? null,
+        lab,
+        // Canonical labels from effects-taxonomy.js ("Relaxing" → "Relaxed"); strain defaults when none are listed
+        effects: taxonomy ? taxonomy.normalizeEffects(it.effects?.length ? it.effects : taxonomy.strainEffects(strain)) : (it.effects || []),
         dispensaryUrl: url,
         imageUrl: img,
-        rating: typeof it.rating === 'number' ? it.rating : 4.6,
+        rating: typeof it.rating === 'number' ? it.rating : null,
       };
-      product.whyThisWorks = this.createWhyThisWorks(product, spec, ctx);
+      if (types) product.thc = types.formatPotency(product);
+      product.whyThisWorks = this.createWhyThisWorks(product, spec, { ...ctx, legal });
       return product;
     });
 
-    return normalized.filter(p => this.passesLegalFilter(p, spec));
-  }
-
-  passesLegalFilter(product, spec) {
-    // Ensure hemp-derived compliance emphasis is reflected
-    if (!spec || !spec.legal) return true;
-    const text = `${product.name} ${product.description} ${product.cbd}`.toLowerCase();
-    if (spec.legal.hempDerivedOnly) {
-      if (!(text.includes('hemp') || text.includes('farm bill') || text.includes('≤0.3'))) {
-        // Keep conservative: still allow THCa items when marked as THCa
-        return product.thc.toLowerCase().includes('thca');
+    if (!jurisdictions || !legal || ctx.keepBlocked) return normalized;
+    return normalized.filter((product) => {
+      const violations = jurisdictions.checkProduct(product, legal);
+      if (violations.length > 0) {
+        console.warn(`Blocked by ${legal.jurisdiction} rules: ${product.name} (${violations.join('; ')})`);
       }
-    }
-    return true;
+      return violations.length === 0;
+    });
   }
 
+  // Score products on every ProductSearchSpec field (see matching-engine.js);
+  // each returned product carries a `match` score breakdown for the UI
   rankProducts(products, spec) {
-    const pref = (spec?.strainPreference || 'hybrid').toLowerCase();
-    return [...products]
-      .map(p => {
-        let score = 0;
-        const n = `${p.name} ${p.strain} ${p.description}`.toLowerCase();
-        if (pref === 'indica' && n.includes('indica')) score += 3;
-        if (pref === 'sativa' && n.includes('sativa')) score += 3;
-        if (pref === 'hybrid' && n.includes('hybrid')) score += 2;
-        if (n.includes('thca')) score += 2;
-        if (n.includes('hemp')) score += 2;
-        if (spec?.priceBand === 'value' && /\$1\d|\$2\d/.test(p.price)) score += 1;
-        if (spec?.priceBand === 'premium' && /\$[5-9]\d|\$\d{3}/.test(p.price)) score += 1;
-        return { p, score };
-      })
-      .sort((a, b) => b.score - a.score)
-      .map(x => x.p);
+    const { ProductMatcher } = resolveSageModule('SageMatching', './matching-engine.js');
+    return new ProductMatcher().rank(products, spec);
+  }
+
+  // Top N of a ranking, mixing strain types, forms and price bands (matching-engine.js diversify);
+  // N is options.count, else RECOMMENDATION_COUNT, and DIVERSITY_LAMBDA sets score vs variety
+  diversifyProducts(ranked, { count = null } = {}) {
+    const { ProductMatcher, DIVERSITY_LAMBDA } = resolveSageModule('SageMatching', './matching-engine.js');
+    const configured = Number(count || this.config?.get('RECOMMENDATION_COUNT'));
+    const lambda = this.config?.get('DIVERSITY_LAMBDA');
+    return new ProductMatcher().diversify(ranked, {
+      count: Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_RECOMMENDATION_COUNT,
+      lambda: typeof lambda === 'number' && lambda >= 0 && lambda <= 1 ? lambda : DIVERSITY_LAMBDA
+    });
+  }
+
+  // "Hemp-derived, Farm Bill–compliant THCa flower": the jurisdiction profile's complianceLabel
+  // (spec.legal, else the loaded profile) with the product type
+  complianceDescription(productType, legal) {
+    const jurisdictions = resolveSageModule('SageJurisdictions', './jurisdiction-rules.js');
+    const rules = legal || (jurisdictions ? jurisdictions.legalRules(this.jurisdictionProfile) : null);
+    const typeLabel = {
+      flower: 'THCa flower',
+      'pre-roll': 'THCa pre-roll',
+      vape: 'vape',
+      edible: 'edible',
+      tincture: 'tincture',
+      concentrate: 'concentrate'
+    }[productType] || 'THCa flower';
+    const label = rules?.complianceLabel;
+    return label ? `${label} ${typeLabel}` : typeLabel.charAt(0).toUpperCase() + typeLabel.slice(1);
   }
 
   createWhyThisWorks(product, spec, ctx) {
     const level = ctx?.experienceLevel || spec?.experienceLevel || 'casual';
-    const base = `Hemp‑derived, Farm Bill–compliant THCa flower`; 
+    const base = this.complianceDescription(product.productType, ctx?.legal || spec?.legal);
     const track = level === 'new'
-      ? 'gentle, predictable effects without exceeding legal Δ9 limits'
+      ? 'gentle, predictable effects within legal limits'
       : level === 'experienced'
         ? 'potency headroom from THCa while remaining compliant'
         : 'balanced effects within compliant thresholds';
     const strainNote = product.strain && /indica/i.test(product.strain) ? 'helps with evening relaxation' :
                       product.strain && /sativa/i.test(product.strain) ? 'supports daytime focus and mood' :
                       'offers versatile, anytime use';
-    return `${base} — ${track}. ${strainNote}.`;
+    // Slow-onset types need the wait spelled out
+    const onsetNote = product.onset && product.onset.max >= 30
+      ? ` Effects take ${product.onset.min}–${product.onset.max} minutes to start, so wait before taking more.`
+      : '';
+    return `${base} — ${track}. ${strainNote}.${onsetNote}`;
   }
 
   // Test Ollama connectivity
@@ -630,13 +1252,13 @@ JSON ONLY:`;
     console.log(`=== TESTING OLLAMA CONNECTION ===`);
     
     try {
-      if (!window.Config || !window.Config.hasOllamaConnection()) {
+      if (!this.config || !this.config.hasOllamaConnection()) {
         const error = 'Ollama connection not configured';
         console.error(error);
         return { ollama: false, error };
       }
 
-      const ollamaHost = window.Config.get('OLLAMA_HOST');
+      const ollamaHost = this.config.get('OLLAMA_HOST');
       console.log(`Testing connection to: ${ollamaHost}`);
 
       // Test with a simple prompt using default model
@@ -901,4 +1523,11 @@ JSON ONLY:`;
 }
 
 // Make SageAPI available globally for browser use
-window.SageAPI = SageAPI;
+if (typeof window !== 'undefined') {
+  window.SageAPI = SageAPI;
+}
+
+// CommonJS export for Node tooling (mcp-server.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SageAPI, API_CONFIG, EXPERIENCE_BENEFITS, RESPONSE_SECTIONS };
+}
@@ -0,0 +1,295 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Output policy for model answers: what Sage may not say at a dispensary counter.
+//
+//   bannedClaims  { id, pattern, action, replacement, disclaimer }
+//                   action 'rewrite' replaces the matched words with `replacement`;
+//                   action 'replace-sentence' swaps the whole sentence for `replacement`
+//   disclaimers   per experience level, plus `all`; always shown under the answer
+//   maxDoseMg     THC ceiling per experience level; larger amounts in dose instructions
+//                 ("start with 10mg") are capped, product strengths are only noted
+//
+// Patterns may be RegExps or strings (so a policy can come from JSON config); strings
+// are compiled case-insensitive. Nothing here touches the DOM, so the policy can be
+// checked on its own: `node compliance-policy.js --level new answer.txt`.
+
+const DEFAULT_COMPLIANCE_POLICY = {
+  bannedClaims: [
+    {
+      id: 'disease-treatment',
+      pattern: /\b(?:cures?|cured|curing|treats?|treated|treating|heals?|healing|reverses?|prevents?)\s+(?:your\s+|the\s+|a\s+|an\s+)?(?:cancer|tumou?rs?|epilepsy|seizures?|ptsd|depression|anxiety disorders?|anxiety|insomnia|chronic pain|arthritis|glaucoma|diabetes|alzheimer'?s|parkinson'?s|multiple sclerosis|crohn'?s|addiction|adhd|autism|disease)\b/i,
+      action: 'replace-sentence',
+      replacement: "Sage can't say whether cannabis treats any medical condition.",
+      disclaimer: 'If you are managing a medical condition, talk to your doctor before using cannabis.'
+    },
+    {
+      id: 'medication-substitute',
+      pattern: /\b(?:instead of|replace|replacing|stop taking|come off|substitute for)\s+(?:your\s+)?(?:medications?|prescriptions?|meds|antidepressants?|painkillers?|opioids?)\b/i,
+      action: 'replace-sentence',
+      replacement: "Don't change or stop any prescribed medication without your doctor.",
+      disclaimer: 'If you take prescription medication, ask a pharmacist about interactions first.'
+    },
+    {
+      id: 'regulatory-approval',
+      pattern: /\b(?:fda[- ]approved|approved by the fda|doctor[- ]recommended|prescribed by doctors)\b/i,
+      action: 'replace-sentence',
+      replacement: 'Hemp-derived THCa products are not FDA-approved.'
+    },
+    { id: 'proven', pattern: /\b(?:clinically|scientifically|medically)\s+proven\b/i, action: 'rewrite', replacement: 'reported' },
+    { id: 'proven-to', pattern: /\bproven to\b/i, action: 'rewrite', replacement: 'reported to' },
+    { id: 'guaranteed', pattern: /\bguaranteed to\b/i, action: 'rewrite', replacement: 'likely to' },
+    { id: 'no-side-effects', pattern: /\b(?:no|zero) side[- ]effects\b/i, action: 'rewrite', replacement: 'side effects that vary by person' },
+    { id: 'absolute-safety', pattern: /\b(?:completely|totally|perfectly|100%)\s+safe\b|\bsafe for everyone\b/i, action: 'rewrite', replacement: 'generally well tolerated' },
+    { id: 'clinical-grade', pattern: /\b(?:clinical|medical|pharmaceutical)[- ]grade\b/i, action: 'rewrite', replacement: 'lab-tested' },
+    { id: 'certain-outcome', pattern: /\byou(?: will|'ll)(?= (?:feel|sleep|notice|experience|get)\b)/i, action: 'rewrite', replacement: 'you may' }
+  ],
+  disclaimers: {
+    all: ['This is general information, not medical advice. Effects vary from person to person.'],
+    new: [
+      'Start with a small amount and wait before taking more, especially with edibles.',
+      "Don't drive or operate machinery after using cannabis."
+    ],
+    casual: ["Don't drive or operate machinery after using cannabis."],
+    experienced: ["Tolerance doesn't reduce impairment; don't drive after using cannabis."]
+  },
+  maxDoseMg: { new: 5 }
+};
+
+// mg amounts that aren't a per-use THC dose: CBD amounts, package totals, concentrations
+const NOT_A_DOSE = /^\s*(?:of\s+)?(?:cbd|cbn|cbg|total|per (?:package|pack|bottle|jar|tin|container)|\/\s*ml|in (?:the|each) (?:package|pack|bottle))/i;
+// "10mg", "10 milligrams", ranges "2.5-10mg" and "2.5mg to 10mg". An optional trailing product
+// word ("a 10mg gummy") means the amount names a product's strength: that is annotated rather
+// than changed, and skipped after "half a"
+const MG_AMOUNT = /(\d+(?:\.\d+)?)(?:\s*(?:mg|milligrams?))?(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(mg|milligrams?)\b((?:\s+thc)?\s+(?:gumm(?:y|ies)|chocolates?|pieces?|squares?|bars?|mints?|capsules?|edibles?|servings?)\b)?/gi;
+const PORTION_BEFORE = /\b(?:half|quarter|third)\s+(?:of\s+)?(?:a|an|one|the)\s*$/i;
+// How many pieces an instruction takes ("take two 5mg gummies" is 10mg)
+const COUNT_BEFORE = /\b(one|two|three|four|five|a couple of|a few|\d+)\s+$/i;
+const COUNT_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, 'a couple of': 2, 'a few': 3 };
+// Text just before an amount that makes it a dose instruction ("start with about 10mg",
+// "take one 10mg gummy"); anything else ("each gummy has 10mg") is a fact and stays as written
+// (a decimal point, as in "2.5mg to 10mg", doesn't end the lookback)
+const DOSE_INSTRUCTION = /\b(?:take|taking|start(?:ing)?(?:\s+(?:off|out|low|small|slow))?\s+(?:with|at)|begin(?:ning)?\s+with|try(?:ing)?|eat(?:ing)?|stick(?:ing)?\s+(?:to|with)|work(?:ing)?\s+up\s+to|increase\s+to|go(?:ing)?\s+up\s+to|dose\s+of)\b(?:[^,;:.!?]|(?<=\d)\.(?=\d)){0,40}$/i;
+// Words whose period doesn't end a sentence
+const ABBREVIATION_BEFORE = /\b(?:dr|mr|mrs|ms|st|vs|approx|e\.g|i\.e)$/i;
+
+// Default policy with config overrides: maxDoseMg and disclaimers merge per level,
+// bannedClaims replaces the list and extraClaims adds to it
+function resolvePolicy(overrides) {
+  const base = DEFAULT_COMPLIANCE_POLICY;
+  const o = overrides && typeof overrides === 'object' ? overrides : {};
+  return {
+    bannedClaims: [...(Array.isArray(o.bannedClaims) ? o.bannedClaims : base.bannedClaims), ...(o.extraClaims || [])],
+    disclaimers: { ...base.disclaimers, ...(o.disclaimers || {}) },
+    maxDoseMg: { ...base.maxDoseMg, ...(o.maxDoseMg || {}) }
+  };
+}
+
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+  }
+  return new RegExp(String(pattern), 'gi');
+}
+
+// Sentences with their trailing whitespace, so joining them gives back the text. A period
+// only ends a sentence before whitespace, so "2.5mg" and "Dr. Smith" stay whole.
+function splitSentences(text) {
+  const sentences = [];
+  const boundary = /[.!?]+["')\]]*(?:\s+|$)/g;
+  let start = 0;
+  let match;
+  while ((match = boundary.exec(text)) && match[0].length > 0) {
+    const end = match.index + match[0].length;
+    if (match[0].startsWith('.') && end < text.length && ABBREVIATION_BEFORE.test(text.slice(start, match.index))) continue;
+    sentences.push(text.slice(start, end));
+    start = end;
+  }
+  if (start < text.length) sentences.push(text.slice(start));
+  return sentences;
+}
+
+// Apply the banned-claim rules to one text; returns { text, findings: [{ rule, match, action }] }
+function applyClaimRules(text, rules) {
+  let output = text;
+  const findings = [];
+
+  rules.forEach((rule) => {
+    const pattern = compilePattern(rule.pattern);
+    if (rule.action === 'replace-sentence') {
+      let replaced = false;
+      output = splitSentences(output).map((sentence) => {
+        pattern.lastIndex = 0;
+        const match = pattern.exec(sentence);
+        if (!match) return sentence;
+        findings.push({ rule: rule.id, match: match[0], action: replaced ? 'removed' : 'replaced-sentence' });
+        const trailing = sentence.match(/\s*$/)[0];
+        const result = replaced ? '' : `${rule.replacement}${trailing}`;
+        replaced = true;
+        return result;
+      }).join('');
+      return;
+    }
+
+    output = output.replace(pattern, (match) => {
+      findings.push({ rule: rule.id, match, action: 'rewritten' });
+      // Keep a leading capital when the claim starts a sentence
+      const replacement = rule.replacement || '';
+      return /^[A-Z]/.test(match) ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement;
+    });
+  });
+  return { text: output, findings };
+}
+
+// Dose instructions above the ceiling are capped: "start with 10mg" → "start with 5mg",
+// "try 2.5-10mg" → "try 2.5-5mg" (ranges keep their low end when it fits), and "take a 10mg
+// gummy" or "take two 5mg gummies" is annotated since the gummy's strength can't change. Amounts outside an instruction
+// are product facts ("each gummy has 10mg") and keep their numbers; they only add a 'noted'
+// finding, which puts the ceiling under the answer. CBD amounts and package totals are left alone.
+function capDoses(text, maxMg) {
+  const findings = [];
+  if (!Number.isFinite(maxMg)) return { text, findings };
+
+  const output = splitSentences(text).map(sentence => sentence.replace(MG_AMOUNT, (match, low, high, unit, productWord, offset, whole) => {
+    if (NOT_A_DOSE.test(whole.slice(offset + match.length))) return match;
+    const lowMg = parseFloat(low);
+    const highMg = high ? parseFloat(high) : lowMg;
+    const before = whole.slice(0, offset);
+    if (productWord && PORTION_BEFORE.test(before)) return match;
+    const instruction = DOSE_INSTRUCTION.test(before);
+    const countWord = productWord && instruction ? before.match(COUNT_BEFORE)?.[1].toLowerCase() : null;
+    const count = countWord ? (COUNT_WORDS[countWord] ?? parseInt(countWord, 10)) : 1;
+    if (highMg * count <= maxMg) return match;
+    if (!instruction) {
+      findings.push({ rule: 'max-dose', match, action: 'noted' });
+      return match;
+    }
+    if (productWord) {
+      findings.push({ rule: 'max-dose', match, action: 'annotated' });
+      const total = count > 1 ? `${highMg * count}mg in all, ` : '';
+      return `${match} (${total}more than the ${maxMg}mg Sage suggests at once)`;
+    }
+    const mg = /^mg$/i.test(unit) ? 'mg' : ' milligrams';
+    const capped = lowMg < maxMg ? `${lowMg}-${maxMg}${mg}` : `${maxMg}${mg}`;
+    findings.push({ rule: 'max-dose', match, action: `capped to ${capped}` });
+    return capped;
+  })).join('');
+  return { text: output, findings };
+}
+
+function applyToText(text, policy, maxMg) {
+  const claims = applyClaimRules(String(text || ''), policy.bannedClaims);
+  const doses = capDoses(claims.text, maxMg);
+  return { text: doses.text, findings: [...claims.findings, ...doses.findings] };
+}
+
+// Apply the policy to a parsed answer ({ sections: { key: text }, answer?, answerText }, as the
+// products page parses it). Returns the same shape plus `disclaimers` (level disclaimers and
+// any triggered by a finding) and `report: { findings: [{ rule, match, action, where }] }`.
+function applyCompliancePolicy(parsed, { experienceLevel = 'casual', policy } = {}) {
+  const resolved = policy || resolvePolicy();
+  const maxMg = resolved.maxDoseMg[experienceLevel];
+  const findings = [];
+  const apply = (text, where) => {
+    const result = applyToText(text, resolved, maxMg);
+    result.findings.forEach(finding => findings.push({ ...finding, where }));
+    return result.text;
+  };
+
+  const sections = {};
+  Object.entries(parsed.sections || {}).forEach(([key, text]) => {
+    sections[key] = apply(text, key);
+  });
+
+  let answer = parsed.answer || null;
+  if (answer) {
+    const checkedSections = {};
+    Object.entries(answer.sections).forEach(([key, section]) => {
+      checkedSections[key] = {
+        text: sections[key] ?? apply(section.text, key),
+        bullets: section.bullets.map(bullet => apply(bullet, `${key}.bullets`))
+      };
+    });
+    answer = {
+      ...answer,
+      sections: checkedSections,
+      dosingSteps: answer.dosingSteps.map(step => ({
+        ...step,
+        instruction: apply(step.instruction, 'dosingSteps'),
+        amount: step.amount ? apply(step.amount, 'dosingSteps') : step.amount
+      }))
+    };
+  }
+
+  // answerText feeds the regex extractors; same rules, findings already counted above
+  const answerText = applyToText(parsed.answerText, resolved, maxMg).text;
+
+  const triggered = findings
+    .map(finding => resolved.bannedClaims.find(rule => rule.id === finding.rule)?.disclaimer)
+    .filter(Boolean);
+  if (findings.some(finding => finding.rule === 'max-dose')) {
+    triggered.push(`Start with no more than ${maxMg}mg THC at a time; Sage suggests that ceiling for ${experienceLevel} users.`);
+  }
+  const disclaimers = [...new Set([
+    ...(resolved.disclaimers.all || []),
+    ...(resolved.disclaimers[experienceLevel] || []),
+    ...triggered
+  ])];
+
+  return { ...parsed, sections, answer, answerText, disclaimers, report: { findings } };
+}
+
+// Policy lines for the answer prompt, so the model avoids what the filter would rewrite
+function policyPromptRules(experienceLevel, policy) {
+  const resolved = policy || resolvePolicy();
+  const rules = [
+    "- Don't claim that cannabis treats, cures or prevents any disease or condition, and never suggest replacing medication.",
+    '- Avoid "proven", "guaranteed", "no side effects" and "completely safe"; say plainly that effects vary between people.'
+  ];
+  const maxMg = resolved.maxDoseMg[experienceLevel];
+  if (Number.isFinite(maxMg)) {
+    rules.push(`- Keep every THC amount at or below ${maxMg}mg for this user.`);
+  }
+  return rules.join('\n');
+}
+
+const SageCompliancePolicy = {
+  DEFAULT_COMPLIANCE_POLICY,
+  resolvePolicy,
+  applyToText,
+  capDoses,
+  applyCompliancePolicy,
+  policyPromptRules
+};
+
+if (typeof window !== 'undefined') {
+  window.SageCompliancePolicy = SageCompliancePolicy;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageCompliancePolicy;
+
+  // CLI: node compliance-policy.js [--level new|casual|experienced] [file]; reads piped stdin
+  // without a file. The examples run with `npm run check:compliance`.
+  if (require.main === module) {
+    const fs = require('fs');
+    const args = process.argv.slice(2);
+    const levelFlag = args.indexOf('--level');
+    const level = levelFlag >= 0 ? args.splice(levelFlag, 2)[1] : 'casual';
+    if (!args[0] && process.stdin.isTTY) {
+      console.error('usage: node compliance-policy.js [--level new|casual|experienced] <file>  (or pipe the text in)');
+      process.exit(1);
+    }
+    const text = fs.readFileSync(args[0] || 0, 'utf8');
+    const result = applyCompliancePolicy({ sections: { answer: text }, answerText: text }, { experienceLevel: level });
+    console.log(result.sections.answer.trim());
+    console.log('');
+    result.disclaimers.forEach(line => console.log(`* ${line}`));
+    if (result.report.findings.length > 0) {
+      console.error(`\n${result.report.findings.length} finding(s):`);
+      result.report.findings.forEach(f => console.error(`  ${f.rule}: "${f.match}" → ${f.action}`));
+    }
+  }
+}
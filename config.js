@@ -10,14 +10,63 @@ class Config {
   constructor() {
     this.config = {
       OLLAMA_HOST: 'http://localhost:11435',  // CORS proxy port
+      // Stream tokens into the results page; disable for proxies that buffer responses
+      OLLAMA_STREAMING: true,
       // Dispensary/inventory source configuration
-      DISPENSARY_SOURCE: 'static',            // 'static' | 'apotheca' | 'none'
+      // Any id registered in SageInventoryAdapters.registry; unknown ids use mock products
+      DISPENSARY_SOURCE: 'static',            // 'static' | 'apotheca' | 'http' | 'none'
       // Default static inventory path (served alongside the app)
       INVENTORY_SOURCE_URL: './inventory/apotheca-thca.json',
-      // Optional proxy for live inventory fetches (if/when enabled)
-      INVENTORY_PROXY: ''
+      // Drop records that fail inventory-schema.js instead of rendering them with defaults
+      INVENTORY_STRICT: false,
+      // Optional proxy for live inventory fetches; '{url}' is replaced, otherwise the URL is appended
+      INVENTORY_PROXY: '',
+      // 'http' adapter: JSON endpoint, dotted path to the record array, and Sage field → record path map
+      INVENTORY_HTTP_URL: '',
+      INVENTORY_HTTP_ITEMS_PATH: '',
+      INVENTORY_FIELD_MAP: {},
+      // Strain/product names in answers that aren't in inventory: 'mark' | 'rewrite' | 'off'
+      ANSWER_GUARD_MODE: 'mark',
+      // Overrides for compliance-policy.js, e.g. { maxDoseMg: { new: 2.5 }, extraClaims: [...] }
+      COMPLIANCE_POLICY: null,
+      // Jurisdiction profile id: a file in JURISDICTION_RULES_PATH (store → state → federal via "extends")
+      JURISDICTION_PROFILE: 'apotheca',
+      JURISDICTION_RULES_PATH: './jurisdictions',
+      // Age gate (age-gate.js); the minimum age comes from the jurisdiction profile
+      AGE_GATE_ENABLED: true,
+      // 'web' | 'in-store'; in-store adds a staff override unlocked by the staff PIN
+      KIOSK_MODE: 'web',
+      // SHA-256 hex of the staff PIN, never the PIN itself
+      AGE_GATE_STAFF_PIN_SHA256: '',
+      // Re-ask after this many minutes (shared in-store kiosks); null keeps it for the session
+      AGE_GATE_TTL_MINUTES: null,
+      // Pre-flight crisis classifier (crisis-rules.js): safety response instead of products
+      CRISIS_CHECK_ENABLED: true,
+      // Medication interaction knowledge base (medication-interactions.js)
+      INTERACTIONS_KB_URL: './interactions/medication-interactions.json',
+      // Ask the local model when the intent router's heuristics are unsure (intent-router.js)
+      INTENT_MODEL_ENABLED: true,
+      // Ollama embedding model for semantic product matching (embedding-index.js); '' ranks by keywords
+      EMBEDDING_MODEL: 'nomic-embed-text',
+      // Products shown per answer, and score vs variety when picking them (1 = score only; matching-engine.js)
+      RECOMMENDATION_COUNT: 4,
+      DIVERSITY_LAMBDA: 0.5
     };
     this.loadConfig();
+    this.loadStreamingPreference();
+  }
+
+  loadStreamingPreference() {
+    // ?stream=0 or a stored 'false' switches to the blocking request flow
+    const urlStream = new URLSearchParams(window.location.search).get('stream');
+    if (urlStream !== null) {
+      this.set('OLLAMA_STREAMING', urlStream !== '0' && urlStream !== 'false');
+      return;
+    }
+    const storedStream = localStorage.getItem('OLLAMA_STREAMING');
+    if (storedStream !== null) {
+      this.config.OLLAMA_STREAMING = storedStream !== 'false';
+    }
   }
 
   loadConfig() {
@@ -103,6 +152,9 @@ class Config {
     if (key === 'INVENTORY_PROXY') {
       localStorage.setItem('INVENTORY_PROXY', value);
     }
+    if (key === 'OLLAMA_STREAMING') {
+      localStorage.setItem('OLLAMA_STREAMING', String(value));
+    }
   }
 
   hasOllamaConnection() {
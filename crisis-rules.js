@@ -0,0 +1,276 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Pre-flight safety classifier for customer prompts. A hit skips product recommendation and
+// the model entirely; the customer gets a fixed safety response with resources instead.
+//
+// Each rule in CRISIS_RULES declares:
+//   id, label     category key and a readable name
+//   severity      'emergency' | 'urgent' | 'caution'; the most severe hit wins
+//   patterns      RegExps that trigger the rule
+//   exclusions    RegExps that cancel it ("not pregnant")
+//   match(text, ctx)  optional extra matcher, for rules that need more than a regex
+//   examples      { hit: [...], miss: [...] } prompts the rule must and must not catch;
+//                 `npm run check:crisis` runs them all (test/crisis-rules.test.js)
+//   response      the safety answer: title, message, why, expect, steps and resources
+//
+// The rules are intentionally conservative: a false positive costs one product list, a
+// miss can cost much more. Resources are US numbers; change them per deployment.
+
+const SEVERITY_ORDER = ['emergency', 'urgent', 'caution'];
+
+const RESOURCES = {
+  emergency: { label: 'Emergency services', contact: 'Call 911' },
+  lifeline: { label: '988 Suicide & Crisis Lifeline', contact: 'Call or text 988', url: 'https://988lifeline.org' },
+  poison: { label: 'Poison Control', contact: '1-800-222-1222', url: 'https://www.poison.org' },
+  samhsa: { label: 'SAMHSA National Helpline (free, confidential, 24/7)', contact: '1-800-662-4357' },
+  motherToBaby: { label: 'MotherToBaby (medications and substances in pregnancy and breastfeeding)', contact: '1-866-626-6847', url: 'https://mothertobaby.org' },
+  animalPoison: { label: 'ASPCA Animal Poison Control', contact: '1-888-426-4435', url: 'https://www.aspca.org/pet-care/animal-poison-control' }
+};
+
+// Stated ages like "I'm 17", "16 years old", "16yo", "my daughter is 15". "I'm N" needs "years old"
+// or the end of the phrase after it, so "I'm 5 days sober" and "I'm 20 years into smoking" don't
+// count; "N years old" followed by a pet ("my 20 year old dog") doesn't either
+const STATED_AGE = /\b(?:i'?m|i am|im)\s+(\d{1,2})(?=\s*(?:$|[,.!?;]|(?:years?|yrs?)[- ]old\b|and\b|so\b|but\b))|\b(\d{1,2})\s*(?:-\s*)?(?:years?[- ]old|yrs?[- ]old|yo|y\/o)\b(?![- ]+(?:dogs?|cats?|pupp(?:y|ies)|kittens?|pets?|horses?|birds?|parrots?)\b)|\bmy (?:son|daughter|kid|child|boy|girl|teen|teenager)\s+is\s+(?:only\s+|just\s+)?(\d{1,2})\b(?!\s*(?:months?|weeks?|days?|hours?|minutes?|%|mg|pounds?|lbs?|kg)\b)/gi;
+
+const CRISIS_RULES = [
+  {
+    id: 'self-harm',
+    label: 'Self-harm or suicide',
+    severity: 'emergency',
+    patterns: [
+      /\b(?:kill(?:ing)?|hurt(?:ing)?|harm(?:ing)?|cut(?:ting)?) myself\b/i,
+      /\bsuicid(?:e|al)\b/i,
+      /\bend(?:ing)? (?:it all|my life)\b/i,
+      /\b(?:want|wanna|going|ready) to die\b/i,
+      /\b(?:feel(?:ing)? like|thinking about|think about) (?:dying|death|ending it)\b/i,
+      /\bwish (?:i was|i were|i'?d be) dead\b/i,
+      /\bdon'?t want to (?:live|be alive|be here|wake up)\b/i,
+      /\bself[- ]harm/i,
+      /\b(?:no reason to live|better off dead)\b/i,
+      /\bhow (?:much|many) .{0,30}\b(?:to|would|will) (?:kill (?:me|myself|a person|someone)|be lethal)\b/i
+    ],
+    exclusions: [],
+    examples: {
+      hit: ["I don't want to wake up tomorrow", 'thinking about killing myself', 'how many gummies would it take to kill me', 'I am thinking about ending my life', 'I feel like dying', 'I just want to die'],
+      miss: ['this workload is killing me', 'want something to help me relax', 'dying to try a new strain']
+    },
+    response: {
+      title: "You don't have to go through this alone",
+      message: "It sounds like you may be thinking about hurting yourself. Please reach out now: you can call or text 988 any time to talk with someone who cares. If you're in immediate danger, call 911.",
+      why: "Sage won't suggest cannabis right now. When you're struggling, cannabis can make feelings more intense, and a trained person can help in ways a product can't.",
+      expect: 'A 988 counselor will listen, help you work through what you are feeling, and connect you with local support. It is free and confidential.',
+      steps: ['Call or text 988 now, or call 911 if you are in danger.', 'If you can, stay with someone you trust or let them know how you feel.', 'Move away from anything you could use to hurt yourself.'],
+      resources: ['lifeline', 'emergency']
+    }
+  },
+  {
+    id: 'severe-symptoms',
+    label: 'Severe or emergency symptoms',
+    severity: 'emergency',
+    patterns: [
+      /\bchest (?:pain|pains|tightness|pressure)\b/i,
+      /\b(?:can'?t|cannot|trouble|difficulty|hard to) breath(?:e|ing)\b/i,
+      /\bshort(?:ness)? of breath\b/i,
+      /\b(?:having|had|is having|just had|went into|in)\s+(?:a\s+)?seizures?\b|\bseizing\b/i,
+      /\b(?:passed out|unconscious|unresponsive|won'?t wake up|fainted)\b/i,
+      /\b(?:i'?m|i am|im|is|are|was|been|started|keep|kept)\s+hallucinating\b/i,
+      /\b(?:having|just had|signs of|symptoms of|going to have)\s+(?:a\s+)?(?:heart attack|stroke)\b/i,
+      /\bcoughing (?:up )?blood\b/i,
+      /\b(?:severe|serious) (?:allergic|bleeding|reaction)\b|\banaphyla/i,
+      /\bcan'?t stop (?:throwing up|vomiting|puking)\b/i
+    ],
+    exclusions: [/\bstroke of (?:luck|genius)\b/i, /\bbreast ?stroke\b/i],
+    examples: {
+      hit: ['my friend passed out after an edible', 'chest pain after smoking', "can't stop throwing up for 2 days", 'I think I am having a stroke', 'my friend is having a seizure'],
+      miss: ['dealing with chronic pain', 'need something for my back', 'what a stroke of luck', "What strain for a stroke victim's caregiver", 'do edibles cause hallucinations?']
+    },
+    response: {
+      title: 'This needs medical help now',
+      message: 'What you describe can be a medical emergency. Call 911 now, or Poison Control at 1-800-222-1222 if cannabis or another substance may be involved.',
+      why: 'Sage is a product guide, not a medical service, and this is not something to wait out or treat with another product.',
+      expect: 'Emergency responders and Poison Control specialists can assess symptoms right away and tell you exactly what to do next.',
+      steps: ['Call 911 for chest pain, trouble breathing, seizures or someone who will not wake up.', 'Stay with the person; lay them on their side if they are vomiting or drowsy.', 'Keep the product packaging to show responders.'],
+      resources: ['emergency', 'poison']
+    }
+  },
+  {
+    id: 'overdose',
+    label: 'Overconsumption',
+    severity: 'urgent',
+    patterns: [
+      /\boverdos(?:e|ed|ing)\b/i,
+      // Someone took too much of cannabis or a product, or of nothing named ("I took too much."), so "too much coffee" doesn't count
+      /\b(?:i|we|he|she|they|my \w+)(?:'ve| have)?\s+(?:just\s+)?(?:took|ate|had|smoked|vaped|dabbed|taken|eaten|used) (?:way |far )?too (?:much|many)(?=\s*(?:$|[,.!?;]|(?:and|so|now|earlier|today|tonight|again|last night)\b|(?:of\s+)?(?:the |my |that |this |those |these )?(?:\d+\s*mg\s+)?(?:thca?|cannabis|weed|pot|edibles?|gumm(?:y|ies)|brownies?|cookies?|chocolates?|flower|bud|joints?|blunts?|bowls?|hits?|dabs?|wax|vapes?|carts?|pre-?rolls?|tinctures?|drops|mg|it|them)\b))/i,
+      // Too high right now: "I'm way too high", "my friend is too high", not "is 25% too high for a beginner"
+      /\b(?:i'?m|i am|im|i feel|i got|i'm feeling|feeling|we're|we are|we got|he'?s|she'?s|they're|my \w+ (?:is|got))\s+(?:so |way |far |really |much |a bit |kind of |too )*too high\b/i,
+      // Medicines and other pills, not only cannabis
+      /\b(?:took|taken|swallowed|ate|eaten|had)\s+(?:way |far )?too many (?:pills|tablets|capsules|meds|medications?|sleeping pills|painkillers)\b/i,
+      /\b(?:took|taken|swallowed|ate|eaten|drank|had)\s+(?:a |an |the |half (?:a |the )?)?(?:whole |entire |full )?(?:bottle|pack|box|handful|blister) of\b/i,
+      /\bwhole bottle of (?:pills|tablets|capsules|meds|medications?|sleeping pills|painkillers|tylenol|advil|melatonin)\b/i,
+      /\bgreen(?:ed|ing)? out\b/i,
+      /\b(?:edible|gummy|gummies|dose) (?:hit|hits|kicked in|is kicking in) (?:way )?too (?:hard|strong)\b/i,
+      /\bhow do i (?:stop|come down from) (?:being|feeling) high\b/i
+    ],
+    exclusions: [/\b(?:avoid|not|never|don'?t want to) (?:get(?:ting)? )?too high\b/i],
+    examples: {
+      hit: ['I ate too many gummies and feel awful', "I'm way too high, what do I do", 'greening out right now', 'I took too much.', 'my friend had too many edibles', 'I took too many pills', 'I swallowed a bottle of pills', 'she took a whole bottle of sleeping pills'],
+      miss: ['how do I avoid getting too high', 'a price not too high', 'first time trying edibles', 'Is 25% THCa too high for a beginner?', 'I had too much coffee, need something calm', 'how many servings are in a bottle of tincture?']
+    },
+    response: {
+      title: 'Feeling too high? Here is what to do',
+      message: "Too much cannabis is very unpleasant but usually passes. Stay somewhere safe and calm. If you have chest pain, trouble breathing or can't stay awake, call 911; for questions about what was taken, call Poison Control at 1-800-222-1222.",
+      why: "Sage won't recommend more products now. Taking anything else, including more cannabis or alcohol, can make things worse.",
+      expect: 'Effects from smoking usually ease within a few hours; edibles can last 6-8 hours or more. The intensity fades in waves.',
+      steps: ['Sit or lie down somewhere safe and comfortable; do not drive.', 'Sip water, breathe slowly, and have someone stay with you.', 'Call Poison Control with any questions, or 911 for severe symptoms.'],
+      resources: ['poison', 'emergency']
+    }
+  },
+  {
+    id: 'accidental-ingestion',
+    label: 'A child or pet ate cannabis',
+    severity: 'emergency',
+    patterns: [
+      /\b(?:kids?|child(?:ren)?|toddlers?|bab(?:y|ies)|sons?|daughters?|dogs?|pupp(?:y|ies)|cats?|kittens?|pets?)\s+(?:just\s+|may have\s+|might have\s+|has\s+|have\s+)?(?:ate|eaten|swallowed|got into|chewed(?: on| up)?)\b/i
+    ],
+    exclusions: [],
+    examples: {
+      hit: ['my kid ate my edibles', 'my baby ate a gummy', 'the dog got into my stash', 'my daughter may have swallowed a gummy'],
+      miss: ['child-resistant packaging for edibles', 'store gummies away from the kids', 'are edibles safe around dogs?']
+    },
+    response: {
+      title: 'Call Poison Control now',
+      message: 'If a child has eaten cannabis, call Poison Control at 1-800-222-1222 now, or 911 if they are very drowsy, hard to wake, having trouble breathing or having a seizure. For a pet, call your vet or ASPCA Animal Poison Control at 1-888-426-4435.',
+      why: 'Children and pets feel cannabis much more strongly than adults, and edibles can keep taking effect for hours. Sage is not the right help for this.',
+      expect: 'Poison Control specialists will ask what was eaten, how much and when, and tell you whether to watch at home or go to an emergency room.',
+      steps: ['Call Poison Control (1-800-222-1222) or 911 for a child; your vet or ASPCA Animal Poison Control for a pet.', 'Keep the packaging so you can say what and how much was eaten.', 'Stay with them and move any remaining product out of reach.'],
+      resources: ['poison', 'emergency', 'animalPoison']
+    }
+  },
+  {
+    id: 'pregnancy',
+    label: 'Pregnancy or breastfeeding',
+    severity: 'caution',
+    patterns: [
+      /\bpregnan(?:t|cy)\b/i,
+      /\bexpecting a baby\b/i,
+      /\btrying to (?:conceive|get pregnant)\b/i,
+      /\bbreast ?feeding\b|\bnursing (?:my|a|the) baby\b/i,
+      /\bmorning sickness\b/i
+    ],
+    exclusions: [/\bnot (?:currently |possibly )?pregnant\b/i, /\bpregnancy test came back negative\b/i],
+    examples: {
+      hit: ["I'm pregnant and can't sleep", 'anything safe while breastfeeding?', 'help with morning sickness'],
+      miss: ["I'm not pregnant, just stressed", 'help me sleep', 'nursing a sore knee']
+    },
+    response: {
+      title: 'Please talk with your care provider first',
+      message: "Sage doesn't recommend cannabis during pregnancy or while breastfeeding. THC can reach the baby, and there is no amount known to be safe.",
+      why: 'Product suggestions are turned off for this question because the safest choice is to check with your doctor, midwife or pharmacist first.',
+      expect: 'MotherToBaby specialists can answer questions about cannabis and other substances during pregnancy and breastfeeding, free and confidentially.',
+      steps: ['Talk with your OB/GYN, midwife or pharmacist about sleep, nausea or stress.', 'Call MotherToBaby at 1-866-626-6847 with questions.', 'If you need support with cannabis use, SAMHSA is available 24/7.'],
+      resources: ['motherToBaby', 'samhsa']
+    }
+  },
+  {
+    id: 'minor',
+    label: 'Under the minimum age',
+    severity: 'caution',
+    patterns: [
+      // Not possessive: "for my kid's birthday" is about the party, not the kid
+      /\bfor (?:my |a |our )?(?:kid|child|children|teen|teenager|toddler|baby|minor)s?\b(?!['’])/i,
+      /\b(?:give|giving|share|sharing)\b.{0,30}\b(?:to|with) (?:my |a |our )?(?:kid|child|children|teen|teenager|toddler|baby|minor)s?\b/i,
+      /\bin (?:high|middle) school\b/i
+    ],
+    exclusions: [/\bchild ?proof\b|\bchild-resistant\b|\baway from (?:the |my )?(?:kids|children)\b|\bout of reach of (?:kids|children)\b/i],
+    // A stated age under the minimum ("I'm 19" where the minimum is 21) also counts
+    match(text, { minimumAge = 21 } = {}) {
+      return [...text.matchAll(STATED_AGE)]
+        .filter(m => Number(m[1] ?? m[2] ?? m[3]) < minimumAge)
+        .map(m => m[0]);
+    },
+    examples: {
+      hit: ["I'm 17, what's good for anxiety?", 'can I give a gummy to my teenager', 'my 16 year old wants to try', "I'm 19 years old", 'something for my kids', 'my daughter is 15'],
+      miss: ["I'm 34 and new to this", "I'm 5 days sober", 'store gummies away from the kids', "anything for my kid's birthday party tonight? adults only", "I'm 20 years into smoking", 'my 20 year old dog has anxiety', 'my son is 25 and wants to try edibles']
+    },
+    response: {
+      title: 'Sage is for adults only',
+      message: 'Sage and the products here are only for adults of legal age. Cannabis can affect developing brains, and products should never be given to children or teens.',
+      why: "That's why Sage can't make recommendations for this question.",
+      expect: 'If a child has eaten cannabis, call Poison Control at 1-800-222-1222, or 911 if they are very drowsy or hard to wake.',
+      steps: ['Keep all cannabis products locked and out of reach of children.', 'For help or questions about substance use, SAMHSA is free and confidential.'],
+      resources: ['poison', 'samhsa']
+    }
+  }
+];
+
+const testAll = (patterns, text) => patterns.filter(pattern => pattern.test(text)).map(pattern => text.match(pattern)[0]);
+
+// Classify one prompt. Returns null when no rule applies, otherwise
+// { category, label, severity, matches: [...], hits: [{ category, severity, matches }] }
+// where category is the most severe hit. ctx.minimumAge feeds the minor rule.
+function classifyPrompt(text, ctx = {}) {
+  const prompt = String(text || '');
+  if (!prompt.trim()) return null;
+
+  const hits = CRISIS_RULES.map((rule) => {
+    const matches = [...testAll(rule.patterns || [], prompt), ...(rule.match ? rule.match(prompt, ctx) : [])];
+    if (matches.length === 0 || testAll(rule.exclusions || [], prompt).length > 0) return null;
+    return { category: rule.id, label: rule.label, severity: rule.severity, matches };
+  }).filter(Boolean);
+  if (hits.length === 0) return null;
+
+  hits.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+  return { ...hits[0], hits };
+}
+
+function resourceLine(key) {
+  const r = RESOURCES[key];
+  return r.url ? `${r.label}: ${r.contact} (${r.url})` : `${r.label}: ${r.contact}`;
+}
+
+// The safety response as a Sage answer contract object (answer-contract.js), so the results
+// page renders it like any other answer. It never lists products.
+function buildSafetyAnswer(classification) {
+  const rule = CRISIS_RULES.find(r => r.id === classification?.category) || CRISIS_RULES[0];
+  const r = rule.response;
+  return {
+    version: 1,
+    sections: {
+      introduction: { text: r.title, bullets: [] },
+      coreTopic: { text: r.message, bullets: r.resources.map(resourceLine) },
+      whyThisWorks: { text: r.why, bullets: [] },
+      whatToExpect: { text: r.expect, bullets: [] },
+      gettingStarted: { text: 'What to do now:', bullets: r.steps }
+    },
+    dosingSteps: [],
+    productIds: []
+  };
+}
+
+const SageCrisis = {
+  CRISIS_RULES,
+  RESOURCES,
+  classifyPrompt,
+  buildSafetyAnswer
+};
+
+if (typeof window !== 'undefined') {
+  window.SageCrisis = SageCrisis;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageCrisis;
+
+  // CLI: node crisis-rules.js "prompt"   → classify one prompt
+  if (require.main === module) {
+    const prompt = process.argv.slice(2).join(' ');
+    if (!prompt) {
+      console.error('usage: node crisis-rules.js "prompt"   (npm run check:crisis runs the rule examples)');
+      process.exit(1);
+    }
+    console.log(JSON.stringify(classifyPrompt(prompt), null, 2));
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Dose calculator for edibles and tinctures: turns a product's mg per serving (or per ml)
+// into a starting portion for the customer's experience level and tolerance, plus how long
+// to wait before taking more.
+//
+//   calculateDose(product, { experienceLevel, tolerance, maxMg })
+//   → { targetMg, doseMg, portion: { amount, unit, text }, waitMinutes, tooStrong, summary, notes }
+//
+// Portions round down to what can actually be measured (quarter gummies, 0.25ml on a
+// dropper), so the dose never exceeds the target. maxMg is the compliance ceiling
+// (compliance-policy.js maxDoseMg), which wins over the target.
+
+// Starting THC targets in mg by experience level, scaled by tolerance
+const TARGET_DOSE_MG = { new: 2.5, casual: 5, experienced: 10 };
+const TOLERANCE_FACTORS = { low: 0.5, average: 1, high: 1.5 };
+const TOLERANCE_LEVELS = Object.keys(TOLERANCE_FACTORS);
+
+// Wait before redosing, at least the product's onset; new users wait an extra hour
+const REDOSE_WAIT_MINUTES = { edible: 120, tincture: 60 };
+const NEW_USER_EXTRA_WAIT = 60;
+
+// Pieces split into quarters; capsules and drinks don't split evenly
+const PIECE_STEPS = [0.25, 0.5, 0.75, 1, 1.5, 2];
+const WHOLE_STEPS = [1, 2];
+const DROPPER_STEP_ML = 0.25;
+
+const PIECE_NOUNS = [
+  { pattern: /gumm/i, one: 'gummy', many: 'gummies', splits: true },
+  { pattern: /chocolate|bar\b/i, one: 'square', many: 'squares', splits: true },
+  { pattern: /mint|tablet|lozenge/i, one: 'mint', many: 'mints', splits: true },
+  { pattern: /capsule|softgel/i, one: 'capsule', many: 'capsules', splits: false },
+  { pattern: /seltzer|beverage|drink|soda|shot/i, one: 'drink', many: 'drinks', splits: false }
+];
+const DEFAULT_NOUN = { one: 'piece', many: 'pieces', splits: true };
+
+const FRACTION_WORDS = { 0.25: 'a quarter of a', 0.5: 'half a', 0.75: 'three quarters of a', 1: 'one', 1.5: 'one and a half', 2: 'two' };
+
+const round = (n, step = 0.1) => Math.round(n / step) * step;
+const formatMg = (mg) => `${Number(round(mg, 0.1).toFixed(1))}mg`;
+
+function pieceNoun(product) {
+  const text = `${product.name || ''} ${product.type || ''}`;
+  return PIECE_NOUNS.find(noun => noun.pattern.test(text)) || DEFAULT_NOUN;
+}
+
+function formatWait(minutes) {
+  if (minutes < 90) return `${minutes} minutes`;
+  const hours = round(minutes / 60, 0.5);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+// Starting target for a level and tolerance, capped by maxMg
+function targetDoseMg(experienceLevel, tolerance = 'average', maxMg = null) {
+  const base = TARGET_DOSE_MG[experienceLevel] ?? TARGET_DOSE_MG.casual;
+  const target = base * (TOLERANCE_FACTORS[tolerance] ?? 1);
+  return Number.isFinite(maxMg) ? Math.min(target, maxMg) : target;
+}
+
+// mg of THC in 1ml of a tincture: stated strength, else total ÷ bottle size, else one
+// serving taken as one 1ml dropper
+function tinctureMgPerMl(details) {
+  if (Number.isFinite(details.mgPerMl)) return { mgPerMl: details.mgPerMl, assumed: false };
+  if (Number.isFinite(details.totalMg) && details.volumeMl > 0) return { mgPerMl: details.totalMg / details.volumeMl, assumed: false };
+  if (Number.isFinite(details.mgPerServing)) return { mgPerMl: details.mgPerServing, assumed: true };
+  return null;
+}
+
+// Largest measurable step whose dose fits the target; the smallest step when none does
+function pickStep(steps, mgPerStep, target) {
+  const fits = steps.filter(step => step * mgPerStep <= target + 1e-9);
+  return fits.length > 0 ? fits[fits.length - 1] : steps[0];
+}
+
+// Dose for one normalized product; null for types dosed by inhalation or without mg data
+function calculateDose(product, { experienceLevel = 'casual', tolerance = 'average', maxMg = null } = {}) {
+  const type = product?.productType;
+  if (type !== 'edible' && type !== 'tincture') return null;
+  const details = product.details || {};
+  const targetMg = targetDoseMg(experienceLevel, tolerance, maxMg);
+  const notes = [];
+  let portion;
+  let doseMg;
+
+  if (type === 'edible') {
+    const mg = details.mgPerServing;
+    if (!(mg > 0)) return null;
+    const noun = pieceNoun(product);
+    const amount = pickStep(noun.splits ? PIECE_STEPS : WHOLE_STEPS, mg, targetMg);
+    doseMg = amount * mg;
+    portion = { amount, unit: noun.one, text: `${FRACTION_WORDS[amount]} ${amount <= 1 ? noun.one : noun.many}` };
+  } else {
+    const strength = tinctureMgPerMl(details);
+    if (!strength || !(strength.mgPerMl > 0)) return null;
+    const ml = Math.max(DROPPER_STEP_ML, Math.floor(targetMg / strength.mgPerMl / DROPPER_STEP_ML) * DROPPER_STEP_ML);
+    doseMg = ml * strength.mgPerMl;
+    portion = { amount: ml, unit: 'ml', text: `${ml}ml` };
+    if (strength.assumed) notes.push('Assumes one serving is a 1ml dropper; check the label.');
+  }
+
+  const onsetMax = product.onset?.max ?? 0;
+  const waitMinutes = Math.max(REDOSE_WAIT_MINUTES[type], onsetMax) + (experienceLevel === 'new' ? NEW_USER_EXTRA_WAIT : 0);
+  // Even the smallest measurable portion is over the target: say so instead of suggesting it
+  const tooStrong = doseMg > targetMg + 1e-9;
+  const summary = tooStrong
+    ? `Too strong to start with: the smallest practical portion (${portion.text}) is ${formatMg(doseMg)}, above the ${formatMg(targetMg)} suggested. A lower-dose product is a better fit.`
+    : `Start with ${portion.text} (${formatMg(doseMg)} THC), then wait at least ${formatWait(waitMinutes)} before taking more.`;
+  return { targetMg, doseMg, portion, waitMinutes, tooStrong, summary, notes };
+}
+
+const SageDosing = {
+  TARGET_DOSE_MG,
+  TOLERANCE_LEVELS,
+  targetDoseMg,
+  calculateDose,
+  formatWait
+};
+
+if (typeof window !== 'undefined') {
+  window.SageDosing = SageDosing;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageDosing;
+}
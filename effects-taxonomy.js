@@ -0,0 +1,240 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Effects taxonomy: one vocabulary for inventory effects, search specs, matching and card tags.
+//
+// Each effect has a canonical id and label, the words that mean the same thing, the words for
+// what it helps with ("anxiety" → calm), related effects a question implies, opposite effects
+// and a strain lean. Anything else maps by id, so "Relaxing" and "relaxation" are both relaxed:
+//
+//   normalizeEffects(['Relaxing', 'Mellow', 'Uplifting'])  → ['Relaxed', 'Calm', 'Uplifted']
+//   readEffects('sleep but not groggy')                     → { desired: ['sleep', 'relaxed'], avoid: ['energetic', 'focus'] }
+//   opposingEffects(['sleep'])                              → ['energetic', 'focus']
+//
+// Effects outside the taxonomy keep their own (title-cased) label and match by that label only.
+
+const EFFECTS = {
+  relaxed: {
+    label: 'Relaxed',
+    synonyms: ['relaxed', 'relax', 'relaxing', 'relaxation', 'unwind', 'unwinding', 'body high', 'loose'],
+    helps: [],
+    related: ['calm'],
+    opposites: [],
+    strainLean: 'indica'
+  },
+  calm: {
+    label: 'Calm',
+    synonyms: ['calm', 'calming', 'mellow', 'chill', 'chilled', 'peaceful', 'tranquil', 'serene'],
+    helps: ['anxiety', 'anxious', 'anxiety relief', 'stress', 'stressed', 'stress relief', 'jittery', 'paranoid', 'paranoia'],
+    related: ['relaxed'],
+    opposites: [],
+    strainLean: 'indica'
+  },
+  sleep: {
+    label: 'Sleep',
+    synonyms: ['sleep', 'sleepy', 'sleeping', 'asleep', 'sedating', 'sedated', 'sedative', 'drowsy', 'restful', 'deep rest', 'couch lock', 'couch-lock', 'couchlock'],
+    helps: ['insomnia', 'trouble sleeping'],
+    related: ['relaxed'],
+    opposites: ['energetic', 'focus'],
+    strainLean: 'indica'
+  },
+  energetic: {
+    label: 'Energetic',
+    synonyms: ['energetic', 'energy', 'energizing', 'energising', 'energized', 'awake', 'alert', 'active', 'motivated', 'motivation'],
+    helps: ['fatigue', 'fatigued', 'sluggish', 'groggy'],
+    related: ['focus'],
+    opposites: ['sleep'],
+    strainLean: 'sativa'
+  },
+  focus: {
+    label: 'Focus',
+    synonyms: ['focus', 'focused', 'focusing', 'concentrate', 'concentration', 'clear-headed', 'clear headed', 'clarity', 'productive', 'productivity'],
+    helps: ['distracted', 'brain fog'],
+    related: ['energetic'],
+    opposites: ['sleep'],
+    strainLean: 'sativa'
+  },
+  uplifted: {
+    label: 'Uplifted',
+    synonyms: ['uplifted', 'uplifting', 'uplift', 'happy', 'happiness', 'euphoric', 'euphoria', 'cheerful', 'giggly', 'good mood', 'elevated'],
+    helps: [],
+    related: [],
+    opposites: [],
+    strainLean: null
+  },
+  creative: {
+    label: 'Creative',
+    synonyms: ['creative', 'creativity', 'inspired', 'inspiration', 'artistic', 'imaginative'],
+    helps: [],
+    related: ['uplifted'],
+    opposites: [],
+    strainLean: null
+  },
+  social: {
+    label: 'Social',
+    synonyms: ['social', 'sociable', 'talkative', 'chatty', 'outgoing', 'party', 'parties'],
+    helps: [],
+    related: ['uplifted'],
+    opposites: [],
+    strainLean: null
+  },
+  balanced: {
+    label: 'Balanced',
+    synonyms: ['balanced', 'balance', 'well-rounded', 'well rounded', 'even-keeled'],
+    helps: [],
+    related: [],
+    opposites: [],
+    strainLean: null
+  }
+};
+const EFFECT_IDS = Object.keys(EFFECTS);
+
+// Defaults for records that list no effects
+const STRAIN_EFFECTS = {
+  indica: ['relaxed', 'calm', 'sleep'],
+  sativa: ['energetic', 'uplifted', 'focus'],
+  hybrid: ['balanced', 'relaxed', 'uplifted']
+};
+
+// "not sleepy", "no couch lock", "without feeling anxious", "don't want to be too wired"
+const NEGATION = /\b(?:not|no|without|avoid|never|don'?t want(?: to)?|nothing)\s+(?:\w+\s+){0,2}$/;
+
+const escapeEffectWord = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const effectWords = (text) => String(text ?? '').toLowerCase().replace(/[^a-z' -]+/g, ' ').replace(/\s+/g, ' ').trim();
+const titleCase = (text) => text.replace(/\b[a-z]/g, c => c.toUpperCase());
+
+// word → canonical id, for labels, synonyms and what an effect helps with
+const EFFECT_LOOKUP = new Map();
+EFFECT_IDS.forEach((id) => {
+  const effect = EFFECTS[id];
+  [id, effect.label, ...effect.synonyms, ...effect.helps].forEach(word => EFFECT_LOOKUP.set(effectWords(word), id));
+});
+
+// Longest words first so "anxiety relief" wins over "anxiety"
+const EFFECT_PATTERN = new RegExp(
+  `\\b(?:${[...EFFECT_LOOKUP.keys()].sort((a, b) => b.length - a.length).map(escapeEffectWord).join('|')})\\b`,
+  'g'
+);
+
+// Canonical id for an effect name; unknown names get a slug of their own, empty ones null
+function effectId(name) {
+  const words = effectWords(name);
+  if (!words) return null;
+  return EFFECT_LOOKUP.get(words) || words.replace(/[^a-z]+/g, '-').replace(/^-|-$/g, '') || null;
+}
+
+function isKnownEffect(name) {
+  return EFFECT_LOOKUP.has(effectWords(name));
+}
+
+// Display label for an id or name; unknown names are title-cased
+function effectLabel(name) {
+  const id = effectId(name);
+  if (!id) return null;
+  return EFFECTS[id] ? EFFECTS[id].label : titleCase(effectWords(name));
+}
+
+// Effect names → canonical labels, deduped, in the order given
+function normalizeEffects(list) {
+  const seen = new Set();
+  const labels = [];
+  (Array.isArray(list) ? list : (list ? [list] : [])).forEach((name) => {
+    const id = effectId(name);
+    if (!id || seen.has(id)) return;
+    seen.add(id);
+    labels.push(effectLabel(name));
+  });
+  return labels;
+}
+
+function strainEffects(strain) {
+  const text = String(strain || '').toLowerCase();
+  const key = Object.keys(STRAIN_EFFECTS).find(s => text.includes(s)) || 'hybrid';
+  return STRAIN_EFFECTS[key].map(id => EFFECTS[id].label);
+}
+
+// Effects a question asks for and rules out, desired in the order stated. A negated word only
+// ever rules something out: "not sleepy" avoids sleep, and "not groggy" (a problem, not an
+// effect) adds nothing, so it can't turn "help me sleep" into a request for energy. When two
+// wanted effects oppose each other the first one stated wins. Related effects follow, and the
+// opposites of what's asked for are avoided too.
+function readEffects(text) {
+  const q = effectWords(text);
+  const stated = [];
+  const avoid = [];
+  const add = (list, id) => { if (!list.includes(id)) list.push(id); };
+  const opposes = (a, b) => EFFECTS[a].opposites.includes(b) || EFFECTS[b].opposites.includes(a);
+
+  for (const match of q.matchAll(EFFECT_PATTERN)) {
+    const word = match[0];
+    const id = EFFECT_LOOKUP.get(word);
+    if (!NEGATION.test(q.slice(0, match.index))) add(stated, id);
+    else if (!EFFECTS[id].helps.includes(word)) add(avoid, id);
+  }
+
+  const desired = [];
+  const accept = (id) => {
+    if (!avoid.includes(id) && !desired.some(kept => opposes(kept, id))) add(desired, id);
+  };
+  stated.forEach(accept);
+  [...desired].forEach(id => EFFECTS[id].related.forEach(accept));
+  opposingEffects(desired).forEach(id => add(avoid, id));
+  return { desired, avoid };
+}
+
+// Opposites of the given effects that aren't wanted themselves
+function opposingEffects(ids) {
+  const wanted = new Set(ids || []);
+  const opposites = [];
+  EFFECT_IDS.forEach((id) => {
+    const opposed = [...wanted].some(w => EFFECTS[w]?.opposites.includes(id) || EFFECTS[id].opposites.includes(w));
+    if (opposed && !wanted.has(id)) opposites.push(id);
+  });
+  return opposites;
+}
+
+// Strain lean for effects in the order asked: whichever lean most of them share, and on a tie
+// the lean of the first one that has one; null when none leans
+function strainLeanOf(ids) {
+  const leans = (ids || []).map(id => EFFECTS[id]?.strainLean).filter(Boolean);
+  const sativa = leans.filter(lean => lean === 'sativa').length;
+  const indica = leans.length - sativa;
+  if (sativa !== indica) return sativa > indica ? 'sativa' : 'indica';
+  return leans[0] || null;
+}
+
+const SageEffects = {
+  EFFECTS,
+  EFFECT_IDS,
+  STRAIN_EFFECTS,
+  effectId,
+  isKnownEffect,
+  effectLabel,
+  normalizeEffects,
+  strainEffects,
+  readEffects,
+  opposingEffects,
+  strainLeanOf
+};
+
+if (typeof window !== 'undefined') {
+  window.SageEffects = SageEffects;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageEffects;
+
+  // CLI: node effects-taxonomy.js "prompt"   → effects one prompt asks for and avoids
+  if (require.main === module) {
+    const prompt = process.argv.slice(2).join(' ');
+    if (!prompt) {
+      console.error('usage: node effects-taxonomy.js "prompt"   (npm run check:effects runs the examples)');
+      process.exit(1);
+    }
+    const { desired, avoid } = readEffects(prompt);
+    const labels = ids => ids.map(id => EFFECTS[id].label);
+    console.log(JSON.stringify({ desired: labels(desired), avoid: labels(avoid), strainLean: strainLeanOf(desired) }, null, 2));
+  }
+}
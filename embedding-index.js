@@ -0,0 +1,201 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Semantic product matching. EmbeddingIndex embeds each product's description, effects and
+// lab notes through an embedding function (SageAPI passes Ollama's /api/embed) and keeps the
+// vectors in a localStorage-like cache:
+//
+//   { model, fingerprint, vectors: { [productId]: { hash, vector } } }
+//
+// A product whose text changed is embedded again; unchanged ones reuse their vector, and a
+// different model starts over. similarities(query, products) gives the cosine similarity of
+// the question to each product. Without an embedding model, keywordScores compares question
+// words, and the effects they name (effects-taxonomy.js), with each product's text.
+//
+// The matcher's relevance signal reads either one from spec.relevance:
+//   { source: 'embeddings' | 'keywords', scores: { [productId]: 0..1 }, similarity?, matches? }
+
+const EMBEDDING_CACHE_KEY = 'sageEmbeddingIndex';
+const EMBEDDING_BATCH_SIZE = 16;
+// Decimal places kept for cached vectors; enough for ranking and keeps localStorage small
+const EMBEDDING_PRECISION = 4;
+// Cosine similarity mapped to relevance 0..1: unrelated text sits near the floor, close matches
+// reach the ceiling. Fixed, so near-identical scores stay near-identical.
+const RELEVANCE_RANGE = { floor: 0.3, ceiling: 0.8 };
+
+const KEYWORD_STOPWORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'get', 'give',
+  'good', 'have', 'help', 'i', 'in', 'is', 'it', 'its', 'just', 'like', 'me', 'my', 'need', 'of', 'on', 'or',
+  'please', 'recommend', 'should', 'so', 'some', 'something', 'that', 'the', 'this', 'to', 'try', 'want',
+  'what', 'when', 'which', 'while', 'with', 'would', 'you', 'after', 'before', 'really', 'best'
+]);
+
+function embeddingSibling(globalName, modulePath) {
+  if (typeof window !== 'undefined' && window[globalName]) return window[globalName];
+  return typeof require === 'function' ? require(modulePath) : null;
+}
+
+// The text a product is embedded and keyword-matched by
+function productEmbeddingText(product) {
+  const labs = product.lab ? embeddingSibling('SageLabResults', './lab-results.js') : null;
+  return [
+    product.name,
+    [product.strain, product.type].filter(Boolean).join(' '),
+    (product.effects || []).length > 0 ? `Effects: ${product.effects.join(', ')}` : '',
+    product.description,
+    labs ? `Lab: ${labs.labSummary(product.lab)}` : ''
+  ].filter(Boolean).join('. ');
+}
+
+// FNV-1a, enough to tell whether a product's text changed
+function textHash(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+function inventoryFingerprint(model, products) {
+  const parts = (products || []).map(p => `${p.id}:${textHash(productEmbeddingText(p))}`).sort();
+  return textHash(`${model}|${parts.join('|')}`);
+}
+
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// { id: similarity } → { id: 0..1 } on RELEVANCE_RANGE, not relative to the other candidates,
+// so a 0.61 vs 0.60 tie doesn't become full relevance vs none
+function similarityScores(similarity, { floor, ceiling } = RELEVANCE_RANGE) {
+  return Object.fromEntries(Object.entries(similarity || {}).map(([id, value]) => [
+    id,
+    Math.min(1, Math.max(0, (value - floor) / (ceiling - floor)))
+  ]));
+}
+
+const keywordStem = (word) => word.replace(/(?:ing|ed|es|s)$/, '').slice(0, 8);
+const contentWords = (text) => String(text || '').toLowerCase().match(/[a-z][a-z'-]+/g)?.filter(w => !KEYWORD_STOPWORDS.has(w)) || [];
+
+// Fallback relevance: the share of question words a product's text contains. A word that
+// names an effect ("unwind") also matches a product with that effect ("Relaxed").
+function keywordScores(query, products) {
+  const taxonomy = embeddingSibling('SageEffects', './effects-taxonomy.js');
+  const terms = [...new Set(contentWords(query))];
+  const scores = {};
+  const matches = {};
+  (products || []).forEach((product) => {
+    const words = new Set(contentWords(productEmbeddingText(product)).map(keywordStem));
+    const effects = new Set(taxonomy ? (product.effects || []).map(taxonomy.effectId) : []);
+    const hits = terms.filter(term => words.has(keywordStem(term)) ||
+      (taxonomy && taxonomy.isKnownEffect(term) && effects.has(taxonomy.effectId(term))));
+    scores[product.id] = terms.length > 0 ? hits.length / terms.length : 0;
+    matches[product.id] = hits;
+  });
+  return { scores, matches };
+}
+
+class EmbeddingIndex {
+  // embed: async (texts) → vectors, in order. storage: getItem/setItem (localStorage or a file), optional.
+  constructor({ model, embed, storage = null, cacheKey = EMBEDDING_CACHE_KEY } = {}) {
+    this.model = model;
+    this.embed = embed;
+    this.storage = storage;
+    this.cacheKey = cacheKey;
+    this.index = null;
+  }
+
+  loadCache() {
+    try {
+      const cached = JSON.parse(this.storage?.getItem(this.cacheKey) || 'null');
+      return cached && cached.model === this.model && cached.vectors ? cached : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  saveCache() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.cacheKey, JSON.stringify(this.index));
+    } catch (e) {
+      console.warn('Embedding index not cached:', e?.message || e);
+    }
+  }
+
+  // Index for these products, embedding only those that are new or changed since the cache
+  async build(products) {
+    const fingerprint = inventoryFingerprint(this.model, products);
+    if (this.index?.fingerprint === fingerprint) return this.index;
+    const previous = this.index || this.loadCache();
+    if (previous?.fingerprint === fingerprint) {
+      this.index = previous;
+      return this.index;
+    }
+
+    const vectors = {};
+    const pending = [];
+    products.forEach((product) => {
+      const text = productEmbeddingText(product);
+      const hash = textHash(text);
+      const known = previous?.vectors?.[product.id];
+      if (known && known.hash === hash) vectors[product.id] = known;
+      else pending.push({ id: product.id, text, hash });
+    });
+
+    for (let i = 0; i < pending.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = pending.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const embedded = await this.embed(batch.map(item => item.text));
+      if (!Array.isArray(embedded) || embedded.length !== batch.length) {
+        throw new Error(`expected ${batch.length} embeddings, got ${Array.isArray(embedded) ? embedded.length : 'none'}`);
+      }
+      batch.forEach((item, j) => {
+        const factor = 10 ** EMBEDDING_PRECISION;
+        vectors[item.id] = { hash: item.hash, vector: embedded[j].map(v => Math.round(v * factor) / factor) };
+      });
+    }
+
+    console.log(`Embedding index (${this.model}): ${pending.length} embedded, ${products.length - pending.length} from cache`);
+    this.index = { model: this.model, fingerprint, vectors };
+    this.saveCache();
+    return this.index;
+  }
+
+  // { [productId]: cosine similarity to the query }
+  async similarities(query, products) {
+    const index = await this.build(products);
+    const [queryVector] = await this.embed([String(query || '')]);
+    return Object.fromEntries(products.map(p => [p.id, cosineSimilarity(queryVector, index.vectors[p.id]?.vector)]));
+  }
+}
+
+const SageEmbeddings = {
+  EMBEDDING_CACHE_KEY,
+  EmbeddingIndex,
+  productEmbeddingText,
+  inventoryFingerprint,
+  RELEVANCE_RANGE,
+  cosineSimilarity,
+  similarityScores,
+  keywordScores
+};
+
+if (typeof window !== 'undefined') {
+  window.SageEmbeddings = SageEmbeddings;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageEmbeddings;
+}
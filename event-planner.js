@@ -0,0 +1,311 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Event planner: turns "4 day bachelorette party, 6 of us, 2 have never tried it" into a
+// shopping list. parseEventDetails pulls out the group size, days, sessions per day and
+// experience mix; planEvent estimates how much of each recommended product the group uses,
+// rounds up to whole packages, trims to the jurisdiction's purchase limits and totals the price.
+//
+//   parseEventDetails(text, { experienceLevel })
+//   → { people, days, sessionsPerDay, mix: { new, casual, experienced }, assumed: ['people', ...] }
+//   planEvent(details, products, { maxDoseMg, purchaseLimits, limitsName })
+//   → { details, summary, items: [{ productId, name, packages, perPackage, need, subtotal, limited, text }],
+//       total: { amount, currency }, notes }
+//
+// Item text refers to the product as [[id]], like answers do, so the results page can link it.
+//
+// Estimates are deliberately modest: a shared session, not a night of heavy use. Edibles and
+// tinctures use the starting dose for each person's level (dose-calculator.js).
+
+const EVENT_NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, couple: 2, 'a couple': 2, few: 3, 'a few': 3, dozen: 12, 'a dozen': 12
+};
+const EVENT_NUMBER = '(\\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|a couple|a few|a dozen)';
+
+const EVENT_LIMITS = { people: 30, days: 14, sessionsPerDay: 4 };
+// A party with no head count is planned for this many people (and says so)
+const DEFAULT_GROUP_SIZE = 4;
+const MAX_PLAN_ITEMS = 3;
+
+// What one person uses in one session, by experience level. Pre-rolls are shared, so a new
+// guest accounts for a quarter of one.
+const SESSION_USE = {
+  flower: { unit: 'g', new: 0.25, casual: 0.5, experienced: 1 },
+  'pre-roll': { unit: 'pre-roll', new: 0.25, casual: 0.5, experienced: 1 },
+  vape: { unit: 'g', new: 0.02, casual: 0.05, experienced: 0.1 },
+  concentrate: { unit: 'g', new: 0.02, casual: 0.05, experienced: 0.1 },
+  edible: { unit: 'mg' },
+  tincture: { unit: 'mg' }
+};
+
+// Package sizes assumed when a record doesn't list one
+const DEFAULT_PACKAGE = { flower: 3.5, 'pre-roll': 1, vape: 1, concentrate: 1 };
+const PRE_ROLL_GRAMS = 1;
+
+// Which purchase limit (jurisdiction purchaseLimits) each product type counts against
+const LIMIT_GROUPS = {
+  flower: 'flowerGrams',
+  'pre-roll': 'flowerGrams',
+  vape: 'concentrateGrams',
+  concentrate: 'concentrateGrams',
+  edible: 'edibleMg',
+  tincture: 'edibleMg'
+};
+const LIMIT_LABELS = { flowerGrams: 'g of flower', concentrateGrams: 'g of concentrate', edibleMg: 'mg THC in edibles' };
+
+function eventSibling(globalName, modulePath) {
+  if (typeof window !== 'undefined' && window[globalName]) return window[globalName];
+  return typeof require === 'function' ? require(modulePath) : null;
+}
+
+const eventNumber = (word) => {
+  const text = String(word).toLowerCase();
+  return /^\d+$/.test(text) ? parseInt(text, 10) : (EVENT_NUMBER_WORDS[text] ?? null);
+};
+
+const clampCount = (n, max) => Math.max(1, Math.min(max, n));
+const roundTo = (n, step) => Math.round(n / step) * step;
+
+function matchNumber(text, pattern) {
+  const match = text.match(new RegExp(pattern.replace('#', EVENT_NUMBER), 'i'));
+  return match ? eventNumber(match[1]) : null;
+}
+
+// Group size, days, sessions and experience mix for a prompt. Anything not stated is
+// filled with a default and listed in `assumed`.
+function parseEventDetails(text, { experienceLevel = 'casual' } = {}) {
+  const q = String(text || '').toLowerCase();
+  const assumed = [];
+
+  // "with 5 friends" and "me and 3 friends" count the customer too; "2 of us are new" is the mix
+  let people = matchNumber(q, '\\b(?:group|party|crew) of # ?(?:people|friends|guests|us)?\\b')
+    ?? matchNumber(q, '\\b# (?:of us|people|persons|guests|adults|girls|guys|ladies)\\b(?! (?:are|is|have)\\b)')
+    ?? matchNumber(q, '\\bfor # (?:friends|of my friends)\\b');
+  if (people === null) {
+    const withFriends = matchNumber(q, '\\b(?:with|me and|and) # (?:friends|buddies|others|people)\\b');
+    if (withFriends !== null) people = withFriends + 1;
+  }
+  if (people === null) {
+    const group = /\b(?:party|bachelor(?:ette)?|wedding|festival|reunion|birthday|game night|group|friends|we|us)\b/.test(q);
+    people = group ? DEFAULT_GROUP_SIZE : 1;
+    if (group) assumed.push('people');
+  }
+  people = clampCount(people, EVENT_LIMITS.people);
+
+  let days = matchNumber(q, '\\b#[- ]?(?:days?|nights?)\\b');
+  if (days === null) {
+    if (/\blong weekend\b/.test(q)) days = 3;
+    else if (/\bweekend\b/.test(q)) days = 2;
+    else if (/\b(?:a|the|all) week\b|\bweek-?long\b/.test(q)) days = 7;
+    else days = 1;
+  }
+  days = clampCount(days, EVENT_LIMITS.days);
+
+  let sessionsPerDay = matchNumber(q, '\\b# (?:sessions?|times) (?:a|per|each) day\\b');
+  if (sessionsPerDay === null) {
+    sessionsPerDay = days > 1 ? 2 : 1;
+    if (people > 1) assumed.push('sessionsPerDay');
+  }
+  sessionsPerDay = clampCount(sessionsPerDay, EVENT_LIMITS.sessionsPerDay);
+
+  // Experience mix: stated counts of new and experienced guests, everyone else at the customer's level
+  const mix = { new: 0, casual: 0, experienced: 0 };
+  const NEW_WORDS = '(?:new|first[- ]timers?|beginners?|newbies?|never tried(?: it)?|have never tried(?: it)?)';
+  const PRO_WORDS = '(?:experienced|regulars?|seasoned|heavy users?|stoners?)';
+  const countOf = (words) => {
+    if (new RegExp(`\\b(?:everyone|all of us|we are all|we're all)(?: is| are)? ${words}`).test(q)) return people;
+    if (new RegExp(`\\bhalf (?:of )?(?:us|them|the group)? ?(?:are|is)? ?${words}`).test(q)) return Math.floor(people / 2);
+    return matchNumber(q, `\\b# (?:of (?:us|them) )?(?:are |is |have )?${words}`) ?? 0;
+  };
+  mix.new = Math.min(people, countOf(NEW_WORDS));
+  mix.experienced = Math.min(people - mix.new, countOf(PRO_WORDS));
+  const level = ['new', 'casual', 'experienced'].includes(experienceLevel) ? experienceLevel : 'casual';
+  mix[level] += people - mix.new - mix.experienced;
+  if (mix.new === 0 && mix.experienced === 0 && people > 1) assumed.push('mix');
+
+  return { people, days, sessionsPerDay, mix, assumed };
+}
+
+// Size of one package of a product in its planning unit: grams, pre-rolls or mg THC
+function packageSize(product) {
+  const details = product.details || {};
+  const pricing = eventSibling('SagePricing', './pricing.js');
+  const grams = (value) => (pricing && value ? pricing.parseWeightGrams(value) : null);
+  switch (product.productType) {
+    case 'edible':
+    case 'tincture': {
+      const total = details.totalMg ?? (details.mgPerServing && details.servingsPerPackage ? details.mgPerServing * details.servingsPerPackage : null);
+      return total > 0 ? { amount: total, unit: 'mg', assumed: false } : null;
+    }
+    case 'pre-roll':
+      return details.packCount > 0
+        ? { amount: details.packCount, unit: 'pre-roll', assumed: false }
+        : { amount: DEFAULT_PACKAGE['pre-roll'], unit: 'pre-roll', assumed: true };
+    default: {
+      const size = grams(product.productType === 'vape' ? details.cartridgeSize : details.weight);
+      return size > 0
+        ? { amount: size, unit: 'g', assumed: false }
+        : { amount: DEFAULT_PACKAGE[product.productType] ?? DEFAULT_PACKAGE.flower, unit: 'g', assumed: true };
+    }
+  }
+}
+
+// Cheapest way to buy `need` units: one of the weight variants, else the listed package
+function choosePackage(product, need) {
+  const sized = (product.variants || []).filter(v => v.grams > 0 && Number.isFinite(v.amount));
+  if (sized.length > 0 && SESSION_USE[product.productType]?.unit === 'g') {
+    return sized
+      .map((v) => {
+        const packages = Math.max(1, Math.ceil(need / v.grams - 1e-9));
+        return { label: v.label, size: { amount: v.grams, unit: 'g', assumed: false }, price: v.amount, currency: v.currency, packages };
+      })
+      .sort((a, b) => (a.packages * a.price) - (b.packages * b.price) || a.packages - b.packages)[0];
+  }
+  const size = packageSize(product);
+  if (!size || !Number.isFinite(product.priceAmount)) return null;
+  return { label: null, size, price: product.priceAmount, currency: product.currency || 'USD', packages: Math.max(1, Math.ceil(need / size.amount - 1e-9)) };
+}
+
+// Amount of a package that counts against its purchase limit (grams or mg)
+function limitAmount(productType, size) {
+  return productType === 'pre-roll' ? size.amount * PRE_ROLL_GRAMS : size.amount;
+}
+
+const formatAmount = (amount, unit) => {
+  const value = unit === 'mg' ? Math.round(amount) : Number(roundTo(amount, 0.1).toFixed(1));
+  if (unit === 'pre-roll') return `${value} pre-roll${value === 1 ? '' : 's'}`;
+  return `${value}${unit}`;
+};
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+function describeDetails(details) {
+  const mix = ['new', 'casual', 'experienced']
+    .filter(level => details.mix[level] > 0)
+    .map(level => `${details.mix[level]} ${level}`);
+  return `${plural(details.people, 'person').replace('persons', 'people')}, ${plural(details.days, 'day')}, ` +
+    `${plural(details.sessionsPerDay, 'session')} a day (${mix.join(', ')})`;
+}
+
+// Shopping list for an event from ranked products. Sessions are shared evenly across the top
+// few products; maxDoseMg ({ new, casual, experienced }) caps edible doses; purchaseLimits
+// ({ flowerGrams, concentrateGrams, edibleMg }) trims packages, lowest-ranked first.
+function planEvent(details, products, { maxDoseMg = {}, purchaseLimits = {}, limitsName = 'the store' } = {}) {
+  const dosing = eventSibling('SageDosing', './dose-calculator.js');
+  const pricing = eventSibling('SagePricing', './pricing.js');
+  const notes = [];
+  const lines = (products || [])
+    .filter(p => p && SESSION_USE[p.productType] && (Number.isFinite(p.priceAmount) || (p.variants || []).length > 0))
+    .slice(0, MAX_PLAN_ITEMS);
+
+  const sessionsByLevel = Object.fromEntries(Object.entries(details.mix)
+    .map(([level, count]) => [level, count * details.days * details.sessionsPerDay]));
+  const share = lines.length > 0 ? 1 / lines.length : 0;
+
+  const items = lines.map((product) => {
+    const use = SESSION_USE[product.productType];
+    const need = Object.entries(sessionsByLevel).reduce((sum, [level, sessions]) => {
+      const perSession = use.unit === 'mg'
+        ? (dosing ? dosing.targetDoseMg(level, 'average', maxDoseMg[level] ?? null) : 0)
+        : use[level];
+      return sum + sessions * share * perSession;
+    }, 0);
+    const choice = choosePackage(product, need);
+    if (!choice) {
+      notes.push(`${product.name}: no package size or price listed, so it isn't in the total.`);
+      return null;
+    }
+    return { product, need, unit: use.unit, ...choice, limited: false };
+  }).filter(Boolean);
+
+  // Purchase limits: drop packages from the lowest-ranked line in a group until it fits
+  Object.entries(purchaseLimits || {}).forEach(([group, limit]) => {
+    if (!Number.isFinite(limit)) return;
+    const grouped = items.filter(item => LIMIT_GROUPS[item.product.productType] === group);
+    const used = () => grouped.reduce((sum, item) => sum + item.packages * limitAmount(item.product.productType, item.size), 0);
+    if (used() <= limit + 1e-9) return;
+    for (let i = grouped.length - 1; i >= 0 && used() > limit + 1e-9; i--) {
+      while (grouped[i].packages > 0 && used() > limit + 1e-9) {
+        grouped[i].packages -= 1;
+        grouped[i].limited = true;
+      }
+    }
+    notes.push(`Trimmed to ${limitsName}'s purchase limit of ${limit}${LIMIT_LABELS[group]} per visit.`);
+  });
+
+  // One note per assumed package size, for the products still on the list
+  const assumedSizes = {};
+  items.filter(item => item.packages > 0 && item.size.assumed).forEach((item) => {
+    const size = formatAmount(item.size.amount, item.size.unit);
+    (assumedSizes[size] = assumedSizes[size] || []).push(item.product.name);
+  });
+  Object.entries(assumedSizes).forEach(([size, names]) => {
+    notes.push(`Package size not listed for ${names.join(', ')}; planned as ${size} each.`);
+  });
+
+  const currency = items[0]?.currency || 'USD';
+  const planned = items.filter(item => item.packages > 0).map((item) => {
+    const subtotal = Math.round(item.packages * item.price * 100) / 100;
+    const size = formatAmount(item.size.amount, item.size.unit);
+    const label = item.label && item.label !== size ? `${item.label}, ${size}` : size;
+    return {
+      productId: item.product.id,
+      name: item.product.name,
+      productType: item.product.productType,
+      packages: item.packages,
+      perPackage: { amount: item.size.amount, unit: item.size.unit },
+      need: { amount: Math.round(item.need * 100) / 100, unit: item.unit },
+      unitPrice: { amount: item.price, currency: item.currency },
+      subtotal: { amount: subtotal, currency: item.currency },
+      limited: item.limited,
+      text: `${item.packages} × [[${item.product.id}]] (${label}) for about ${formatAmount(item.need, item.unit)}` +
+        `${item.limited ? ' (limited)' : ''}: ${pricing ? pricing.formatPrice({ amount: subtotal, currency: item.currency }) : subtotal}`
+    };
+  });
+  const total = { amount: Math.round(planned.reduce((sum, item) => sum + item.subtotal.amount, 0) * 100) / 100, currency };
+
+  if (details.assumed.includes('people')) notes.push(`Planned for ${details.people} people; say how many are coming for a closer estimate.`);
+  if (details.mix.new > 0) notes.push('Newcomers should start with one small serving and wait before having more.');
+  if (lines.length === 0) notes.push('None of the recommended products can be planned by quantity.');
+
+  return { details, summary: describeDetails(details), items: planned, total, notes };
+}
+
+// Prompt lines so the answer uses the calculated quantities instead of inventing its own
+function eventPlanPromptLines(plan) {
+  if (!plan || plan.items.length === 0) return '';
+  const pricing = eventSibling('SagePricing', './pricing.js');
+  const total = pricing ? pricing.formatPrice(plan.total) : plan.total.amount;
+  return `EVENT PLAN (already calculated for ${plan.summary}; use these quantities, don't invent others):
+${plan.items.map(item => `- ${item.text}`).join('\n')}
+- Total: ${total}`;
+}
+
+const SageEvents = {
+  SESSION_USE,
+  LIMIT_GROUPS,
+  parseEventDetails,
+  planEvent,
+  eventPlanPromptLines
+};
+
+if (typeof window !== 'undefined') {
+  window.SageEvents = SageEvents;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageEvents;
+
+  // CLI: node event-planner.js "prompt"   → parse one prompt
+  if (require.main === module) {
+    const prompt = process.argv.slice(2).join(' ');
+    if (!prompt) {
+      console.error('usage: node event-planner.js "prompt"   (npm run check:events runs the parsing examples)');
+      process.exit(1);
+    }
+    console.log(JSON.stringify(parseEventDetails(prompt), null, 2));
+  }
+}
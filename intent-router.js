@@ -0,0 +1,236 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Intent router: decides what kind of question a prompt is before anything else runs, so
+// each kind gets its own prompt template and results layout.
+//
+//   education       "What's the difference between indica and sativa?"   no product search, unless
+//                   it names a product or asks "which …" ("which flower has the most myrcene?")
+//   product-search  "Something for sleep under $40"
+//   dosing          "How much of a 10mg gummy should I take?"
+//   event-planning  "4 day bachelorette party - what should we get?"
+//   off-topic       "Write me a poem about cats"                          no product search
+//
+// classifyIntent scores heuristic patterns per intent. When the best score is weak, SageAPI
+// can ask the local model with INTENT_SCHEMA as Ollama's `format`; sanitizeIntent checks
+// that reply. Results carry { intent, confidence, source: 'heuristic' | 'model' | 'default' }.
+
+const INTENTS = ['education', 'product-search', 'dosing', 'event-planning', 'off-topic'];
+
+// Below this confidence the model is asked (when one is configured)
+const INTENT_MODEL_THRESHOLD = 0.6;
+
+// Words that make a prompt about cannabis at all; without any, it's off-topic
+const DOMAIN_TERMS = /\b(?:cannabis|marijuana|weed|pot|thca?|cbd|cbn|cbg|delta|hemp|strains?|indica|sativa|hybrid|terpenes?|edibles?|gumm(?:y|ies)|flower|buds?|vapes?|carts?|cartridges?|pre-?rolls?|joints?|blunts?|tinctures?|concentrates?|rosin|dabs?|dispensary|budtender|high|stoned|smoke|smoking|dose|dosing|dosage|mg|sleep|insomnia|anxiety|anxious|stress|pain|relax(?:ing|ed)?|calm|focus|energy|creative|mellow|buzz|munchies|tolerance|products?|recommend\w*|first time|beginner)\b/i;
+
+// A score this high routes a prompt even without cannabis vocabulary ("how much should I take?")
+const STRONG_SCORE = 3;
+
+// Each pattern adds its weight to the intent's score
+const INTENT_RULES = {
+  education: [
+    { pattern: /\b(?:what(?:'s| is| are)|whats)\b(?! (?:a |the )?(?:good|best))/i, weight: 2 },
+    { pattern: /\bdifference between\b|\bvs\.?\b|\bversus\b|\bcompared? to\b/i, weight: 3 },
+    { pattern: /\bhow (?:does|do|is)\b.*\b(?:work|made|affect|different|legal)\b/i, weight: 3 },
+    { pattern: /\b(?:why does|why do|explain|tell me about|learn about|meaning of|what does .* mean)\b/i, weight: 3 },
+    { pattern: /\b(?:terpenes?|entourage|decarb\w*|endocannabinoid|cannabinoids?|farm bill|legal(?:ity)?)\b/i, weight: 1 }
+  ],
+  'product-search': [
+    { pattern: /\b(?:recommend|suggest|looking for|need something|want something|anything for|something for|good for|best \w+ for)\b/i, weight: 3 },
+    { pattern: /\bwhat (?:should|can|could) (?:i|we) (?:get|buy|try|pick)\b/i, weight: 3 },
+    { pattern: /\b(?:buy|shop|order|in stock|budget|cheap|under \$?\d+|\$\d+)\b/i, weight: 2 },
+    { pattern: /\b(?:gumm(?:y|ies)|edibles?|pre-?rolls?|vapes?|carts?|flower|tinctures?|concentrates?)\b/i, weight: 1 },
+    { pattern: /\b(?:sleep|insomnia|anxiety|stress|pain|relax|focus|energy|creative|social)\b/i, weight: 1 }
+  ],
+  dosing: [
+    { pattern: /\bhow (?:much|many)\b(?!.*\b(?:cost|price|\$))/i, weight: 3 },
+    { pattern: /\b(?:dose|doses|dosing|dosage|micro-?dos\w*|redose|re-dose|milligrams?|\d+\s*mg)\b/i, weight: 3 },
+    { pattern: /\bhow long\b.*\b(?:kick in|take effect|last|wait|before)\b/i, weight: 3 },
+    { pattern: /\b(?:take more|too much|half a|start low)\b/i, weight: 1 }
+  ],
+  'event-planning': [
+    { pattern: /\b(?:party|bachelor(?:ette)?|wedding|festival|concert|camping|cabin|road trip|vacation|getaway|reunion|birthday|game night|event|celebration)\b/i, weight: 4 },
+    { pattern: /\b\d+[- ](?:day|night)s?\b|\b(?:weekend|all week)\b/i, weight: 2 },
+    { pattern: /\b(?:for|with) (?:\d+|a few|several|my|the) (?:people|friends|guests|of us|group|crew)\b|\bgroup\b/i, weight: 3 },
+    { pattern: /\b(?:we|us|our)\b/i, weight: 1 }
+  ]
+};
+
+// An education question that names a product type or asks "which …" still needs inventory
+const PRODUCT_QUESTION = /\bwhich\b|\b(?:products?|flower|buds|gumm(?:y|ies)|edibles?|pre-?rolls?|vapes?|carts?|cartridges?|tinctures?|concentrates?|rosin)\b/i;
+
+// When scores tie, the more specific intent wins
+const INTENT_PRIORITY = ['event-planning', 'dosing', 'product-search', 'education'];
+
+// Per-intent prompt template and results layout. needsProducts decides whether inventory
+// is searched; layout becomes a body class on the results page (intent-<layout>).
+const INTENT_TEMPLATES = {
+  education: {
+    label: 'Learn',
+    needsProducts: false,
+    layout: 'education',
+    focus: 'This is an education question. Teach the concept clearly; only name products from the list when the question asks which one.',
+    sections: {
+      introduction: 'Restate the question in plain words and say what the answer covers.',
+      coreTopic: 'Explain the concept accurately, with the depth their experience level calls for.',
+      whyThisWorks: 'The mechanism or evidence behind the explanation, and what is still uncertain.',
+      whatToExpect: 'How this shows up in practice when choosing or using cannabis.',
+      gettingStarted: 'How to apply what they learned next time they shop or ask a budtender.'
+    }
+  },
+  'product-search': {
+    label: 'Find products',
+    needsProducts: true,
+    layout: 'products',
+    focus: 'The customer is looking for a product. Match their needs to the products provided.',
+    sections: {
+      introduction: 'Acknowledge what they are looking for.',
+      coreTopic: 'Which of the provided products fit best and why, comparing them where useful.',
+      whyThisWorks: 'The reasoning behind the match: effects, potency, format, price.',
+      whatToExpect: 'Onset, duration and how the suggested products will feel.',
+      gettingStarted: 'Concrete first steps with the chosen product, including a starting amount.'
+    }
+  },
+  dosing: {
+    label: 'Dosing',
+    needsProducts: true,
+    layout: 'dosing',
+    focus: 'This is a dosing question. Lead with a specific starting amount and wait time; products are secondary.',
+    sections: {
+      introduction: 'Acknowledge the dosing question and their experience level.',
+      coreTopic: 'A specific starting amount, how to measure it, and how it differs by format.',
+      whyThisWorks: 'Why starting low and waiting matters: onset, metabolism, tolerance.',
+      whatToExpect: 'Timeline after the first dose: when effects start, peak and fade.',
+      gettingStarted: 'Step-by-step: first dose, how long to wait, when (and whether) to take more.'
+    }
+  },
+  'event-planning': {
+    label: 'Plan an occasion',
+    needsProducts: true,
+    layout: 'event',
+    focus: 'The customer is planning for an occasion or a group. Plan around the setting, the length of the event and everyone\'s experience.',
+    sections: {
+      introduction: 'Acknowledge the occasion, the group and how long it lasts.',
+      coreTopic: 'A plan: which of the provided products suit the occasion and how to pace them across it.',
+      whyThisWorks: 'Why these formats and potencies suit a group and the setting.',
+      whatToExpect: 'How the plan plays out over the event, including onset for edibles.',
+      gettingStarted: 'Practical steps: quantities, pacing, labelling, and keeping newcomers comfortable.'
+    }
+  },
+  'off-topic': {
+    label: 'Off topic',
+    needsProducts: false,
+    layout: 'off-topic',
+    focus: 'This question is not about cannabis. Say briefly and kindly that Sage only helps with cannabis questions, and suggest one or two things the customer could ask instead. Keep every section to one sentence.',
+    sections: {
+      introduction: 'A friendly note that this is outside what Sage can help with.',
+      coreTopic: 'What Sage can help with: products, effects, dosing and cannabis basics.',
+      whyThisWorks: 'Leave short.',
+      whatToExpect: 'Leave short.',
+      gettingStarted: 'One or two example questions they could ask.'
+    }
+  }
+};
+
+// JSON schema for the optional model classification (Ollama `format`)
+const INTENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: INTENTS },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  },
+  required: ['intent', 'confidence']
+};
+
+function intentResult(intent, confidence, source, scores = null, prompt = '') {
+  const template = INTENT_TEMPLATES[intent];
+  return {
+    intent,
+    label: template.label,
+    layout: template.layout,
+    needsProducts: template.needsProducts || (intent === 'education' && PRODUCT_QUESTION.test(prompt)),
+    confidence: Math.round(confidence * 100) / 100,
+    source,
+    ...(scores ? { scores } : {})
+  };
+}
+
+// Heuristic classification. Prompts with no cannabis vocabulary and no strong signal are off-topic; otherwise the
+// best-scoring intent wins, defaulting to product search (Sage's original behaviour).
+function classifyIntent(text) {
+  const prompt = String(text || '').trim();
+  if (!prompt) return intentResult('product-search', 0, 'default');
+
+  const scores = {};
+  Object.entries(INTENT_RULES).forEach(([intent, rules]) => {
+    scores[intent] = rules.reduce((sum, rule) => sum + (rule.pattern.test(prompt) ? rule.weight : 0), 0);
+  });
+  const total = Object.values(scores).reduce((a, b) => a + b, 0);
+
+  const best = INTENT_PRIORITY.reduce((a, b) => (scores[b] > scores[a] ? b : a));
+
+  // No cannabis vocabulary and no strong intent signal ("what's the weather")
+  if (!DOMAIN_TERMS.test(prompt) && scores[best] < STRONG_SCORE) {
+    return intentResult('off-topic', total === 0 ? 0.7 : 0.4, 'heuristic', scores);
+  }
+  if (total === 0) return intentResult('product-search', 0.3, 'default', scores);
+  return intentResult(best, scores[best] / total, 'heuristic', scores, prompt);
+}
+
+// Validate a model reply against INTENT_SCHEMA; null when unusable. `prompt` is the question it classified.
+function sanitizeIntent(candidate, prompt = '') {
+  const intent = String(candidate?.intent || '').toLowerCase().trim();
+  const confidence = Number(candidate?.confidence);
+  if (!INTENTS.includes(intent)) return null;
+  return intentResult(intent, Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5, 'model', null, String(prompt || ''));
+}
+
+// Prompt for the model classification
+function intentClassificationPrompt(text) {
+  return `Classify a dispensary customer's question into one intent. Intents:
+- education: wants to understand a concept (cannabinoids, strains, terpenes, effects, law), not to buy
+- product-search: wants a product recommendation
+- dosing: asks how much to take, how long to wait, or how strong something is
+- event-planning: planning for an occasion, a trip or a group of people
+- off-topic: not about cannabis
+QUESTION: "${text}"
+JSON ONLY:`;
+}
+
+// Focus line and per-section guidance for the answer prompt
+function intentPromptBlock(intent) {
+  const template = INTENT_TEMPLATES[intent] || INTENT_TEMPLATES['product-search'];
+  const sections = Object.entries(template.sections).map(([key, guide]) => `- ${key}: ${guide}`).join('\n');
+  return { focus: template.focus, sections };
+}
+
+const SageIntents = {
+  INTENTS,
+  INTENT_TEMPLATES,
+  INTENT_SCHEMA,
+  INTENT_MODEL_THRESHOLD,
+  classifyIntent,
+  sanitizeIntent,
+  intentClassificationPrompt,
+  intentPromptBlock
+};
+
+if (typeof window !== 'undefined') {
+  window.SageIntents = SageIntents;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageIntents;
+
+  // CLI: node intent-router.js "prompt"   → classify one prompt
+  if (require.main === module) {
+    const prompt = process.argv.slice(2).join(' ');
+    if (!prompt) {
+      console.error('usage: node intent-router.js "prompt"   (npm run check:intents runs the routing examples)');
+      process.exit(1);
+    }
+    console.log(JSON.stringify(classifyIntent(prompt), null, 2));
+  }
+}
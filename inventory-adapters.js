@@ -0,0 +1,173 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Pluggable inventory sources selected by Config DISPENSARY_SOURCE.
+//
+// An adapter is any object with:
+//   id                    registry key (matches DISPENSARY_SOURCE)
+//   describe()            { id, label, capabilities: { live, fieldMapping, proxied } }
+//   fetch({ config })     resolves to the raw records from the source
+//   normalize(raw, { config }) maps raw records onto the fields SageAPI.normalizeInventory reads
+//                         (name, price, category, thcaPercent, effects, description, url, image, availability)
+
+// Read a dotted path like "variants.0.price" from a record
+function readPath(record, fieldPath) {
+  if (!fieldPath) return undefined;
+  return String(fieldPath).split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+// Route a URL through INVENTORY_PROXY: "{url}" is substituted, otherwise the encoded URL is appended
+function withInventoryProxy(url, proxy) {
+  if (!proxy) return url;
+  return proxy.includes('{url}')
+    ? proxy.replace('{url}', encodeURIComponent(url))
+    : `${proxy}${encodeURIComponent(url)}`;
+}
+
+async function fetchJson(url) {
+  const res = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!res.ok) throw new Error(`Inventory fetch failed: ${res.status}`);
+  return res.json();
+}
+
+// Same-origin JSON array in Sage's native record shape (inventory/apotheca-thca.json)
+class StaticJsonAdapter {
+  constructor({ id = 'static', label = 'Static JSON inventory', loadJson = fetchJson } = {}) {
+    this.id = id;
+    this.label = label;
+    this.loadJson = loadJson;
+  }
+
+  describe() {
+    return {
+      id: this.id,
+      label: this.label,
+      capabilities: { live: false, fieldMapping: false, proxied: false }
+    };
+  }
+
+  async fetch({ config } = {}) {
+    const url = (config && config.get('INVENTORY_SOURCE_URL')) || './inventory/apotheca-thca.json';
+    const data = await this.loadJson(url);
+    if (!Array.isArray(data)) throw new Error('Static inventory JSON must be an array');
+    return data;
+  }
+
+  normalize(raw) {
+    return raw;
+  }
+}
+
+// Any HTTP endpoint returning JSON; fieldMap maps Sage fields to dotted paths in each record.
+// Requests go through INVENTORY_PROXY when it is set (most store APIs don't send CORS headers).
+class HttpJsonAdapter {
+  constructor({ id = 'http', label = 'HTTP JSON inventory', url = '', itemsPath = '', fieldMap = {}, loadJson = fetchJson } = {}) {
+    this.id = id;
+    this.label = label;
+    this.url = url;
+    this.itemsPath = itemsPath;
+    this.fieldMap = fieldMap;
+    this.loadJson = loadJson;
+  }
+
+  describe() {
+    return {
+      id: this.id,
+      label: this.label,
+      capabilities: { live: true, fieldMapping: true, proxied: true }
+    };
+  }
+
+  // Constructor options win; otherwise INVENTORY_HTTP_* config keys apply
+  resolveOptions(config) {
+    const get = (key) => (config ? config.get(key) : undefined);
+    return {
+      url: this.url || get('INVENTORY_HTTP_URL'),
+      itemsPath: this.itemsPath || get('INVENTORY_HTTP_ITEMS_PATH') || '',
+      fieldMap: { ...(get('INVENTORY_FIELD_MAP') || {}), ...this.fieldMap },
+      proxy: get('INVENTORY_PROXY') || ''
+    };
+  }
+
+  async fetch({ config } = {}) {
+    const { url, itemsPath, proxy } = this.resolveOptions(config);
+    if (!url) throw new Error(`Inventory adapter "${this.id}" has no URL configured`);
+
+    const data = await this.loadJson(withInventoryProxy(url, proxy));
+    const items = itemsPath ? readPath(data, itemsPath) : data;
+    if (!Array.isArray(items)) {
+      throw new Error(`Inventory adapter "${this.id}" expected an array at "${itemsPath || '(root)'}"`);
+    }
+    return items;
+  }
+
+  normalize(raw, { config } = {}) {
+    const { fieldMap } = this.resolveOptions(config);
+    const mappedKeys = Object.keys(fieldMap);
+    if (mappedKeys.length === 0) return raw;
+
+    return raw.map((record) => {
+      const mapped = { ...record };
+      mappedKeys.forEach((key) => {
+        const value = readPath(record, fieldMap[key]);
+        if (value !== undefined) mapped[key] = value;
+      });
+      return mapped;
+    });
+  }
+}
+
+class InventoryAdapterRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    const required = ['fetch', 'normalize', 'describe'];
+    const missing = required.filter(fn => typeof adapter?.[fn] !== 'function');
+    if (!adapter?.id || missing.length > 0) {
+      throw new Error(`Invalid inventory adapter ${adapter?.id || '(no id)'}: missing ${missing.join(', ') || 'id'}`);
+    }
+    this.adapters.set(adapter.id, adapter);
+    return this;
+  }
+
+  get(id) {
+    return this.adapters.get(id) || null;
+  }
+
+  has(id) {
+    return this.adapters.has(id);
+  }
+
+  list() {
+    return [...this.adapters.values()].map(adapter => adapter.describe());
+  }
+}
+
+function createDefaultInventoryAdapters() {
+  return new InventoryAdapterRegistry()
+    .register(new StaticJsonAdapter())
+    // Live Apotheca feed isn't enabled yet; serve the bundled snapshot under its name
+    .register(new StaticJsonAdapter({ id: 'apotheca', label: 'Apotheca (static snapshot)' }))
+    .register(new HttpJsonAdapter());
+}
+
+const SageInventoryAdapters = {
+  StaticJsonAdapter,
+  HttpJsonAdapter,
+  InventoryAdapterRegistry,
+  createDefaultInventoryAdapters,
+  // Shared registry the app uses; register custom sources here before the first query
+  registry: createDefaultInventoryAdapters()
+};
+
+if (typeof window !== 'undefined') {
+  window.SageInventoryAdapters = SageInventoryAdapters;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageInventoryAdapters;
+}
@@ -0,0 +1,206 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Inventory item schema and validator.
+// Validates records in Sage's native shape (inventory/*.json, or adapter output after
+// field mapping) and reports every problem with the record index and field name.
+// Run directly to check a file: node inventory-schema.js inventory/apotheca-thca.json
+
+const INVENTORY_ITEM_SCHEMA = {
+  version: 1,
+  // aliases: alternate field names SageAPI.normalizeInventory also reads
+  // requiredFor: required only for these product types (see product-types.js)
+  fields: {
+    id: { type: 'string', pattern: /^[A-Za-z0-9][\w.:-]{0,63}$/, patternHint: 'letters, digits, ".", ":", "_" or "-"', aliases: ['sku'] },
+    name: { type: 'string', required: true, minLength: 1, aliases: ['title'] },
+    price: { type: 'string', required: true, pattern: /^\$\d+(\.\d{1,2})?$/, patternHint: 'like "$29.99"', aliases: ['priceText'] },
+    currency: { type: 'string', pattern: /^[A-Z]{3}$/, patternHint: 'an ISO code like "USD"' },
+    weight: { type: 'string', pattern: /^\d+(\.\d+)?\s*(g|oz)$/i, patternHint: 'like "3.5g" or "1oz"' },
+    // Optional sizes of the same product, e.g. [{ weight: '1g', price: '$10' }, { weight: '3.5g', price: '$29.99' }]
+    variants: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          weight: { type: 'string', required: true, pattern: /^\d+(\.\d+)?\s*(g|oz)$/i, patternHint: 'like "3.5g" or "1oz"' },
+          price: { type: 'string', required: true, pattern: /^\$\d+(\.\d{1,2})?$/, patternHint: 'like "$29.99"' }
+        }
+      }
+    },
+    availability: { type: 'string', required: true, enum: ['In Stock', 'Limited Stock', 'Limited Edition', 'Out of Stock'] },
+    type: { type: 'string', required: true, minLength: 1 },
+    productType: { type: 'string', enum: ['flower', 'pre-roll', 'vape', 'edible', 'tincture', 'concentrate'] },
+    category: { type: 'string', requiredFor: ['flower', 'pre-roll'], enum: ['Indica', 'Sativa', 'Hybrid'], aliases: ['strain'] },
+    thcaPercent: { type: 'number', requiredFor: ['flower', 'pre-roll', 'vape', 'concentrate'], min: 0, max: 100, aliases: ['thcPercent', 'thca'] },
+    // Edibles and tinctures state potency per serving instead of a percentage
+    mgPerServing: { type: 'number', requiredFor: ['edible', 'tincture'], min: 0, max: 1000, aliases: ['thcMgPerServing', 'doseMg'] },
+    mgPerMl: { type: 'number', min: 0, max: 1000, aliases: ['thcMgPerMl'] },
+    servingsPerPackage: { type: 'number', min: 1, aliases: ['servings'] },
+    volumeMl: { type: 'number', min: 0 },
+    cartridgeSize: { type: 'string', pattern: /^\d+(\.\d+)?\s*(g|ml)$/i, patternHint: 'like "0.5g" or "1ml"' },
+    description: { type: 'string', required: true, minLength: 1 },
+    effects: { type: 'array', required: true, minItems: 1, items: { type: 'string', minLength: 1 } },
+    hempDerived: { type: 'boolean' },
+    delta9Percent: { type: 'number', min: 0, max: 100, aliases: ['d9Percent'] },
+    url: { type: 'string', pattern: /^(https?:\/\/|\.{0,2}\/|#$)/, patternHint: 'an http(s) or relative URL', aliases: ['productUrl', 'dispensaryUrl'] },
+    image: { type: 'string', aliases: ['imageUrl'] },
+    rating: { type: 'number', min: 0, max: 5 },
+    // Certificate of analysis: terpenes, cannabinoids, lab, COA link and test date (checked by lab-results.js)
+    lab: { type: 'object', labResults: true, aliases: ['labResults', 'coa'] }
+  }
+};
+
+function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Check one value against a field rule; returns a list of messages (empty when valid)
+function checkValue(value, rule) {
+  const actual = describeType(value);
+  if (actual !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+    return [`expected ${rule.type}, got ${actual}`];
+  }
+
+  const problems = [];
+  if (rule.minLength && value.length < rule.minLength) problems.push('must not be empty');
+  if (rule.enum && !rule.enum.includes(value)) problems.push(`must be one of ${rule.enum.join(', ')}`);
+  if (rule.pattern && !rule.pattern.test(value)) problems.push(`must be ${rule.patternHint || `matching ${rule.pattern}`}`);
+  if (rule.min !== undefined && value < rule.min) problems.push(`must be ≥ ${rule.min}`);
+  if (rule.max !== undefined && value > rule.max) problems.push(`must be ≤ ${rule.max}`);
+  if (rule.minItems && value.length < rule.minItems) problems.push(`must have at least ${rule.minItems} item(s)`);
+  if (rule.items) {
+    value.forEach((item, i) => {
+      checkValue(item, rule.items).forEach(message => problems.push(`[${i}] ${message}`));
+    });
+  }
+  if (rule.properties) {
+    Object.entries(rule.properties).forEach(([key, propRule]) => {
+      if (isBlank(value[key])) {
+        if (propRule.required) problems.push(`.${key} is required`);
+        return;
+      }
+      checkValue(value[key], propRule).forEach(message => problems.push(`.${key} ${message}`));
+    });
+  }
+  return problems;
+}
+
+// Validate one record; returns [{ field, message, value }]
+function validateInventoryItem(record, schema = INVENTORY_ITEM_SCHEMA) {
+  if (describeType(record) !== 'object') {
+    return [{ field: '(record)', message: `expected object, got ${describeType(record)}`, value: record }];
+  }
+
+  const types = typeof window !== 'undefined' ? window.SageProductTypes
+    : (typeof require === 'function' ? require('./product-types.js') : null);
+  const productType = types ? types.detectProductType(record) : 'flower';
+  const labs = typeof window !== 'undefined' ? window.SageLabResults
+    : (typeof require === 'function' ? require('./lab-results.js') : null);
+
+  const errors = [];
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const key = [field, ...(rule.aliases || [])].find(k => !isBlank(record[k]));
+    if (!key) {
+      if (rule.required || (rule.requiredFor && rule.requiredFor.includes(productType))) {
+        const message = rule.required ? 'is required' : `is required for ${productType}`;
+        errors.push({ field, message, value: undefined });
+      }
+      return;
+    }
+    const problems = checkValue(record[key], rule);
+    problems.forEach(message => {
+      errors.push({ field: key, message, value: record[key] });
+    });
+    if (rule.labResults && labs && problems.length === 0) {
+      labs.validateLabResults(record[key]).forEach(({ field: labField, message, value }) => {
+        errors.push({ field: `${key}.${labField}`, message, value });
+      });
+    }
+  });
+  return errors;
+}
+
+// Validate a whole inventory. Returns:
+//   { valid, items, validItems, errors: [{ index, name, field, message, value }] }
+// Pass { strict: true } to get only passing records back in `items`.
+function validateInventory(records, { strict = false, schema = INVENTORY_ITEM_SCHEMA } = {}) {
+  if (!Array.isArray(records)) {
+    return {
+      valid: false,
+      items: [],
+      validItems: [],
+      errors: [{ index: null, name: null, field: '(root)', message: `expected array, got ${describeType(records)}`, value: undefined }]
+    };
+  }
+
+  const errors = [];
+  const validItems = [];
+  records.forEach((record, index) => {
+    const recordErrors = validateInventoryItem(record, schema);
+    if (recordErrors.length === 0) {
+      validItems.push(record);
+      return;
+    }
+    const name = record?.name || record?.title || null;
+    recordErrors.forEach(error => errors.push({ index, name, ...error }));
+  });
+
+  return {
+    valid: errors.length === 0,
+    items: strict ? validItems : records,
+    validItems,
+    errors
+  };
+}
+
+// One line per problem, e.g. `#3 "Small Buds" price: must be like "$29.99" (got "29")`
+function formatInventoryErrors(errors) {
+  return errors.map(({ index, name, field, message, value }) => {
+    const where = index === null ? '' : `#${index}${name ? ` "${name}"` : ''} `;
+    const got = value === undefined ? '' : ` (got ${JSON.stringify(value)})`;
+    return `${where}${field}: ${message}${got}`;
+  });
+}
+
+const SageInventorySchema = {
+  INVENTORY_ITEM_SCHEMA,
+  validateInventoryItem,
+  validateInventory,
+  formatInventoryErrors
+};
+
+if (typeof window !== 'undefined') {
+  window.SageInventorySchema = SageInventorySchema;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageInventorySchema;
+
+  if (require.main === module) {
+    const fs = require('fs');
+    const file = process.argv[2] || 'inventory/apotheca-thca.json';
+    let records;
+    try {
+      records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`${file}: cannot read inventory JSON: ${error.message}`);
+      process.exit(1);
+    }
+    const report = validateInventory(records);
+    if (report.valid) {
+      console.log(`${file}: ${records.length} records valid`);
+    } else {
+      console.error(`${file}: ${report.errors.length} problem(s) in ${records.length - report.validItems.length} record(s)`);
+      formatInventoryErrors(report.errors).forEach(line => console.error(`  ${line}`));
+      process.exit(1);
+    }
+  }
+}
@@ -0,0 +1,354 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Jurisdiction profiles: what a state allows, narrowed further by a store. Profiles are
+// JSON files in jurisdictions/ (one per id) and may `extends` another profile:
+//
+//   {
+//     "id": "apotheca", "name": "Apotheca", "kind": "store", "extends": "us-federal",
+//     "hempDerivedOnly": true, "delta9MaxPercent": 0.3,
+//     "allowedProductTypes": ["flower", "pre-roll", "edible"],
+//     "maxThcaPercent": 35 | { "flower": 35, "concentrate": 90 },
+//     "maxMgPerServing": 10, "maxMgPerPackage": 100,
+//     "purchaseLimits": { "flowerGrams": 28.5, "concentrateGrams": 8, "edibleMg": 1000 },
+//     "legalNote": "Δ9 ≤0.3% (hemp)",
+//     "complianceLabel": "Hemp-derived, Farm Bill–compliant",
+//     "minimumAge": 21,
+//     "requiredWarnings": ["..."]
+//   }
+//
+// A child can only tighten its parent: allowed types intersect, caps take the lower value,
+// the minimum age the higher one, warnings accumulate. The exception is `hempDerivedOnly`: a
+// state profile for licensed stores sets it to false, since state licensing replaces the
+// federal hemp rule. The resolved rules go into spec.legal and are enforced when inventory
+// is normalized, when products are ranked, and on the answer text (compliance-policy.js).
+// `npm run check:jurisdiction -- <profile> [inventory.json]` tests a profile from the files.
+
+const JURISDICTION_PRODUCT_TYPES = ['flower', 'pre-roll', 'vape', 'edible', 'tincture', 'concentrate'];
+const MAX_EXTENDS_DEPTH = 5;
+// Per-visit purchase limits: flower and pre-rolls in grams, vapes and concentrates in grams,
+// edibles and tinctures in mg THC (used by the event planner)
+const PURCHASE_LIMIT_KEYS = ['flowerGrams', 'concentrateGrams', 'edibleMg'];
+
+// Used when no profile file can be loaded: federal hemp rules, nothing narrower
+const DEFAULT_JURISDICTION = {
+  id: 'us-federal',
+  name: 'United States (2018 Farm Bill hemp)',
+  kind: 'federal',
+  hempDerivedOnly: true,
+  delta9MaxPercent: 0.3,
+  allowedProductTypes: JURISDICTION_PRODUCT_TYPES,
+  maxThcaPercent: {},
+  maxMgPerServing: null,
+  maxMgPerPackage: null,
+  purchaseLimits: {},
+  legalNote: 'Δ9 ≤0.3% (hemp)',
+  complianceLabel: 'Hemp-derived, Farm Bill–compliant',
+  minimumAge: 21,
+  requiredWarnings: [],
+  chain: ['us-federal']
+};
+
+const PROFILE_FIELDS = ['id', 'name', 'kind', 'extends', 'note', 'hempDerivedOnly', 'delta9MaxPercent', 'allowedProductTypes',
+  'maxThcaPercent', 'maxMgPerServing', 'maxMgPerPackage', 'purchaseLimits', 'legalNote', 'complianceLabel', 'minimumAge', 'requiredWarnings'];
+
+const isCap = (value) => value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+
+// Problems in one profile file (before extends is resolved); [] when it's usable
+function validateProfile(profile) {
+  const problems = [];
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return ['profile is not an object'];
+  if (typeof profile.id !== 'string' || !/^[a-z0-9-]+$/.test(profile.id)) problems.push('id: expected lowercase letters, digits and hyphens');
+  Object.keys(profile).filter(key => !PROFILE_FIELDS.includes(key)).forEach(key => problems.push(`${key}: unknown field`));
+
+  if (profile.extends !== undefined && typeof profile.extends !== 'string') problems.push('extends: expected a profile id');
+  if (profile.hempDerivedOnly !== undefined && typeof profile.hempDerivedOnly !== 'boolean') problems.push('hempDerivedOnly: expected boolean');
+  ['legalNote', 'complianceLabel'].forEach((field) => {
+    if (profile[field] !== undefined && typeof profile[field] !== 'string') problems.push(`${field}: expected text`);
+  });
+  ['delta9MaxPercent', 'maxMgPerServing', 'maxMgPerPackage'].forEach((field) => {
+    if (profile[field] !== undefined && !isCap(profile[field])) problems.push(`${field}: expected a non-negative number or null`);
+  });
+
+  if (profile.minimumAge !== undefined && !(Number.isInteger(profile.minimumAge) && profile.minimumAge >= 18 && profile.minimumAge <= 99)) {
+    problems.push('minimumAge: expected a whole number of years, 18-99');
+  }
+
+  if (profile.allowedProductTypes !== undefined) {
+    if (!Array.isArray(profile.allowedProductTypes)) problems.push('allowedProductTypes: expected array');
+    else profile.allowedProductTypes
+      .filter(type => !JURISDICTION_PRODUCT_TYPES.includes(type))
+      .forEach(type => problems.push(`allowedProductTypes: unknown type "${type}"`));
+  }
+
+  const caps = profile.maxThcaPercent;
+  if (caps !== undefined && !isCap(caps)) {
+    if (!caps || typeof caps !== 'object' || Array.isArray(caps)) {
+      problems.push('maxThcaPercent: expected a number or { type: percent }');
+    } else {
+      Object.entries(caps).forEach(([type, value]) => {
+        if (!JURISDICTION_PRODUCT_TYPES.includes(type)) problems.push(`maxThcaPercent: unknown type "${type}"`);
+        if (!isCap(value)) problems.push(`maxThcaPercent.${type}: expected a non-negative number`);
+      });
+    }
+  }
+
+  const limits = profile.purchaseLimits;
+  if (limits !== undefined) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      problems.push(`purchaseLimits: expected { ${PURCHASE_LIMIT_KEYS.join(', ')} }`);
+    } else {
+      Object.entries(limits).forEach(([key, value]) => {
+        if (!PURCHASE_LIMIT_KEYS.includes(key)) problems.push(`purchaseLimits: unknown limit "${key}"`);
+        else if (!isCap(value)) problems.push(`purchaseLimits.${key}: expected a non-negative number or null`);
+      });
+    }
+  }
+
+  if (profile.requiredWarnings !== undefined &&
+      (!Array.isArray(profile.requiredWarnings) || profile.requiredWarnings.some(w => typeof w !== 'string' || !w.trim()))) {
+    problems.push('requiredWarnings: expected an array of non-empty strings');
+  }
+  return problems;
+}
+
+// 35 → { flower: 35, ... } so parent and child caps combine per type
+function thcaCapsByType(caps) {
+  if (typeof caps === 'number') return Object.fromEntries(JURISDICTION_PRODUCT_TYPES.map(type => [type, caps]));
+  return { ...(caps || {}) };
+}
+
+const lowerCap = (a, b) => (a === null || a === undefined ? (b ?? null) : (b === null || b === undefined ? a : Math.min(a, b)));
+
+// Layer a child profile over its resolved parent; the stricter value always wins
+function mergeProfiles(parent, child) {
+  const parentCaps = thcaCapsByType(parent.maxThcaPercent);
+  const childCaps = thcaCapsByType(child.maxThcaPercent);
+  const maxThcaPercent = {};
+  new Set([...Object.keys(parentCaps), ...Object.keys(childCaps)]).forEach((type) => {
+    maxThcaPercent[type] = lowerCap(parentCaps[type], childCaps[type]);
+  });
+
+  const allowed = child.allowedProductTypes
+    ? parent.allowedProductTypes.filter(type => child.allowedProductTypes.includes(type))
+    : parent.allowedProductTypes;
+
+  return {
+    id: child.id,
+    name: child.name || child.id,
+    kind: child.kind || parent.kind,
+    hempDerivedOnly: typeof child.hempDerivedOnly === 'boolean' ? child.hempDerivedOnly : !!parent.hempDerivedOnly,
+    delta9MaxPercent: lowerCap(parent.delta9MaxPercent, child.delta9MaxPercent),
+    allowedProductTypes: allowed,
+    maxThcaPercent,
+    maxMgPerServing: lowerCap(parent.maxMgPerServing, child.maxMgPerServing),
+    maxMgPerPackage: lowerCap(parent.maxMgPerPackage, child.maxMgPerPackage),
+    purchaseLimits: Object.fromEntries(PURCHASE_LIMIT_KEYS
+      .map(key => [key, lowerCap(parent.purchaseLimits?.[key], child.purchaseLimits?.[key])])
+      .filter(([, value]) => value !== null)),
+    legalNote: child.legalNote ?? parent.legalNote,
+    complianceLabel: child.complianceLabel ?? parent.complianceLabel,
+    minimumAge: Math.max(parent.minimumAge || 0, child.minimumAge || 0) || null,
+    requiredWarnings: [...new Set([...(parent.requiredWarnings || []), ...(child.requiredWarnings || [])])],
+    chain: [...(parent.chain || []), child.id]
+  };
+}
+
+// Load a profile and everything it extends. loadJson(url) returns parsed JSON; files are
+// `${basePath}/${id}.json`. Throws with the file and problems when a profile is invalid.
+async function loadJurisdictionProfile(id, { loadJson, basePath = './jurisdictions' } = {}) {
+  const files = [];
+  let nextId = id;
+  while (nextId) {
+    if (files.some(file => file.id === nextId)) throw new Error(`Jurisdiction profile "${id}": extends cycle at "${nextId}"`);
+    if (files.length >= MAX_EXTENDS_DEPTH) throw new Error(`Jurisdiction profile "${id}": extends chain deeper than ${MAX_EXTENDS_DEPTH}`);
+    const url = `${basePath}/${nextId}.json`;
+    const profile = await loadJson(url);
+    const problems = validateProfile(profile);
+    if (profile && profile.id !== nextId) problems.push(`id: "${profile.id}" doesn't match file name "${nextId}"`);
+    if (problems.length > 0) throw new Error(`${url}: ${problems.join('; ')}`);
+    files.unshift(profile);
+    nextId = profile.extends;
+  }
+
+  // The root profile starts from an empty, fully permissive base
+  const base = {
+    kind: 'federal',
+    hempDerivedOnly: false,
+    delta9MaxPercent: null,
+    allowedProductTypes: JURISDICTION_PRODUCT_TYPES,
+    maxThcaPercent: {},
+    maxMgPerServing: null,
+    maxMgPerPackage: null,
+    purchaseLimits: {},
+    legalNote: '',
+    complianceLabel: '',
+    minimumAge: null,
+    requiredWarnings: [],
+    chain: []
+  };
+  return files.reduce(mergeProfiles, base);
+}
+
+// The spec.legal object: the resolved rules ranking and normalization enforce
+function legalRules(profile) {
+  const p = profile || DEFAULT_JURISDICTION;
+  return {
+    jurisdiction: p.id,
+    name: p.name,
+    hempDerivedOnly: p.hempDerivedOnly,
+    delta9MaxPercent: p.delta9MaxPercent,
+    allowedProductTypes: [...p.allowedProductTypes],
+    maxThcaPercent: { ...p.maxThcaPercent },
+    maxMgPerServing: p.maxMgPerServing,
+    maxMgPerPackage: p.maxMgPerPackage,
+    purchaseLimits: { ...(p.purchaseLimits || {}) },
+    legalNote: p.legalNote,
+    complianceLabel: p.complianceLabel || ''
+  };
+}
+
+// Hemp origin from a raw inventory record: its `hempDerived` flag, else true when its own
+// name or description says hemp or Farm Bill, else null (unknown). Only what the record
+// states counts, never text Sage generated for it.
+function hempOriginOf(record) {
+  if (typeof record?.hempDerived === 'boolean') return record.hempDerived;
+  const text = `${record?.name || record?.title || ''} ${record?.description || ''}`.toLowerCase();
+  return /\bhemp\b|\bfarm bill\b/.test(text) ? true : null;
+}
+
+// Reasons a normalized product can't be shown under these rules; [] when it's allowed.
+// Hemp origin is the product's `hempDerived` (hempOriginOf its record) or a tested Δ9-THC
+// (`delta9Percent`, from the record or its COA) within the limit.
+function checkProduct(product, rules) {
+  if (!rules) return [];
+  const violations = [];
+  const type = product.productType || 'flower';
+
+  if (Array.isArray(rules.allowedProductTypes) && !rules.allowedProductTypes.includes(type)) {
+    violations.push(`${type} not sold under ${rules.jurisdiction || 'these rules'}`);
+  }
+
+  if (rules.hempDerivedOnly) {
+    const delta9 = Number(product.delta9Percent);
+    if (product.hempDerived === false) {
+      violations.push('not hemp-derived');
+    } else if (product.delta9Percent != null && Number.isFinite(delta9) && rules.delta9MaxPercent != null && delta9 > rules.delta9MaxPercent) {
+      violations.push(`Δ9 ${delta9}% above ${rules.delta9MaxPercent}%`);
+    } else if (product.hempDerived == null && !(product.delta9Percent != null && Number.isFinite(delta9))) {
+      violations.push('not marked hemp-derived');
+    }
+  }
+
+  const thcaCap = rules.maxThcaPercent?.[type];
+  if (thcaCap != null && Number.isFinite(product.thcaPercent) && product.thcaPercent > thcaCap) {
+    violations.push(`THCa ${product.thcaPercent}% above the ${thcaCap}% cap for ${type}`);
+  }
+  const mg = product.details?.mgPerServing;
+  if (rules.maxMgPerServing != null && Number.isFinite(mg) && mg > rules.maxMgPerServing) {
+    violations.push(`${mg}mg per serving above the ${rules.maxMgPerServing}mg limit`);
+  }
+  const totalMg = product.details?.totalMg;
+  if (rules.maxMgPerPackage != null && Number.isFinite(totalMg) && totalMg > rules.maxMgPerPackage) {
+    violations.push(`${totalMg}mg per package above the ${rules.maxMgPerPackage}mg limit`);
+  }
+  return violations;
+}
+
+// Prompt lines so the model doesn't suggest what the store can't sell
+function jurisdictionPromptRules(profile) {
+  const p = profile || DEFAULT_JURISDICTION;
+  const lines = [`- Store rules: ${p.name}. Only suggest these product types: ${p.allowedProductTypes.join(', ') || 'none'}.`];
+  if (p.maxMgPerServing != null) lines.push(`- Servings are limited to ${p.maxMgPerServing}mg THC; never suggest more per serving.`);
+  if (p.hempDerivedOnly) lines.push(`- Only hemp-derived products are sold (Δ9-THC ≤${p.delta9MaxPercent}% by dry weight).`);
+  const limits = p.purchaseLimits || {};
+  const limitText = [
+    limits.flowerGrams != null && `${limits.flowerGrams}g of flower`,
+    limits.concentrateGrams != null && `${limits.concentrateGrams}g of concentrate`,
+    limits.edibleMg != null && `${limits.edibleMg}mg THC in edibles`
+  ].filter(Boolean);
+  if (limitText.length > 0) lines.push(`- Purchase limits per visit: ${limitText.join(', ')}; never suggest buying more.`);
+  return lines.join('\n');
+}
+
+// Tighten a resolved compliance policy (compliance-policy.js) for a jurisdiction: its required
+// warnings join the disclaimers, dose ceilings drop to the per-serving limit, and sentences
+// recommending product types the store can't sell are replaced
+function applyJurisdictionToPolicy(policy, profile) {
+  if (!policy || !profile) return policy;
+  const disclaimers = { ...policy.disclaimers, all: [...(policy.disclaimers.all || []), ...(profile.requiredWarnings || [])] };
+
+  const maxDoseMg = { ...policy.maxDoseMg };
+  if (profile.maxMgPerServing != null) {
+    ['new', 'casual', 'experienced'].forEach((level) => {
+      maxDoseMg[level] = lowerCap(maxDoseMg[level], profile.maxMgPerServing);
+    });
+  }
+
+  const types = typeof window !== 'undefined' && window.SageProductTypes
+    ? window.SageProductTypes
+    : (typeof require === 'function' ? require('./product-types.js') : null);
+  const allowed = profile.allowedProductTypes || JURISDICTION_PRODUCT_TYPES;
+  const blocked = JURISDICTION_PRODUCT_TYPES.filter(type => !allowed.includes(type));
+  const blockedClaims = types ? blocked.map(type => ({
+    id: `not-sold-${type}`,
+    pattern: types.PRODUCT_TYPES[type].mention,
+    action: 'replace-sentence',
+    replacement: `${types.PRODUCT_TYPES[type].label} products aren't sold here.`
+  })) : [];
+
+  return { ...policy, bannedClaims: [...policy.bannedClaims, ...blockedClaims], disclaimers, maxDoseMg };
+}
+
+const SageJurisdictions = {
+  JURISDICTION_PRODUCT_TYPES,
+  PURCHASE_LIMIT_KEYS,
+  DEFAULT_JURISDICTION,
+  validateProfile,
+  mergeProfiles,
+  loadJurisdictionProfile,
+  legalRules,
+  hempOriginOf,
+  checkProduct,
+  jurisdictionPromptRules,
+  applyJurisdictionToPolicy
+};
+
+if (typeof window !== 'undefined') {
+  window.SageJurisdictions = SageJurisdictions;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageJurisdictions;
+
+  // CLI: node jurisdiction-rules.js [profile] [inventory.json]
+  // Resolves the profile from jurisdictions/, prints its rules and which records it blocks
+  if (require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+    const [id = 'us-federal', inventoryFile] = process.argv.slice(2);
+    const loadJson = async (url) => JSON.parse(fs.readFileSync(path.resolve(__dirname, url), 'utf8'));
+
+    loadJurisdictionProfile(id, { loadJson }).then((profile) => {
+      console.log(`${profile.name} (${profile.chain.join(' → ')}), minimum age ${profile.minimumAge || 'not set'}`);
+      console.log(JSON.stringify(legalRules(profile), null, 2));
+      profile.requiredWarnings.forEach(w => console.log(`warning: ${w}`));
+      if (!inventoryFile) return;
+
+      const { SageAPI } = require('./api.js');
+      const api = new SageAPI({ config: { get: () => null, hasOllamaConnection: () => false } });
+      api.jurisdictionProfile = profile;
+      const records = JSON.parse(fs.readFileSync(inventoryFile, 'utf8'));
+      const blocked = api.normalizeInventory(records, null, { keepBlocked: true })
+        .map(p => ({ name: p.name, violations: checkProduct(p, legalRules(profile)) }))
+        .filter(p => p.violations.length > 0);
+      console.log(`${inventoryFile}: ${records.length - blocked.length} of ${records.length} records allowed`);
+      blocked.forEach(p => console.log(`  blocked ${p.name}: ${p.violations.join('; ')}`));
+    }).catch((error) => {
+      console.error(error.message);
+      process.exit(1);
+    });
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Lab results from a product's certificate of analysis (COA). Inventory records may carry
+// `lab` (or `labResults` / `coa`):
+//
+//   "lab": {
+//     "lab": "SC Labs", "coaUrl": "https://...", "testDate": "2026-03-14",
+//     "totalThcPercent": 21.9,                       // optional; else THCa × 0.877 + Δ9-THC
+//     "cannabinoids": { "thca": 24.6, "d9-thc": 0.21, "cbg": "1.1%", "cbn": "ND" },
+//     "terpenes": { "beta-myrcene": 0.82, "β-caryophyllene": 0.41, "limonene": 0.33 }
+//   }
+//
+// Results may also be arrays of { name, percent }. Values are percent by weight; "ND" and
+// "<LOQ" read as not detected. parseLabResults turns this into
+//   { lab, coaUrl, testDate, stale, totalThcPercent, totalThcSource: 'coa' | 'computed',
+//     cannabinoids: [{ id, label, percent }], terpenes: [{ id, label, percent }], totalTerpenesPercent }
+// with both lists strongest first; terpenes that weren't detected are left out. Alpha and
+// beta isomers (α-pinene, β-pinene) add up to one terpene.
+//
+// Terpenes and minor cannabinoids point at effects in effects-taxonomy.js (myrcene → Relaxed,
+// Sleep); the matcher's terpenes signal uses them for a desired effect the product's own
+// effect list may not name.
+
+// Δ9-THC from THCa after decarboxylation (the mass lost as CO2)
+const DECARB_FACTOR = 0.877;
+// Smallest amount that counts toward an effect
+const TERPENE_EFFECT_MIN_PERCENT = 0.1;
+const CANNABINOID_EFFECT_MIN_PERCENT = 0.5;
+// Per-terpene ceiling: more than this is almost always mg/g entered as percent
+const TERPENE_MAX_PERCENT = 10;
+// A stated total THC further than this from the computed one is reported
+const TOTAL_THC_TOLERANCE = 1;
+const COA_MAX_AGE_DAYS = 365;
+
+const TERPENES = {
+  myrcene: { label: 'Myrcene', aliases: ['beta-myrcene', 'b-myrcene'], aroma: 'earthy', effects: ['Relaxed', 'Sleep'] },
+  caryophyllene: { label: 'Caryophyllene', aliases: ['beta-caryophyllene', 'b-caryophyllene', 'trans-caryophyllene'], aroma: 'peppery', effects: ['Calm', 'Relaxed'] },
+  limonene: { label: 'Limonene', aliases: ['d-limonene'], aroma: 'citrus', effects: ['Uplifted', 'Calm'] },
+  linalool: { label: 'Linalool', aliases: [], aroma: 'floral', effects: ['Calm', 'Sleep'] },
+  pinene: { label: 'Pinene', aliases: ['alpha-pinene', 'a-pinene', 'beta-pinene', 'b-pinene'], aroma: 'pine', effects: ['Focus', 'Energetic'] },
+  terpinolene: { label: 'Terpinolene', aliases: [], aroma: 'fruity', effects: ['Uplifted', 'Creative', 'Energetic'] },
+  humulene: { label: 'Humulene', aliases: ['alpha-humulene', 'a-humulene'], aroma: 'woody', effects: ['Balanced'] },
+  ocimene: { label: 'Ocimene', aliases: ['beta-ocimene', 'b-ocimene'], aroma: 'sweet', effects: ['Uplifted', 'Energetic'] },
+  bisabolol: { label: 'Bisabolol', aliases: ['alpha-bisabolol', 'a-bisabolol'], aroma: 'floral', effects: ['Calm'] },
+  nerolidol: { label: 'Nerolidol', aliases: ['trans-nerolidol'], aroma: 'woody', effects: ['Sleep', 'Relaxed'] }
+};
+
+const CANNABINOIDS = {
+  thca: { label: 'THCa', aliases: ['thc-a'], effects: [] },
+  'd9-thc': { label: 'Δ9-THC', aliases: ['delta-9-thc', 'delta9-thc', 'delta-9', 'delta9', 'd9', 'd9thc', 'thc'], effects: [] },
+  cbd: { label: 'CBD', aliases: [], effects: ['Calm'] },
+  cbda: { label: 'CBDa', aliases: ['cbd-a'], effects: [] },
+  cbg: { label: 'CBG', aliases: [], effects: ['Focus', 'Calm'] },
+  cbga: { label: 'CBGa', aliases: ['cbg-a'], effects: [] },
+  cbn: { label: 'CBN', aliases: [], effects: ['Sleep'] },
+  cbc: { label: 'CBC', aliases: [], effects: [] },
+  thcv: { label: 'THCV', aliases: [], effects: ['Focus', 'Energetic'] }
+};
+
+// "β-Caryophyllene" → "beta-caryophyllene", "Delta 9 THC" → "delta-9-thc"
+function labKey(name) {
+  return String(name ?? '').toLowerCase()
+    .replace(/α/g, 'alpha-').replace(/β/g, 'beta-').replace(/δ|Δ/gi, 'delta-')
+    .replace(/[^a-z0-9]+/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+}
+
+function buildLabLookup(table) {
+  const lookup = new Map();
+  Object.entries(table).forEach(([id, entry]) => [id, entry.label, ...entry.aliases].forEach(name => lookup.set(labKey(name), id)));
+  return lookup;
+}
+const TERPENE_LOOKUP = buildLabLookup(TERPENES);
+const CANNABINOID_LOOKUP = buildLabLookup(CANNABINOIDS);
+
+// 0.82 | "0.82%" | "ND" | "<LOQ" → number (0 when not detected); undefined when unreadable
+function labPercent(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  const text = String(value ?? '').trim();
+  if (/^(?:nd|n\/d|not detected|<\s*loq|<\s*lod|bql)$/i.test(text)) return 0;
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*%?$/);
+  return match ? parseFloat(match[1]) : undefined;
+}
+
+// { name: value } or [{ name, percent }] → [[name, value]]
+function labEntries(results) {
+  if (Array.isArray(results)) return results.map(r => [r?.name, r?.percent ?? r?.value]);
+  return results && typeof results === 'object' ? Object.entries(results) : [];
+}
+
+const titleCaseLab = (key) => key.replace(/(^|-)([a-z])/g, (m, dash, c) => `${dash ? ' ' : ''}${c.toUpperCase()}`);
+
+// Known compounds by id (isomers summed), unknown ones kept under their own name
+function readCompounds(results, table, lookup) {
+  const byId = new Map();
+  labEntries(results).forEach(([name, value]) => {
+    const key = labKey(name);
+    const percent = labPercent(value);
+    if (!key || percent === undefined) return;
+    const id = lookup.get(key) || key;
+    const known = table[id];
+    const current = byId.get(id) || { id, label: known ? known.label : titleCaseLab(key), percent: 0 };
+    current.percent = Math.round((current.percent + percent) * 1000) / 1000;
+    byId.set(id, current);
+  });
+  return [...byId.values()];
+}
+
+const labDateOf = (text) => {
+  const match = String(text ?? '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return date.getUTCMonth() === +match[2] - 1 ? date : null;
+};
+
+const computeTotalThc = (cannabinoids) => {
+  const thca = cannabinoids.find(c => c.id === 'thca');
+  const d9 = cannabinoids.find(c => c.id === 'd9-thc');
+  if (!thca && !d9) return null;
+  return Math.round(((thca?.percent || 0) * DECARB_FACTOR + (d9?.percent || 0)) * 100) / 100;
+};
+
+// Normalized lab results for a raw `lab` block; null when there is none
+function parseLabResults(raw, { now = new Date() } = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const cannabinoids = readCompounds(raw.cannabinoids, CANNABINOIDS, CANNABINOID_LOOKUP).sort((a, b) => b.percent - a.percent);
+  const terpenes = readCompounds(raw.terpenes, TERPENES, TERPENE_LOOKUP)
+    .filter(t => t.percent > 0)
+    .sort((a, b) => b.percent - a.percent);
+  const stated = labPercent(raw.totalThcPercent ?? raw.totalThc);
+  const computed = computeTotalThc(cannabinoids);
+  const tested = labDateOf(raw.testDate);
+
+  return {
+    lab: typeof raw.lab === 'string' ? raw.lab : null,
+    coaUrl: typeof raw.coaUrl === 'string' && /^https?:\/\//.test(raw.coaUrl) ? raw.coaUrl : null,
+    testDate: tested ? raw.testDate : null,
+    stale: tested ? (now - tested) / 86400000 > COA_MAX_AGE_DAYS : false,
+    totalThcPercent: stated !== undefined ? stated : computed,
+    totalThcSource: stated !== undefined ? 'coa' : (computed !== null ? 'computed' : null),
+    cannabinoids,
+    terpenes,
+    totalTerpenesPercent: terpenes.length > 0 ? Math.round(terpenes.reduce((sum, t) => sum + t.percent, 0) * 100) / 100 : null
+  };
+}
+
+// Problems in a raw `lab` block: [{ field, message, value }] with fields like
+// "terpenes.myrcene"; [] when it's usable
+function validateLabResults(raw, { now = new Date() } = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return [{ field: '(lab)', message: 'expected an object', value: raw }];
+  }
+  const problems = [];
+  const add = (field, message, value) => problems.push({ field, message, value });
+
+  if (typeof raw.lab !== 'string' || !raw.lab.trim()) add('lab', 'expected the lab name', raw.lab);
+  const tested = labDateOf(raw.testDate);
+  if (!tested) add('testDate', 'must be a date like "2026-03-14"', raw.testDate);
+  else if (tested > now) add('testDate', 'is in the future', raw.testDate);
+  if (raw.coaUrl !== undefined && !(typeof raw.coaUrl === 'string' && /^https?:\/\//.test(raw.coaUrl))) {
+    add('coaUrl', 'must be an http(s) URL', raw.coaUrl);
+  }
+
+  ['cannabinoids', 'terpenes'].forEach((group) => {
+    const results = raw[group];
+    if (results === undefined) return;
+    if (!results || typeof results !== 'object') {
+      add(group, 'expected { name: percent } or [{ name, percent }]', results);
+      return;
+    }
+    labEntries(results).forEach(([name, value], i) => {
+      const where = `${group}.${labKey(name) || `[${i}]`}`;
+      const percent = labPercent(value);
+      if (!labKey(name)) add(where, 'expected a name', name);
+      else if (percent === undefined) add(where, 'expected a percent, "ND" or "<LOQ"', value);
+      else if (percent < 0 || percent > 100) add(where, 'must be between 0 and 100', value);
+      else if (group === 'terpenes' && percent > TERPENE_MAX_PERCENT) add(where, `over ${TERPENE_MAX_PERCENT}%; mg/g entered as percent?`, value);
+    });
+  });
+  if (raw.cannabinoids === undefined && raw.terpenes === undefined) {
+    add('(lab)', 'has no cannabinoid or terpene results', undefined);
+  }
+
+  const cannabinoids = readCompounds(raw.cannabinoids, CANNABINOIDS, CANNABINOID_LOOKUP);
+  const sum = cannabinoids.reduce((total, c) => total + c.percent, 0);
+  if (sum > 100) add('cannabinoids', `add up to ${Math.round(sum * 10) / 10}%, over 100%`, undefined);
+
+  const stated = raw.totalThcPercent ?? raw.totalThc;
+  if (stated !== undefined) {
+    const percent = labPercent(stated);
+    const computed = computeTotalThc(cannabinoids);
+    if (percent === undefined || percent < 0 || percent > 100) add('totalThcPercent', 'must be a percent between 0 and 100', stated);
+    else if (computed !== null && Math.abs(percent - computed) > TOTAL_THC_TOLERANCE) {
+      add('totalThcPercent', `doesn't match THCa × ${DECARB_FACTOR} + Δ9-THC (${computed}%)`, stated);
+    }
+  }
+  return problems;
+}
+
+// Effects the lab profile points at, strongest first:
+// [{ effect: 'Sleep', sources: ['Myrcene 0.82%', 'CBN 0.6%'], strength }]
+function labEffects(lab) {
+  if (!lab) return [];
+  const byEffect = new Map();
+  const credit = (compound, table, minPercent) => {
+    if (compound.percent < minPercent) return;
+    (table[compound.id]?.effects || []).forEach((effect) => {
+      const entry = byEffect.get(effect) || { effect, sources: [], strength: 0 };
+      entry.sources.push(`${compound.label} ${compound.percent}%`);
+      entry.strength = Math.round((entry.strength + compound.percent) * 1000) / 1000;
+      byEffect.set(effect, entry);
+    });
+  };
+  (lab.terpenes || []).forEach(t => credit(t, TERPENES, TERPENE_EFFECT_MIN_PERCENT));
+  (lab.cannabinoids || []).forEach(c => credit(c, CANNABINOIDS, CANNABINOID_EFFECT_MIN_PERCENT));
+  return [...byEffect.values()].sort((a, b) => b.strength - a.strength);
+}
+
+// One line for the answer prompt: "terpenes: Myrcene 0.82%, Caryophyllene 0.41%; CBG 1.1%; total THC 21.9% (SC Labs, 2026-03-14)"
+function labSummary(lab) {
+  if (!lab) return '';
+  const parts = [];
+  if (lab.terpenes.length > 0) parts.push(`terpenes: ${lab.terpenes.slice(0, 3).map(t => `${t.label} ${t.percent}%`).join(', ')}`);
+  const minor = lab.cannabinoids.filter(c => c.percent > 0 && !['thca', 'd9-thc'].includes(c.id)).slice(0, 3);
+  if (minor.length > 0) parts.push(minor.map(c => `${c.label} ${c.percent}%`).join(', '));
+  if (lab.totalThcPercent !== null) parts.push(`total THC ${lab.totalThcPercent}%`);
+  const source = [lab.lab, lab.testDate].filter(Boolean).join(', ');
+  return `${parts.join('; ')}${source ? ` (${source})` : ''}`;
+}
+
+const SageLabResults = {
+  TERPENES,
+  CANNABINOIDS,
+  DECARB_FACTOR,
+  COA_MAX_AGE_DAYS,
+  parseLabResults,
+  validateLabResults,
+  labEffects,
+  labSummary
+};
+
+if (typeof window !== 'undefined') {
+  window.SageLabResults = SageLabResults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageLabResults;
+}
@@ -0,0 +1,412 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Product matching engine: scores normalized products against a ProductSearchSpec.
+//
+// Hard filters (legal rules, medication interactions, product type, THCa range, budget,
+// avoided effects, stock) remove products first. A THCa range still at its default
+// (spec.provenance) only scores; it filters once the question or the model set it. When a filter would leave nothing to show,
+// filters relax in RELAXATION_ORDER and the affected products carry a penalty instead.
+// Surviving products are scored by weighted signals, and each product gets a `match`
+// breakdown the UI can render:
+//   { score, breakdown: [{ signal, label, points, detail }], relaxed: [filterIds] }
+//
+// diversify() then picks the products to show from the ranking, trading score against
+// similarity to those already picked (maximal marginal relevance), so four near-identical
+// flowers give way to another strain, form or price band. Each pick after the first gets
+// match.whyDifferent, e.g. "Sativa instead of Indica · Costs less ($24.99)".
+
+const MATCH_WEIGHTS = {
+  effects: 4,      // full overlap with desiredEffects
+  terpenes: 2,     // lab terpenes and minor cannabinoids behind every desired effect (lab-results.js)
+  relevance: 2,    // closest to the question among the candidates (embedding-index.js)
+  strain: 3,       // exact strain preference
+  potency: 2,      // inside targetTHCaPercent
+  price: 1,        // requested price band or within budget
+  timing: 2,       // onset and duration fit the occasion (occasion-model.js)
+  avoid: 3,        // penalty per avoided effect (only when the avoid filter relaxed)
+  relaxed: 2       // penalty per other relaxed filter a product fails
+};
+
+// diversify(): 1 ranks by score alone, 0 by difference alone
+const DIVERSITY_LAMBDA = 0.5;
+// How much each shared attribute makes two products alike (sums to 1)
+const SIMILARITY_WEIGHTS = {
+  strain: 0.35,      // same strain type
+  productType: 0.3,  // same form (flower, edible, vape, ...)
+  priceBand: 0.2,    // same value/mid/premium band
+  line: 0.15         // share of name words, e.g. sizes of one product line
+};
+
+// Least important first: potency ranges give way before budget and product type, avoided effects last
+const RELAXATION_ORDER = ['thcaRange', 'budget', 'productType', 'avoidEffects'];
+
+class ProductMatcher {
+  constructor({ weights = {} } = {}) {
+    this.weights = { ...MATCH_WEIGHTS, ...weights };
+  }
+
+  // Effect identity from effects-taxonomy.js: synonyms share a canonical id (Relaxing/Relaxed, Mellow/Calm)
+  static effectKey(effect) {
+    const taxonomy = ProductMatcher.resolve('SageEffects', './effects-taxonomy.js');
+    return taxonomy ? taxonomy.effectId(effect) : String(effect || '').toLowerCase().trim();
+  }
+
+  static thcaPercentOf(product) {
+    if (typeof product.thcaPercent === 'number') return product.thcaPercent;
+    const match = String(product.thc || '').match(/(\d+(?:\.\d+)?)\s*%/);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  // Type key from product-types.js (normalized products already carry productType)
+  static productCategoryOf(product) {
+    if (product.productType) return product.productType;
+    const types = ProductMatcher.resolve('SageProductTypes', './product-types.js');
+    return types ? types.detectProductType(product) : 'flower';
+  }
+
+  // Helper modules: window global in the browser, require under Node
+  static resolve(globalName, modulePath) {
+    if (typeof window !== 'undefined' && window[globalName]) return window[globalName];
+    return typeof require === 'function' ? require(modulePath) : null;
+  }
+
+  static pricing() {
+    return ProductMatcher.resolve('SagePricing', './pricing.js');
+  }
+
+  // Lowest price the product can be bought at (cheapest weight variant, else the listed price)
+  static lowestPriceOf(product) {
+    const amounts = (product.variants || []).map(v => v.amount).filter(Number.isFinite);
+    if (Number.isFinite(product.priceAmount)) amounts.push(product.priceAmount);
+    return amounts.length > 0 ? Math.min(...amounts) : null;
+  }
+
+  static overlap(productEffects, wanted) {
+    const keys = new Set((productEffects || []).map(e => ProductMatcher.effectKey(e)));
+    return (wanted || []).filter(e => keys.has(ProductMatcher.effectKey(e)));
+  }
+
+  // Each filter returns a reason string when the product fails, otherwise null
+  filters(spec) {
+    const types = (spec?.productTypes || []).map(t => String(t).toLowerCase());
+    // Nobody asked for the default range, so it doesn't remove products (the potency signal still scores it)
+    const range = spec?.provenance?.targetTHCaPercent === 'default' ? null : spec?.targetTHCaPercent;
+    const avoid = spec?.avoid || [];
+    const budget = spec?.maxPrice;
+
+    const jurisdictions = spec?.legal ? ProductMatcher.resolve('SageJurisdictions', './jurisdiction-rules.js') : null;
+    const interactions = spec?.interactions ? ProductMatcher.resolve('SageInteractions', './medication-interactions.js') : null;
+
+    return {
+      inStock: (p) => /out of stock/i.test(p.availability || '') ? 'Out of stock' : null,
+      // spec.legal from the jurisdiction profile; like stock, never relaxed
+      legal: (p) => {
+        const violations = jurisdictions ? jurisdictions.checkProduct(p, spec.legal) : [];
+        return violations.length > 0 ? violations.join('; ') : null;
+      },
+      // spec.interactions from the customer's medication list; a safety limit, never relaxed
+      interactions: (p) => {
+        const violations = interactions ? interactions.checkProductInteractions(p, spec.interactions) : [];
+        return violations.length > 0 ? violations.join('; ') : null;
+      },
+      productType: (p) => {
+        if (types.length === 0) return null;
+        const category = ProductMatcher.productCategoryOf(p);
+        return types.includes(category) ? null : `${category} (wanted ${types.join('/')})`;
+      },
+      thcaRange: (p) => {
+        const pct = ProductMatcher.thcaPercentOf(p);
+        if (!range || pct === null) return null;
+        if (range.min !== undefined && pct < range.min) return `THCa ${pct}% below ${range.min}%`;
+        if (range.max !== undefined && pct > range.max) return `THCa ${pct}% above ${range.max}%`;
+        return null;
+      },
+      budget: (p) => {
+        const lowest = ProductMatcher.lowestPriceOf(p);
+        if (!budget || lowest === null) return null;
+        if (budget.currency && p.currency && budget.currency !== p.currency) return null;
+        return lowest > budget.amount ? `${p.price} over budget of ${budget.amount} ${budget.currency || ''}`.trim() : null;
+      },
+      avoidEffects: (p) => {
+        const hits = ProductMatcher.overlap(p.effects, avoid);
+        return hits.length > 0 ? `has avoided effect: ${hits.join(', ')}` : null;
+      }
+    };
+  }
+
+  // Weighted scoring signals; each returns { points, detail } or null when it doesn't apply.
+  // priceBands comes from pricing.computePriceBands over the whole loaded inventory.
+  signals(spec, { priceBands = null } = {}) {
+    const w = this.weights;
+    const desired = spec?.desiredEffects || [];
+    const pref = (spec?.strainPreference || '').toLowerCase();
+    const range = spec?.targetTHCaPercent;
+    const occasions = spec?.occasion ? ProductMatcher.resolve('SageOccasions', './occasion-model.js') : null;
+    const labs = desired.length > 0 ? ProductMatcher.resolve('SageLabResults', './lab-results.js') : null;
+    const relevance = spec?.relevance;
+
+    return [
+      {
+        signal: 'effects',
+        label: 'Effects',
+        score: (p) => {
+          if (desired.length === 0) return null;
+          const hits = ProductMatcher.overlap(p.effects, desired);
+          if (hits.length === 0) return { points: 0, detail: `none of ${desired.join(', ')}` };
+          return { points: w.effects * hits.length / desired.length, detail: `matches ${hits.join(', ')}` };
+        }
+      },
+      {
+        signal: 'terpenes',
+        label: 'Lab profile',
+        score: (p) => {
+          if (!labs || !p.lab) return null;
+          const found = labs.labEffects(p.lab);
+          if (found.length === 0) return null;
+          const hits = desired
+            .map(effect => found.find(f => ProductMatcher.effectKey(f.effect) === ProductMatcher.effectKey(effect)))
+            .filter(Boolean);
+          if (hits.length === 0) return { points: 0, detail: `no tested terpenes behind ${desired.join(', ')}` };
+          const detail = hits.map(h => `${h.sources.join(', ')} → ${h.effect}`).join('; ');
+          return { points: w.terpenes * hits.length / desired.length, detail };
+        }
+      },
+      {
+        signal: 'relevance',
+        label: 'Relevance',
+        score: (p) => {
+          const score = relevance?.scores?.[p.id];
+          if (score === undefined) return null;
+          let detail;
+          if (relevance.source === 'embeddings') {
+            detail = `${Math.round((relevance.similarity?.[p.id] || 0) * 100)}% similar to the question`;
+          } else {
+            const words = relevance.matches?.[p.id] || [];
+            detail = words.length > 0 ? `matches ${words.join(', ')} from the question` : 'no words from the question';
+          }
+          return { points: w.relevance * score, detail };
+        }
+      },
+      {
+        signal: 'strain',
+        label: 'Strain',
+        score: (p) => {
+          if (!pref) return null;
+          const strain = `${p.strain || ''} ${p.category || ''}`.toLowerCase();
+          if (strain.includes(pref)) return { points: w.strain, detail: `${pref} as requested` };
+          // Hybrids sit between indica and sativa preferences
+          if (strain.includes('hybrid')) return { points: w.strain / 3, detail: `hybrid, close to ${pref}` };
+          return { points: 0, detail: `not ${pref}` };
+        }
+      },
+      {
+        signal: 'potency',
+        label: 'Potency',
+        score: (p) => {
+          const pct = ProductMatcher.thcaPercentOf(p);
+          if (!range || pct === null) return null;
+          const inRange = (range.min === undefined || pct >= range.min) && (range.max === undefined || pct <= range.max);
+          return inRange
+            ? { points: w.potency, detail: `THCa ${pct}% within ${range.min}–${range.max}%` }
+            : { points: 0, detail: `THCa ${pct}% outside ${range.min}–${range.max}%` };
+        }
+      },
+      {
+        signal: 'timing',
+        label: 'Timing',
+        score: (p) => {
+          const fit = occasions ? occasions.timingFit(p, spec.occasion) : null;
+          if (!fit) return null;
+          // Half for a fast enough onset, half for lasting about as long as the occasion
+          const checks = [fit.onsetOk, fit.durationFit === null ? null : fit.durationFit === 'fits'].filter(v => v !== null);
+          const passed = checks.filter(Boolean).length;
+          return { points: checks.length > 0 ? w.timing * passed / checks.length : 0, detail: fit.detail };
+        }
+      },
+      {
+        signal: 'price',
+        label: 'Price',
+        score: (p) => {
+          const pricing = ProductMatcher.pricing();
+          const format = (amount) => (pricing ? pricing.formatPrice({ amount, currency: p.currency || 'USD' }) : String(amount));
+          const unit = Number.isFinite(p.pricePerGram) ? ` (${p.price}, ${format(p.pricePerGram)}/g)` : ` (${p.price})`;
+          const budget = spec?.maxPrice;
+          const lowest = ProductMatcher.lowestPriceOf(p);
+          if (budget && lowest !== null && lowest <= budget.amount) {
+            return { points: w.price, detail: `within budget of ${format(budget.amount)}${unit}` };
+          }
+          // "mid" is the spec default, so only explicit value/premium requests score
+          const wanted = spec?.priceBand;
+          if (!pricing || (wanted !== 'value' && wanted !== 'premium')) return null;
+          const band = pricing.priceBandOf(p, priceBands);
+          if (!band) return null;
+          return band === wanted
+            ? { points: w.price, detail: `${wanted} pick${unit}` }
+            : { points: 0, detail: `${band} price${unit}` };
+        }
+      }
+    ];
+  }
+
+  // Rank products; returns copies sorted by score, each with a `match` breakdown
+  rank(products, spec) {
+    const pricing = ProductMatcher.pricing();
+    const filters = this.filters(spec);
+    const signals = this.signals(spec, { priceBands: pricing ? pricing.computePriceBands(products) : null });
+
+    const evaluated = (products || []).map((product) => {
+      const failures = {};
+      Object.entries(filters).forEach(([id, check]) => {
+        const reason = check(product);
+        if (reason) failures[id] = reason;
+      });
+      return { product, failures };
+    });
+
+    // Relax filters until something survives; stock, legal and interaction limits are never relaxed
+    const relaxed = [];
+    const survives = (entry) => Object.keys(entry.failures).every(id => relaxed.includes(id));
+    let candidates = evaluated.filter(survives);
+    for (const id of RELAXATION_ORDER) {
+      if (candidates.length > 0) break;
+      relaxed.push(id);
+      candidates = evaluated.filter(survives);
+    }
+    if (relaxed.length > 0) {
+      console.warn(`Matching relaxed filters to find products: ${relaxed.join(', ')}`);
+    }
+
+    return candidates
+      .map(({ product, failures }) => {
+        const breakdown = [];
+        signals.forEach(({ signal, label, score }) => {
+          const result = score(product);
+          if (result) breakdown.push({ signal, label, points: result.points, detail: result.detail });
+        });
+        Object.entries(failures).forEach(([id, reason]) => {
+          const points = id === 'avoidEffects'
+            ? -this.weights.avoid * ProductMatcher.overlap(product.effects, spec?.avoid).length
+            : -this.weights.relaxed;
+          breakdown.push({ signal: id, label: 'Relaxed filter', points, detail: reason });
+        });
+
+        const score = breakdown.reduce((sum, item) => sum + item.points, 0);
+        return {
+          ...product,
+          match: {
+            score: Math.round(score * 100) / 100,
+            breakdown,
+            relaxed: Object.keys(failures)
+          }
+        };
+      })
+      .sort((a, b) => b.match.score - a.match.score);
+  }
+
+  // 0..1: how alike two products are by strain, form, price band and name
+  static similarity(a, b, priceBands = null) {
+    const pricing = ProductMatcher.pricing();
+    const band = p => (pricing ? pricing.priceBandOf(p, priceBands) : null);
+    const words = p => new Set(String(p.name || '').toLowerCase().match(/[a-z0-9]+/g) || []);
+    const wordsA = words(a);
+    const wordsB = words(b);
+    const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+    const union = new Set([...wordsA, ...wordsB]).size;
+
+    const same = {
+      strain: !!a.strain && String(a.strain).toLowerCase() === String(b.strain || '').toLowerCase(),
+      productType: ProductMatcher.productCategoryOf(a) === ProductMatcher.productCategoryOf(b),
+      priceBand: !!band(a) && band(a) === band(b),
+      line: union > 0 ? shared / union : 0
+    };
+    return Object.entries(SIMILARITY_WEIGHTS).reduce((sum, [key, weight]) => sum + weight * Number(same[key]), 0);
+  }
+
+  // Pick `count` products from a ranking, each time taking the best of
+  // lambda × relative score − (1 − lambda) × similarity to the closest product already picked
+  diversify(ranked, { count = 4, lambda = DIVERSITY_LAMBDA, priceBands = undefined } = {}) {
+    const list = ranked || [];
+    const limit = Math.max(1, Math.floor(count) || 1);
+    if (list.length === 0) return [];
+    const pricing = ProductMatcher.pricing();
+    const bands = priceBands !== undefined ? priceBands : (pricing ? pricing.computePriceBands(list) : null);
+
+    const scores = list.map(p => p.match?.score ?? 0);
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    const relevance = scores.map(s => (max > min ? (s - min) / (max - min) : 1));
+
+    const picked = [0];
+    const closest = list.map((p, i) => (i === 0 ? 1 : ProductMatcher.similarity(p, list[0], bands)));
+    while (picked.length < Math.min(limit, list.length)) {
+      let best = -1;
+      let bestValue = -Infinity;
+      list.forEach((p, i) => {
+        if (picked.includes(i)) return;
+        const value = lambda * relevance[i] - (1 - lambda) * closest[i];
+        if (value > bestValue) {
+          best = i;
+          bestValue = value;
+        }
+      });
+      picked.push(best);
+      list.forEach((p, i) => {
+        if (!picked.includes(i)) closest[i] = Math.max(closest[i], ProductMatcher.similarity(p, list[best], bands));
+      });
+    }
+
+    const top = list[0];
+    return picked.map((i, position) => {
+      const product = list[i];
+      const whyDifferent = position === 0 ? null : ProductMatcher.describeDifference(product, top, bands);
+      return { ...product, match: { ...(product.match || {}), whyDifferent } };
+    });
+  }
+
+  // Short label for what sets a product apart from the top pick
+  static describeDifference(product, top, priceBands = null) {
+    const pricing = ProductMatcher.pricing();
+    const types = ProductMatcher.resolve('SageProductTypes', './product-types.js');
+    const typeLabel = key => types?.PRODUCT_TYPES?.[key]?.label || key;
+    const reasons = [];
+
+    const strain = product.strain && String(product.strain);
+    if (strain && top.strain && strain.toLowerCase() !== String(top.strain).toLowerCase()) {
+      reasons.push(`${strain} instead of ${top.strain}`);
+    }
+    const type = ProductMatcher.productCategoryOf(product);
+    const topType = ProductMatcher.productCategoryOf(top);
+    if (type !== topType) reasons.push(`${typeLabel(type)} instead of ${typeLabel(topType)}`);
+
+    const price = ProductMatcher.lowestPriceOf(product);
+    const topPrice = ProductMatcher.lowestPriceOf(top);
+    const band = pricing ? pricing.priceBandOf(product, priceBands) : null;
+    const topBand = pricing ? pricing.priceBandOf(top, priceBands) : null;
+    const shown = product.price || (Number.isFinite(price) ? `$${price.toFixed(2)}` : '');
+    const withPrice = text => (shown ? `${text} (${shown})` : text);
+    if (Number.isFinite(price) && Number.isFinite(topPrice) && price < topPrice * 0.9) {
+      reasons.push(withPrice('Costs less'));
+    } else if (band === 'premium' && topBand !== 'premium') {
+      reasons.push(withPrice('Premium pick'));
+    }
+
+    if (reasons.length < 2) {
+      const added = (product.effects || []).filter(e => ProductMatcher.overlap(top.effects, [e]).length === 0);
+      if (added.length > 0) reasons.push(`Adds ${added.slice(0, 2).join(', ')}`);
+    }
+    return reasons.length > 0 ? reasons.slice(0, 2).join(' · ') : 'Close alternative to the top pick';
+  }
+}
+
+const SageMatching = { ProductMatcher, MATCH_WEIGHTS, RELAXATION_ORDER, DIVERSITY_LAMBDA, SIMILARITY_WEIGHTS };
+
+if (typeof window !== 'undefined') {
+  window.SageMatching = SageMatching;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageMatching;
+}
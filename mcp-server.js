@@ -0,0 +1,294 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// MCP server exposing Sage's recommendation pipeline over stdio.
+// Budtender assistants and other agents can build search specs, rank the
+// catalog and fetch experience-level education prompts without the browser UI.
+//
+// Environment:
+//   OLLAMA_HOST          Ollama base URL (default http://localhost:11434; "off" = heuristics only)
+//   DISPENSARY_SOURCE    inventory adapter id (default static)
+//   INVENTORY_SOURCE_URL inventory JSON path relative to this file (default ./inventory/apotheca-thca.json)
+//   JURISDICTION_PROFILE jurisdiction profile id in ./jurisdictions (default apotheca)
+//   EMBEDDING_MODEL      Ollama embedding model for relevance ranking (default nomic-embed-text; "" = keywords)
+//   EMBEDDING_CACHE      embedding index cache file (default ./.cache/embeddings.json)
+//   RECOMMENDATION_COUNT products per recommendation (default 4; recommend_products can override)
+
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { SageAPI } = require('./api.js');
+const { StaticJsonAdapter, createDefaultInventoryAdapters } = require('./inventory-adapters.js');
+const { validateInventory, formatInventoryErrors } = require('./inventory-schema.js');
+
+// stdout carries the MCP protocol; route SageAPI's console logging to stderr
+console.log = (...args) => console.error(...args);
+console.warn = (...args) => console.error(...args);
+
+const EXPERIENCE_LEVELS = ['new', 'casual', 'experienced'];
+
+// Minimal stand-in for the browser Config (config.js relies on window/localStorage)
+class NodeConfig {
+  constructor(env = process.env) {
+    this.config = {
+      OLLAMA_HOST: env.OLLAMA_HOST || 'http://localhost:11434',
+      OLLAMA_STREAMING: false,
+      DISPENSARY_SOURCE: env.DISPENSARY_SOURCE || 'static',
+      INVENTORY_SOURCE_URL: env.INVENTORY_SOURCE_URL || './inventory/apotheca-thca.json',
+      INVENTORY_STRICT: env.INVENTORY_STRICT === 'true',
+      INVENTORY_PROXY: '',
+      JURISDICTION_PROFILE: env.JURISDICTION_PROFILE || 'apotheca',
+      JURISDICTION_RULES_PATH: './jurisdictions',
+      INTERACTIONS_KB_URL: './interactions/medication-interactions.json',
+      EMBEDDING_MODEL: env.EMBEDDING_MODEL ?? 'nomic-embed-text',
+      RECOMMENDATION_COUNT: Number(env.RECOMMENDATION_COUNT) || 4
+    };
+  }
+
+  get(key) {
+    return this.config[key];
+  }
+
+  set(key, value) {
+    this.config[key] = value;
+  }
+
+  hasOllamaConnection() {
+    return !!(this.config.OLLAMA_HOST && this.config.OLLAMA_HOST.startsWith('http'));
+  }
+}
+
+// The browser fetches static inventory over HTTP; here the same paths are local files
+const readLocalJson = async (url) => JSON.parse(await fs.readFile(path.resolve(__dirname, url), 'utf8'));
+
+// localStorage stand-in for the embedding index: one JSON file of key → value
+function createFileStorage(file) {
+  const read = () => {
+    try {
+      return JSON.parse(fsSync.readFileSync(file, 'utf8'));
+    } catch (e) {
+      return {};
+    }
+  };
+  return {
+    getItem: key => read()[key] ?? null,
+    setItem: (key, value) => {
+      fsSync.mkdirSync(path.dirname(file), { recursive: true });
+      fsSync.writeFileSync(file, JSON.stringify({ ...read(), [key]: value }));
+    }
+  };
+}
+
+function createNodeInventoryAdapters() {
+  return createDefaultInventoryAdapters()
+    .register(new StaticJsonAdapter({ loadJson: readLocalJson }))
+    .register(new StaticJsonAdapter({ id: 'apotheca', label: 'Apotheca (static snapshot)', loadJson: readLocalJson }));
+}
+
+const jsonResult = (value) => ({
+  content: [{ type: 'text', text: JSON.stringify(value, null, 2) }]
+});
+
+function createSageMcpServer({ config = new NodeConfig() } = {}) {
+  const inventoryAdapters = createNodeInventoryAdapters();
+  const embeddingStorage = createFileStorage(path.resolve(__dirname, process.env.EMBEDDING_CACHE || '.cache/embeddings.json'));
+  const sageAPI = new SageAPI({ config, inventoryAdapters, loadJson: readLocalJson, embeddingStorage });
+  const server = new McpServer({ name: 'sage', version: '1.0.0' });
+
+  const experienceLevel = z.enum(EXPERIENCE_LEVELS)
+    .default('casual')
+    .describe('Customer experience level');
+  const medications = z.array(z.string()).default([])
+    .describe('Medications and other substances the customer takes (checked against the interaction knowledge base)');
+
+  server.registerTool('build_search_spec', {
+    title: 'Build product search spec',
+    description: 'Turn a customer request into a ProductSearchSpec (effects, product types, strain preference, THCa range, price band, budget, occasion, legal and medication interaction limits) with per-field provenance (heuristic, model, default or interactions).',
+    inputSchema: {
+      query: z.string().min(1).describe('What the customer asked for'),
+      experienceLevel,
+      medications
+    }
+  }, async ({ query, experienceLevel, medications }) => {
+    return jsonResult(await sageAPI.buildProductSearchSpec(query, experienceLevel, { medications }));
+  });
+
+  server.registerTool('check_medications', {
+    title: 'Check medication interactions',
+    description: 'Match a medication and substance list against Sage\'s interaction knowledge base. Returns warnings (most severe first), entries it could not match, and the limits applied to product search.',
+    inputSchema: {
+      medications: z.array(z.string()).min(1).describe('Medications and other substances, e.g. ["sertraline 50mg", "wine"]')
+    }
+  }, async ({ medications: list }) => {
+    const result = await sageAPI.checkMedications(list);
+    return jsonResult(result || { error: 'Interaction knowledge base unavailable' });
+  });
+
+  // Crisis prompts (crisis-rules.js) get the classification and Sage's safety answer instead
+  const checkSafety = async (text) => {
+    await sageAPI.loadJurisdictionProfile();
+    const safety = sageAPI.checkPromptSafety(text);
+    return safety && { safety, answer: JSON.parse(sageAPI.getSafetyResponse(safety)) };
+  };
+
+  server.registerTool('check_prompt_safety', {
+    title: 'Check a prompt for crisis signals',
+    description: 'Run Sage\'s pre-flight classifier for self-harm, overdose, pregnancy, minors and severe symptoms. Returns { safety: null } or the classification with Sage\'s safety answer and resources.',
+    inputSchema: {
+      query: z.string().min(1).describe('What the customer asked')
+    }
+  }, async ({ query }) => {
+    return jsonResult((await checkSafety(query)) || { safety: null });
+  });
+
+  server.registerTool('classify_intent', {
+    title: 'Classify question type',
+    description: 'Route a customer question to education, product-search, dosing, event-planning or off-topic. Returns the intent, whether it needs a product search, its confidence and whether heuristics or the model decided.',
+    inputSchema: {
+      query: z.string().min(1).describe('What the customer asked')
+    }
+  }, async ({ query }) => {
+    return jsonResult(await sageAPI.classifyIntent(query));
+  });
+
+  server.registerTool('plan_event', {
+    title: 'Plan quantities for an event or group',
+    description: 'Read the group size, days, sessions and experience mix from a request, rank inventory, and return a shopping list with package counts, subtotals and a price total, trimmed to the jurisdiction\'s purchase limits. Crisis prompts return { safety, answer } instead.',
+    inputSchema: {
+      query: z.string().min(1).describe('The event or group request, e.g. "4 day bachelorette party, 6 of us"'),
+      experienceLevel,
+      medications
+    }
+  }, async ({ query, experienceLevel, medications }) => {
+    const flagged = await checkSafety(query);
+    if (flagged) return jsonResult(flagged);
+    const products = await sageAPI.getProductRecommendations(query, experienceLevel, { medications });
+    const interactions = await sageAPI.checkMedications(medications);
+    return jsonResult(sageAPI.planEvent(query, experienceLevel, products, interactions));
+  });
+
+  server.registerTool('recommend_products', {
+    title: 'Recommend products',
+    description: 'Rank the dispensary inventory for a customer request and return the top matches with "why this works" notes. Picks are varied across strain, form and price band; match.whyDifferent says how each one differs from the top pick. Crisis prompts return { safety, answer } instead of products.',
+    inputSchema: {
+      query: z.string().min(1).describe('What the customer asked for'),
+      experienceLevel,
+      medications,
+      count: z.number().int().min(1).max(12).optional().describe('How many products to return (default RECOMMENDATION_COUNT)')
+    }
+  }, async ({ query, experienceLevel, medications, count }) => {
+    const flagged = await checkSafety(query);
+    if (flagged) return jsonResult(flagged);
+    return jsonResult(await sageAPI.getProductRecommendations(query, experienceLevel, { medications, count }));
+  });
+
+  server.registerTool('normalize_inventory', {
+    title: 'Normalize inventory records',
+    description: 'Map raw inventory records (any supported field names) onto Sage\'s product card schema and drop records the configured jurisdiction profile does not allow.',
+    inputSchema: {
+      items: z.array(z.record(z.any())).describe('Raw inventory records'),
+      experienceLevel
+    }
+  }, async ({ items, experienceLevel }) => {
+    await sageAPI.loadJurisdictionProfile();
+    return jsonResult(sageAPI.normalizeInventory(items, null, { experienceLevel }));
+  });
+
+  server.registerTool('validate_inventory', {
+    title: 'Validate inventory records',
+    description: 'Check inventory records against Sage\'s inventory schema; reports each problem with record index and field. Omit items to validate the configured inventory.',
+    inputSchema: {
+      items: z.array(z.any()).optional().describe('Records to check; defaults to the configured inventory')
+    }
+  }, async ({ items }) => {
+    const records = items || await inventoryAdapters.get(config.get('DISPENSARY_SOURCE')).fetch({ config });
+    const report = validateInventory(records);
+    return jsonResult({
+      valid: report.valid,
+      total: records.length,
+      validCount: report.validItems.length,
+      errors: report.errors,
+      summary: formatInventoryErrors(report.errors)
+    });
+  });
+
+  server.registerTool('education_prompt', {
+    title: 'Experience-level education prompt',
+    description: 'Return the experience-adapted prompt Sage sends to its model, for agents that generate the answer themselves. The prompt template follows the question type (classify_intent); education and off-topic questions are never grounded in inventory. Crisis prompts return { safety, answer } instead of a prompt.',
+    inputSchema: {
+      question: z.string().min(1).describe('The customer\'s question'),
+      experienceLevel,
+      grounded: z.boolean().default(false).describe('Include the top-ranked inventory so the answer only recommends stocked products'),
+      medications
+    }
+  }, async ({ question, experienceLevel, grounded, medications }) => {
+    const flagged = await checkSafety(question);
+    if (flagged) return jsonResult(flagged);
+    const intent = await sageAPI.classifyIntent(question);
+    const products = grounded && intent?.needsProducts !== false
+      ? await sageAPI.getProductRecommendations(question, experienceLevel, { medications })
+      : [];
+    const interactions = await sageAPI.checkMedications(medications);
+    const eventPlan = intent?.intent === 'event-planning' && products.length > 0
+      ? sageAPI.planEvent(question, experienceLevel, products, interactions)
+      : null;
+    const prompt = sageAPI.buildExperienceLevelPrompt(question, experienceLevel, {
+      products,
+      interactions,
+      intent: intent?.intent,
+      eventPlan,
+      occasion: sageAPI.getOccasion(question)
+    });
+    return { content: [{ type: 'text', text: prompt }] };
+  });
+
+  server.registerPrompt('sage_education', {
+    title: 'Sage education answer',
+    description: 'Experience-level education prompt asking for Sage\'s versioned JSON answer contract (see answer-contract.js).',
+    argsSchema: {
+      question: z.string().describe('The customer\'s question'),
+      experienceLevel: z.string().optional().describe('new | casual | experienced')
+    }
+  }, ({ question, experienceLevel }) => {
+    const level = EXPERIENCE_LEVELS.includes(experienceLevel) ? experienceLevel : 'casual';
+    return {
+      messages: [{
+        role: 'user',
+        content: { type: 'text', text: sageAPI.buildExperienceLevelPrompt(question, level) }
+      }]
+    };
+  });
+
+  server.registerResource('inventory', 'sage://inventory', {
+    title: 'Dispensary inventory',
+    description: 'Raw inventory records from the configured DISPENSARY_SOURCE adapter.',
+    mimeType: 'application/json'
+  }, async (uri) => {
+    const source = config.get('DISPENSARY_SOURCE');
+    const adapter = inventoryAdapters.get(source);
+    if (!adapter) throw new Error(`No inventory adapter registered for "${source}"`);
+    const items = await adapter.fetch({ config });
+    return {
+      contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(items, null, 2) }]
+    };
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  const server = createSageMcpServer();
+  server.connect(new StdioServerTransport())
+    .then(() => console.error('Sage MCP server ready on stdio'))
+    .catch((error) => {
+      console.error('Failed to start Sage MCP server:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { createSageMcpServer, createNodeInventoryAdapters, NodeConfig };
@@ -0,0 +1,256 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Medication and substance interactions. The customer can list what they take; each entry
+// is matched against a local knowledge base (interactions/medication-interactions.json):
+//
+//   {
+//     "version": 1,
+//     "classes": [{
+//       "id": "sedatives", "label": "...", "severity": "major" | "moderate" | "minor",
+//       "mechanism": "...", "warning": "...", "advice": "...",
+//       "matches": ["alprazolam", "xanax", ...],          // generic and brand names, lowercase
+//       "tighten": { "maxMgPerServing": 2.5, "maxThcaPercent": 20,
+//                    "excludeProductTypes": ["concentrate"], "avoidEffects": ["Energetic"] },
+//       "examples": { "match": ["Xanax 0.5mg"], "miss": ["vitamin d"] }
+//     }]
+//   }
+//
+// Matched classes add warnings to the results page and tighten the ProductSearchSpec: the
+// strictest limits of every matched class go into spec.interactions. Excluded product types,
+// the THCa cap and the per-serving cap are enforced by the matcher like spec.legal and never
+// relaxed; the THCa cap also narrows the target range. `npm run check:interactions` validates
+// the file and runs every class's examples (test/medication-interactions.test.js).
+
+const INTERACTION_SEVERITIES = ['major', 'moderate', 'minor'];
+const TIGHTEN_FIELDS = ['maxMgPerServing', 'maxThcaPercent', 'excludeProductTypes', 'avoidEffects'];
+const INTERACTION_PRODUCT_TYPES = ['flower', 'pre-roll', 'vape', 'edible', 'tincture', 'concentrate'];
+const MAX_MEDICATIONS = 20;
+
+const normalizeName = (text) => String(text || '').toLowerCase().replace(/[’']/g, "'").replace(/[^a-z0-9' .-]+/g, ' ').replace(/\s+/g, ' ').trim();
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function interactionSibling(globalName, modulePath) {
+  if (typeof window !== 'undefined' && window[globalName]) return window[globalName];
+  return typeof require === 'function' ? require(modulePath) : null;
+}
+
+// Problems in a knowledge base file; [] when it's usable
+function validateKnowledgeBase(kb) {
+  const problems = [];
+  const taxonomy = interactionSibling('SageEffects', './effects-taxonomy.js');
+  if (!kb || typeof kb !== 'object' || !Array.isArray(kb.classes)) return ['expected { version, classes: [...] }'];
+  if (kb.version !== 1) problems.push(`version: expected 1, got ${kb.version}`);
+
+  const ids = new Set();
+  kb.classes.forEach((cls, i) => {
+    const where = `classes[${i}]${cls?.id ? ` (${cls.id})` : ''}`;
+    if (typeof cls?.id !== 'string' || !/^[a-z0-9-]+$/.test(cls.id)) problems.push(`${where}.id: expected lowercase letters, digits and hyphens`);
+    else if (ids.has(cls.id)) problems.push(`${where}.id: duplicate`);
+    else ids.add(cls.id);
+
+    if (!INTERACTION_SEVERITIES.includes(cls?.severity)) problems.push(`${where}.severity: must be one of ${INTERACTION_SEVERITIES.join(', ')}`);
+    ['label', 'warning', 'advice'].forEach((field) => {
+      if (typeof cls?.[field] !== 'string' || !cls[field].trim()) problems.push(`${where}.${field}: expected text`);
+    });
+    if (!Array.isArray(cls?.matches) || cls.matches.length === 0) {
+      problems.push(`${where}.matches: expected a non-empty array`);
+    } else {
+      cls.matches.filter(name => typeof name !== 'string' || name !== normalizeName(name) || name.length < 3)
+        .forEach(name => problems.push(`${where}.matches: "${name}" must be lowercase and at least 3 characters`));
+    }
+
+    const tighten = cls?.tighten || {};
+    Object.keys(tighten).filter(key => !TIGHTEN_FIELDS.includes(key)).forEach(key => problems.push(`${where}.tighten.${key}: unknown field`));
+    ['maxMgPerServing', 'maxThcaPercent'].forEach((field) => {
+      if (tighten[field] !== undefined && !(typeof tighten[field] === 'number' && tighten[field] >= 0)) {
+        problems.push(`${where}.tighten.${field}: expected a non-negative number`);
+      }
+    });
+    (tighten.excludeProductTypes || []).filter(type => !INTERACTION_PRODUCT_TYPES.includes(type))
+      .forEach(type => problems.push(`${where}.tighten.excludeProductTypes: unknown type "${type}"`));
+    if (tighten.avoidEffects !== undefined && !Array.isArray(tighten.avoidEffects)) {
+      problems.push(`${where}.tighten.avoidEffects: expected array`);
+    } else if (taxonomy) {
+      // Canonical labels, so they compare equal to the spec's effects
+      (tighten.avoidEffects || []).filter(effect => taxonomy.effectLabel(effect) !== effect || !taxonomy.isKnownEffect(effect))
+        .forEach(effect => problems.push(`${where}.tighten.avoidEffects: "${effect}" is not an effect in effects-taxonomy.js`));
+    }
+  });
+  return problems;
+}
+
+// Free text ("Xanax 0.5mg, lisinopril and a beer") or an array → trimmed, deduped entries
+function parseMedicationList(input) {
+  const parts = Array.isArray(input) ? input : String(input || '').split(/[,;\n]|\s+(?:and|&|\+)\s+/i);
+  const seen = new Set();
+  return parts
+    .map(part => String(part || '').trim())
+    .filter((part) => {
+      const key = part.toLowerCase();
+      if (!part || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_MEDICATIONS);
+}
+
+// Classes one entry belongs to; names match as whole words, plural allowed ("2 beers", "Xanax 0.5mg")
+function matchMedication(entry, kb) {
+  const text = ` ${normalizeName(entry)} `;
+  return (kb?.classes || []).filter(cls =>
+    cls.matches.some(name => new RegExp(`[^a-z0-9]${escapeRegExp(name)}s?[^a-z0-9]`).test(text)));
+}
+
+// The strictest combination of several classes' tighten rules
+function mergeTightening(list) {
+  const merged = { maxMgPerServing: null, maxThcaPercent: null, excludeProductTypes: [], avoidEffects: [] };
+  list.forEach((tighten) => {
+    ['maxMgPerServing', 'maxThcaPercent'].forEach((field) => {
+      if (tighten?.[field] == null) return;
+      merged[field] = merged[field] === null ? tighten[field] : Math.min(merged[field], tighten[field]);
+    });
+    (tighten?.excludeProductTypes || []).forEach(type => merged.excludeProductTypes.includes(type) || merged.excludeProductTypes.push(type));
+    (tighten?.avoidEffects || []).forEach(effect => merged.avoidEffects.includes(effect) || merged.avoidEffects.push(effect));
+  });
+  return merged;
+}
+
+// Check a medication list. Returns
+//   { medications, unknown: [entries no class matched],
+//     warnings: [{ classId, label, severity, warning, advice, medications }], most severe first,
+//     classes: [ids], tighten: merged caps }
+function checkMedications(input, kb) {
+  const medications = parseMedicationList(input);
+  const byClass = new Map();
+  const unknown = [];
+  medications.forEach((entry) => {
+    const classes = matchMedication(entry, kb);
+    if (classes.length === 0) unknown.push(entry);
+    classes.forEach((cls) => {
+      if (!byClass.has(cls.id)) byClass.set(cls.id, { cls, medications: [] });
+      byClass.get(cls.id).medications.push(entry);
+    });
+  });
+
+  const warnings = [...byClass.values()]
+    .map(({ cls, medications: matched }) => ({
+      classId: cls.id,
+      label: cls.label,
+      severity: cls.severity,
+      warning: cls.warning,
+      advice: cls.advice,
+      medications: matched
+    }))
+    .sort((a, b) => INTERACTION_SEVERITIES.indexOf(a.severity) - INTERACTION_SEVERITIES.indexOf(b.severity));
+
+  return {
+    medications,
+    unknown,
+    warnings,
+    classes: warnings.map(w => w.classId),
+    tighten: mergeTightening([...byClass.values()].map(({ cls }) => cls.tighten))
+  };
+}
+
+// Tighten a ProductSearchSpec for a checkMedications result. Limits go into spec.interactions;
+// the THCa target range and avoided effects narrow too, with provenance 'interactions'.
+function applyInteractionsToSpec(spec, result) {
+  if (!spec || !result || result.classes.length === 0) return spec;
+  const { tighten } = result;
+  const next = {
+    ...spec,
+    avoid: [...(spec.avoid || [])],
+    provenance: { ...(spec.provenance || {}) },
+    interactions: { classes: [...result.classes], ...tighten }
+  };
+
+  if (tighten.maxThcaPercent != null && spec.targetTHCaPercent) {
+    const max = Math.min(spec.targetTHCaPercent.max, tighten.maxThcaPercent);
+    if (max !== spec.targetTHCaPercent.max) {
+      next.targetTHCaPercent = { min: Math.min(spec.targetTHCaPercent.min, max), max };
+      next.provenance.targetTHCaPercent = 'interactions';
+    }
+  }
+  const added = tighten.avoidEffects.filter(effect => !next.avoid.includes(effect));
+  if (added.length > 0) {
+    next.avoid.push(...added);
+    next.provenance.avoid = 'interactions';
+  }
+  // An avoided effect can't also be a desired one
+  next.desiredEffects = (spec.desiredEffects || []).filter(effect => !tighten.avoidEffects.includes(effect));
+  return next;
+}
+
+// Reasons a normalized product is ruled out by spec.interactions (excluded types, THCa cap,
+// per-serving cap); [] when it's fine
+function checkProductInteractions(product, rules) {
+  if (!rules) return [];
+  const violations = [];
+  const type = product.productType || 'flower';
+  if ((rules.excludeProductTypes || []).includes(type)) violations.push(`${type} not suggested with ${rules.classes.join(', ')}`);
+  if (rules.maxThcaPercent != null && Number.isFinite(product.thcaPercent) && product.thcaPercent > rules.maxThcaPercent) {
+    violations.push(`THCa ${product.thcaPercent}% above ${rules.maxThcaPercent}% with ${rules.classes.join(', ')}`);
+  }
+  const mg = product.details?.mgPerServing;
+  if (rules.maxMgPerServing != null && Number.isFinite(mg) && mg > rules.maxMgPerServing) {
+    violations.push(`${mg}mg per serving above ${rules.maxMgPerServing}mg with ${rules.classes.join(', ')}`);
+  }
+  return violations;
+}
+
+// Lower a resolved compliance policy's dose ceilings (compliance-policy.js) to the strictest
+// per-serving cap of the matched classes, so answer text can't suggest more
+function applyInteractionsToPolicy(policy, result) {
+  const cap = result?.tighten?.maxMgPerServing;
+  if (!policy || cap == null) return policy;
+  const maxDoseMg = { ...policy.maxDoseMg };
+  ['new', 'casual', 'experienced'].forEach((level) => {
+    maxDoseMg[level] = maxDoseMg[level] == null ? cap : Math.min(maxDoseMg[level], cap);
+  });
+  return { ...policy, maxDoseMg };
+}
+
+// Prompt lines so the answer doesn't suggest combining or stacking
+function interactionPromptRules(result) {
+  if (!result || result.warnings.length === 0) return '';
+  const lines = result.warnings.map(w => `- The customer takes ${w.medications.join(', ')} (${w.label}): ${w.warning}`);
+  lines.push('- Do not suggest stacking products or combining cannabis with these; recommend talking with a pharmacist or prescriber first.');
+  return lines.join('\n');
+}
+
+const SageInteractions = {
+  INTERACTION_SEVERITIES,
+  validateKnowledgeBase,
+  parseMedicationList,
+  matchMedication,
+  checkMedications,
+  applyInteractionsToSpec,
+  checkProductInteractions,
+  applyInteractionsToPolicy,
+  interactionPromptRules
+};
+
+if (typeof window !== 'undefined') {
+  window.SageInteractions = SageInteractions;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageInteractions;
+
+  // CLI: node medication-interactions.js "xanax, 2 beers"     → check one list
+  if (require.main === module) {
+    const list = process.argv.slice(2).join(' ');
+    if (!list) {
+      console.error('usage: node medication-interactions.js "medication list"   (npm run check:interactions runs the examples)');
+      process.exit(1);
+    }
+    const fs = require('fs');
+    const path = require('path');
+    const kb = JSON.parse(fs.readFileSync(path.resolve(__dirname, 'interactions/medication-interactions.json'), 'utf8'));
+    validateKnowledgeBase(kb).forEach(problem => console.error(`  ${problem}`));
+    console.log(JSON.stringify(checkMedications(list, kb), null, 2));
+  }
+}
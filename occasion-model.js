@@ -0,0 +1,328 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Occasion model: what the customer is doing, when, with whom and for how long, read from
+// the question and the local clock.
+//
+//   parseOccasion("Going to the movies tonight", { now })
+//   → { activity: 'movies', timeOfDay: 'evening', timeSource: 'query', setting: 'public',
+//       startsAt: ISO string, durationHours: { min: 2, max: 3 }, maxOnsetMinutes: null,
+//       gentle: false, strainLean: 'hybrid', effects: [...], avoid: [...] }
+//
+// buildProductSearchSpec copies it into spec.occasion and uses the strain lean, effects and
+// avoid list where the query didn't say otherwise. The matcher's timing signal compares
+// each product's onset and duration with the occasion, and buildTimeline lays out when to
+// take a product and when it starts and wears off, for What to Expect.
+
+const TIMES_OF_DAY = ['morning', 'afternoon', 'evening', 'night'];
+// Hour a time of day starts when the question names it ("tonight" → 7pm)
+const TIME_OF_DAY_START = { morning: 9, afternoon: 14, evening: 19, night: 22 };
+// Strain lean when nothing more specific is known
+const TIME_OF_DAY_STRAIN = { morning: 'sativa', afternoon: 'sativa', evening: 'hybrid', night: 'indica' };
+
+// Checked in order; the first match names the time of day. "today" deliberately says nothing.
+const TIME_PATTERNS = [
+  { timeOfDay: 'night', pattern: /\b(?:bed ?time|before bed|late night|overnight|midnight|at night)\b/ },
+  { timeOfDay: 'evening', pattern: /\b(?:tonight|this evening|evenings?|after work|after dinner|dinner time|sunset)\b/ },
+  { timeOfDay: 'afternoon', pattern: /\b(?:this afternoon|afternoons?|lunch|midday|after lunch)\b/ },
+  { timeOfDay: 'morning', pattern: /\b(?:this morning|mornings?|breakfast|wake and bake|before work|sunrise)\b/ },
+  { timeOfDay: 'daytime', pattern: /\b(?:daytime|during the day|day ?time use|all day)\b/ }
+];
+const CLOCK_TIME = /\b(?:at |by |around )?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/;
+
+// Checked in ACTIVITY_ORDER so "work out" is exercise and "after work" is unwinding
+const ACTIVITIES = {
+  sleep: {
+    label: 'sleep',
+    pattern: /\b(?:sleep|asleep|insomnia|bed ?time|before bed|go to bed)\b/,
+    timeOfDay: 'night', setting: 'solo', durationHours: { min: 6, max: 9 },
+    strain: 'indica', effects: ['Sleep', 'Relaxed'], avoid: ['Energetic']
+  },
+  exercise: {
+    label: 'exercise',
+    pattern: /\b(?:hike|hiking|gym|work ?out|workout|running|go for a run|yoga|biking|bike ride|climbing|surf(?:ing)?)\b/,
+    setting: 'outdoors', durationHours: { min: 1, max: 3 },
+    strain: 'sativa', effects: ['Energetic', 'Focus'], avoid: ['Sleep']
+  },
+  work: {
+    label: 'work or study',
+    pattern: /\b(?:(?<!after )work(?:ing)?(?! out)|study(?:ing)?|office|meeting|homework|deadline|productive)\b/,
+    setting: 'solo', durationHours: { min: 2, max: 4 },
+    strain: 'sativa', effects: ['Focus'], avoid: ['Sleep']
+  },
+  movies: {
+    label: 'a movie',
+    pattern: /\b(?:movies?|cinema|film|theat(?:er|re)|netflix|binge)\b/,
+    setting: 'public', durationHours: { min: 2, max: 3 },
+    strain: 'hybrid', effects: ['Relaxed', 'Uplifted'], avoid: []
+  },
+  social: {
+    label: 'a social occasion',
+    pattern: /\b(?:party|parties|friends|date night|a date|dinner party|bbq|barbecue|hang(?:ing)? out|game night|concert|festival|wedding|social)\b/,
+    setting: 'social', durationHours: { min: 3, max: 5 },
+    strain: 'hybrid', effects: ['Uplifted'], avoid: ['Sleep']
+  },
+  creative: {
+    label: 'a creative project',
+    pattern: /\b(?:paint(?:ing)?|draw(?:ing)?|writing|make music|play(?:ing)? music|jam session|art project|crafting|creative)\b/,
+    setting: 'solo', durationHours: { min: 2, max: 4 },
+    strain: 'sativa', effects: ['Uplifted', 'Focus'], avoid: ['Sleep']
+  },
+  unwind: {
+    label: 'unwinding',
+    pattern: /\b(?:unwind|after work|chill(?:ing)?|couch|bath|decompress|wind down)\b/,
+    timeOfDay: 'evening', setting: 'solo', durationHours: { min: 2, max: 4 },
+    strain: 'indica', effects: ['Relaxed', 'Calm'], avoid: []
+  }
+};
+const ACTIVITY_ORDER = ['sleep', 'exercise', 'work', 'movies', 'social', 'creative', 'unwind'];
+
+const SETTING_PATTERNS = [
+  { setting: 'solo', pattern: /\b(?:alone|by myself|solo|at home|on my own)\b/ },
+  { setting: 'social', pattern: /\b(?:with (?:friends|people|my|the group|family)|group|we|us|our)\b/ },
+  { setting: 'public', pattern: /\b(?:in public|out(?:side)? at|restaurant|bar|museum|stadium)\b/ }
+];
+
+// Modifiers: how fast it should start, how long it should last, and "not jittery"
+const SOON = /\b(?:right now|right away|asap|quick(?:ly)?|fast[- ]acting|kicks? in fast|immediately|in a few minutes)\b/;
+const SOON_ONSET_MINUTES = 15;
+const STARTS_IN = /\bin (\d{1,3}|an?|half an) (minutes?|mins?|hours?|hrs?)\b/;
+const LONG_LASTING = /\b(?:all day|all night|long[- ]lasting|lasts? (?:a while|long)|through the night)\b/;
+const SHORT_LASTING = /\b(?:short[- ]acting|not too long|wears? off (?:fast|quickly)|just an hour|quick session|won'?t last)\b/;
+const FOR_HOURS = /\bfor (\d{1,2}|an?|a couple of) hours?\b/;
+const GENTLE = /\b(?:not (?:too )?(?:jittery|anxious|paranoid|racy|edgy|wired)|without (?:the )?(?:jitters|anxiety|paranoia)|no (?:jitters|anxiety|paranoia)|smooth|gentle|mild)\b/;
+const STAY_AWAKE = /\b(?:not (?:too )?(?:sleepy|drowsy|tired)|without (?:getting |being )?(?:sleepy|drowsy|tired)|stay awake|no couch[- ]?lock|not couch[- ]?locked)\b/;
+
+// THCa ceiling for "energy but not jittery": lower potency, fewer racy side effects
+const GENTLE_THCA_PERCENT = { min: 15, max: 22 };
+
+function timeOfDayAt(date) {
+  const hour = date.getHours();
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 21) return 'evening';
+  return 'night';
+}
+
+function amountOf(word) {
+  if (/^\d+$/.test(word)) return parseInt(word, 10);
+  if (word === 'half an') return 0.5;
+  if (word === 'a couple of') return 2;
+  return 1;
+}
+
+// Occasion for a question; `now` is the local clock (a Date)
+function parseOccasion(text, { now = new Date() } = {}) {
+  const q = String(text || '').toLowerCase();
+  const activityId = ACTIVITY_ORDER.find(id => ACTIVITIES[id].pattern.test(q)) || null;
+  const activity = activityId ? ACTIVITIES[activityId] : null;
+
+  // Time of day: a clock time, else a named part of the day, else the activity's usual time, else now
+  const clockNow = timeOfDayAt(now);
+  let timeOfDay = null;
+  let timeSource = 'query';
+  let startsAt = null;
+  const clock = q.match(CLOCK_TIME);
+  if (clock) {
+    const hour = (parseInt(clock[1], 10) % 12) + (clock[3] === 'pm' ? 12 : 0);
+    startsAt = new Date(now);
+    startsAt.setHours(hour, clock[2] ? parseInt(clock[2], 10) : 0, 0, 0);
+    if (startsAt < now) startsAt.setDate(startsAt.getDate() + 1);
+    timeOfDay = timeOfDayAt(startsAt);
+  } else {
+    const named = TIME_PATTERNS.find(({ pattern }) => pattern.test(q));
+    timeOfDay = named ? named.timeOfDay : null;
+    if (timeOfDay === 'daytime') timeOfDay = clockNow === 'morning' ? 'morning' : 'afternoon';
+  }
+  if (!timeOfDay && activity?.timeOfDay) {
+    timeOfDay = activity.timeOfDay;
+    timeSource = 'activity';
+  }
+  if (!timeOfDay) {
+    timeOfDay = clockNow;
+    timeSource = 'clock';
+  }
+
+  // Start: stated time, "in 30 minutes", or the named part of the day if it's still ahead
+  let maxOnsetMinutes = SOON.test(q) ? SOON_ONSET_MINUTES : null;
+  const startsIn = q.match(STARTS_IN);
+  if (startsIn) {
+    const minutes = amountOf(startsIn[1]) * (/^h/.test(startsIn[2]) ? 60 : 1);
+    startsAt = new Date(now.getTime() + minutes * 60000);
+    maxOnsetMinutes = Math.min(maxOnsetMinutes ?? Infinity, minutes);
+  }
+  if (!startsAt) {
+    startsAt = new Date(now);
+    if (timeOfDay !== clockNow && TIMES_OF_DAY.indexOf(timeOfDay) > TIMES_OF_DAY.indexOf(clockNow)) {
+      startsAt.setHours(TIME_OF_DAY_START[timeOfDay], 0, 0, 0);
+    }
+  }
+
+  let durationHours = activity ? { ...activity.durationHours } : null;
+  const forHours = q.match(FOR_HOURS);
+  if (forHours) {
+    const hours = amountOf(forHours[1]);
+    durationHours = { min: hours, max: hours };
+  } else if (LONG_LASTING.test(q)) {
+    durationHours = { min: 6, max: 10 };
+  } else if (SHORT_LASTING.test(q)) {
+    durationHours = { min: 1, max: 2 };
+  }
+
+  const setting = (SETTING_PATTERNS.find(({ pattern }) => pattern.test(q)) || {}).setting || activity?.setting || null;
+  const gentle = GENTLE.test(q);
+  const effects = [...(activity?.effects || [])];
+  if (gentle && !effects.includes('Calm')) effects.push('Calm');
+  const avoid = [...(activity?.avoid || [])];
+  if (STAY_AWAKE.test(q) && !avoid.includes('Sleep')) avoid.push('Sleep');
+
+  return {
+    activity: activityId,
+    activityLabel: activity?.label || null,
+    timeOfDay,
+    timeSource,
+    setting,
+    startsAt: startsAt.toISOString(),
+    durationHours,
+    maxOnsetMinutes,
+    gentle,
+    strainLean: activity?.strain || TIME_OF_DAY_STRAIN[timeOfDay],
+    effects,
+    avoid
+  };
+}
+
+// Was anything in the occasion actually said, rather than read off the clock?
+function hasStatedOccasion(occasion) {
+  return !!occasion && (!!occasion.activity || occasion.timeSource === 'query' || occasion.maxOnsetMinutes !== null ||
+    occasion.durationHours !== null || occasion.gentle || occasion.avoid.length > 0);
+}
+
+// Timing fit of one product for the occasion: { onsetOk, durationFit, detail } or null when the
+// occasion sets no timing. durationFit is 'fits', 'short' (wears off before it ends) or
+// 'long' (lasts well past it; fine for sleep).
+function timingFit(product, occasion) {
+  if (!occasion || (!occasion.maxOnsetMinutes && !occasion.durationHours)) return null;
+  const onset = product.onset;
+  const duration = product.duration;
+  const parts = [];
+  let onsetOk = null;
+  let durationFit = null;
+
+  if (occasion.maxOnsetMinutes && onset) {
+    onsetOk = onset.max <= occasion.maxOnsetMinutes;
+    parts.push(onsetOk
+      ? `starts within ${onset.max} min`
+      : `takes up to ${onset.max} min to start (wanted ${occasion.maxOnsetMinutes})`);
+  }
+  if (occasion.durationHours && duration) {
+    const wanted = occasion.durationHours;
+    if (duration.max < wanted.min) durationFit = 'short';
+    else if (duration.min > wanted.max + 2 && occasion.activity !== 'sleep') durationFit = 'long';
+    else durationFit = 'fits';
+    const lasts = duration.min === duration.max ? `${duration.min}h` : `${duration.min}–${duration.max}h`;
+    parts.push({ short: `lasts ${lasts}, shorter than ${wanted.min}h`, long: `lasts ${lasts}, well past ${wanted.max}h`, fits: `lasts ${lasts}` }[durationFit]);
+  }
+  return parts.length > 0 ? { onsetOk, durationFit, detail: parts.join(', ') } : null;
+}
+
+const CLOCK_STEP_MINUTES = 15;
+
+function formatClock(date) {
+  const rounded = new Date(Math.round(date.getTime() / (CLOCK_STEP_MINUTES * 60000)) * CLOCK_STEP_MINUTES * 60000);
+  const hours = rounded.getHours();
+  const minutes = rounded.getMinutes();
+  const suffix = hours < 12 ? 'am' : 'pm';
+  const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+  return minutes === 0 ? `${hour12}${suffix}` : `${hour12}:${String(minutes).padStart(2, '0')}${suffix}`;
+}
+
+// When to take a product and when it starts and wears off, as clock times:
+// [{ step: 'take' | 'onset' | 'fade', text }]. Slow products are timed so they've kicked in
+// by the time the occasion starts.
+function buildTimeline(occasion, product, { now = new Date() } = {}) {
+  if (!occasion || !product?.onset || !product?.duration) return [];
+  const minutes = (n) => n * 60000;
+  const start = new Date(occasion.startsAt);
+  const onset = product.onset;
+  const duration = product.duration;
+  const lead = (onset.min + onset.max) / 2;
+  const takeAt = new Date(Math.max(now.getTime(), start.getTime() - minutes(lead)));
+  const soon = takeAt.getTime() - now.getTime() < minutes(CLOCK_STEP_MINUTES);
+
+  const steps = [{
+    step: 'take',
+    text: soon
+      ? `Take it now; it usually starts working in ${onset.min}–${onset.max} minutes.`
+      : `Take it around ${formatClock(takeAt)} so it's working by ${formatClock(start)}.`
+  }];
+  const between = (from, to) => (formatClock(from) === formatClock(to)
+    ? `around ${formatClock(from)}`
+    : `between ${formatClock(from)} and ${formatClock(to)}`);
+  steps.push({
+    step: 'onset',
+    text: `Effects begin ${between(new Date(takeAt.getTime() + minutes(onset.min)), new Date(takeAt.getTime() + minutes(onset.max)))}.`
+  });
+
+  const fadeFrom = new Date(takeAt.getTime() + minutes(onset.min + duration.min * 60));
+  const fadeTo = new Date(takeAt.getTime() + minutes(onset.max + duration.max * 60));
+  let fade = `Wears off ${between(fadeFrom, fadeTo)}`;
+  if (occasion.durationHours && occasion.activity !== 'sleep') {
+    const end = new Date(start.getTime() + minutes(occasion.durationHours.max * 60));
+    const what = occasion.activityLabel || 'it';
+    if (fadeTo < start.getTime() + minutes(occasion.durationHours.min * 60)) fade += `, likely before ${what} ends`;
+    else if (fadeFrom > end) fade += `, well after ${what} ends (around ${formatClock(end)}); plan to stay in`;
+  }
+  steps.push({ step: 'fade', text: `${fade}.` });
+  return steps;
+}
+
+// Prompt lines: the occasion and the timeline for the top product, for whatToExpect
+function occasionPromptLines(occasion, products = [], { now = new Date() } = {}) {
+  if (!hasStatedOccasion(occasion)) return '';
+  const facts = [
+    occasion.activityLabel && `activity: ${occasion.activityLabel}`,
+    `time of day: ${occasion.timeOfDay}`,
+    occasion.setting && `setting: ${occasion.setting}`,
+    occasion.durationHours && `lasts about ${occasion.durationHours.min}–${occasion.durationHours.max} hours`,
+    occasion.maxOnsetMinutes && `effects needed within ${occasion.maxOnsetMinutes} minutes`,
+    occasion.gentle && 'wants to avoid jittery or anxious effects'
+  ].filter(Boolean);
+  const top = (products || []).find(p => p && p.id && p.onset && p.duration);
+  const timeline = top ? buildTimeline(occasion, top, { now }) : [];
+  const timelineLines = timeline.length > 0
+    ? `\nIn whatToExpect, walk through this timeline for [[${top.id}]]:\n${timeline.map(s => `- ${s.text}`).join('\n')}`
+    : '';
+  return `OCCASION: ${facts.join('; ')}.${timelineLines}`;
+}
+
+const SageOccasions = {
+  ACTIVITIES,
+  TIMES_OF_DAY,
+  GENTLE_THCA_PERCENT,
+  parseOccasion,
+  hasStatedOccasion,
+  timingFit,
+  buildTimeline,
+  occasionPromptLines
+};
+
+if (typeof window !== 'undefined') {
+  window.SageOccasions = SageOccasions;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageOccasions;
+
+  // CLI: node occasion-model.js "prompt"   → parse one prompt at the current time
+  if (require.main === module) {
+    const prompt = process.argv.slice(2).join(' ');
+    if (!prompt) {
+      console.error('usage: node occasion-model.js "prompt"   (npm run check:occasions runs the parsing examples)');
+      process.exit(1);
+    }
+    console.log(JSON.stringify(parseOccasion(prompt), null, 2));
+  }
+}
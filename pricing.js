@@ -0,0 +1,184 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Numeric price model: parses display prices into { amount, currency }, reads weight
+// variants (1g / 3.5g / 7g / 28g) with price per gram, derives value/mid/premium bands
+// from the loaded inventory, and pulls budgets like "under $40" out of a query.
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+const CURRENCY_PREFIXES = { USD: '$', EUR: '€', GBP: '£' };
+
+// Retail cannabis sizes use 28g per ounce, not 28.35
+const GRAMS_PER_OUNCE = 28;
+const NAMED_WEIGHTS = { eighth: 3.5, quarter: 7, half: 14, ounce: 28, oz: 28 };
+
+// "$29.99" | "29.99" | "USD 29.99" | 29.99 → { amount: 29.99, currency: 'USD' }; ranges take the low end.
+// A comma before three digits groups thousands ("$1,299.99"); before one or two it's a decimal ("€12,50").
+function parsePrice(value, defaultCurrency = 'USD') {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? { amount: value, currency: defaultCurrency } : null;
+  }
+  const text = String(value || '').trim();
+  const match = text.match(/([$€£])?\s*(\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?(?!\d)|\d{1,5}(?:[.,]\d{1,2})?)/);
+  if (!match) return null;
+
+  const code = text.match(/\b(USD|EUR|GBP|CAD)\b/i);
+  const currency = match[1] ? CURRENCY_SYMBOLS[match[1]] : (code ? code[1].toUpperCase() : defaultCurrency);
+  return { amount: parseAmount(match[2]), currency };
+}
+
+// "1,299.99" → 1299.99, "12,50" → 12.5
+function parseAmount(text) {
+  return parseFloat(/,\d{3}(?!\d)/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.'));
+}
+
+function formatPrice(price) {
+  if (!price || !Number.isFinite(price.amount)) return '$--';
+  const prefix = CURRENCY_PREFIXES[price.currency];
+  const amount = price.amount.toFixed(2);
+  return prefix ? `${prefix}${amount}` : `${amount} ${price.currency}`;
+}
+
+// "3.5g" | "1/8 oz" | "eighth" | 7 → grams
+function parseWeightGrams(value) {
+  if (typeof value === 'number') return value > 0 ? value : null;
+  const text = String(value || '').toLowerCase().trim();
+  if (NAMED_WEIGHTS[text]) return NAMED_WEIGHTS[text];
+
+  const fraction = text.match(/^(\d+)\s*\/\s*(\d+)\s*(oz|ounce)/);
+  if (fraction) return GRAMS_PER_OUNCE * Number(fraction[1]) / Number(fraction[2]);
+
+  const amount = text.match(/^(\d+(?:\.\d+)?)\s*(g|gram|grams|oz|ounce|ounces)\b/);
+  if (!amount) return null;
+  const qty = parseFloat(amount[1]);
+  return amount[2].startsWith('o') ? qty * GRAMS_PER_OUNCE : qty;
+}
+
+function pricePerGram(amount, grams) {
+  if (!Number.isFinite(amount) || !grams) return null;
+  return Math.round((amount / grams) * 100) / 100;
+}
+
+// Build the numeric price fields for one inventory record:
+//   { price: { amount, currency } | null, variants: [{ label, grams, amount, currency, pricePerGram }], pricePerGram }
+// Records may list `variants: [{ weight: '3.5g', price: '$29.99' }]`, or a single `weight` for `price`.
+function buildPriceModel(record) {
+  const currency = record.currency || 'USD';
+  const base = record.priceCents !== undefined
+    ? parsePrice(record.priceCents / 100, currency)
+    : parsePrice(record.price ?? record.priceText, currency);
+
+  const rawVariants = Array.isArray(record.variants) && record.variants.length > 0
+    ? record.variants
+    : (record.weight ? [{ weight: record.weight, price: record.price }] : []);
+
+  const variants = rawVariants
+    .map((variant) => {
+      const grams = parseWeightGrams(variant.weight ?? variant.size ?? variant.grams);
+      const price = parsePrice(variant.price, currency);
+      if (!price) return null;
+      return {
+        label: String(variant.weight ?? variant.size ?? (grams ? `${grams}g` : 'each')),
+        grams,
+        amount: price.amount,
+        currency: price.currency,
+        pricePerGram: pricePerGram(price.amount, grams)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.amount - b.amount);
+
+  // The headline price is the listed price, else the cheapest variant
+  const price = base || (variants[0] ? { amount: variants[0].amount, currency: variants[0].currency } : null);
+  const unitPrices = variants.map(v => v.pricePerGram).filter(v => v !== null);
+  return {
+    price,
+    variants,
+    pricePerGram: unitPrices.length > 0 ? Math.min(...unitPrices) : null
+  };
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+// Derive budget bands from the loaded inventory: bottom third is "value", top third "premium".
+// Compares price per gram when every product has one, otherwise the headline price.
+function computePriceBands(products) {
+  const list = products || [];
+  const useUnit = list.length > 0 && list.every(p => Number.isFinite(p.pricePerGram));
+  const values = list
+    .map(p => (useUnit ? p.pricePerGram : p.priceAmount))
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  if (values.length === 0) return null;
+
+  return {
+    basis: useUnit ? 'pricePerGram' : 'amount',
+    valueMax: quantile(values, 1 / 3),
+    premiumMin: quantile(values, 2 / 3),
+    min: values[0],
+    max: values[values.length - 1]
+  };
+}
+
+function priceBandOf(product, bands) {
+  if (!bands) return null;
+  const value = bands.basis === 'pricePerGram' ? product.pricePerGram : product.priceAmount;
+  if (!Number.isFinite(value)) return null;
+  if (value <= bands.valueMax) return 'value';
+  if (value >= bands.premiumMin) return 'premium';
+  return 'mid';
+}
+
+// "under $40", "less than 40 dollars", "$40 or less", "max $40", "budget of 40" → { amount: 40, currency: 'USD' }.
+// Bare numbers only count after "budget" or before "dollars"/"bucks", so "under 20%" or "within 30 minutes" don't.
+// "spend" needs a currency symbol or money word too: "spend 3 days camping" isn't a budget.
+function parseBudget(text) {
+  const q = String(text || '').toLowerCase();
+  const limit = '(?:under|below|less than|no more than|max(?:imum)?|up to|at most|within)';
+  const amount = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:\\.\\d{1,2})?)(?![\\d.]|,\\d)';
+  const spend = 'spend(?:ing)?(?: only)?';
+  const patterns = [
+    [new RegExp(`${limit}\\s*(?:about\\s*)?([$€£])\\s*${amount}`), 1, 2],
+    [new RegExp(`${limit}\\s*(?:about\\s*)?${amount}\\s*(dollars|bucks|usd|euros?|pounds)\\b`), 2, 1],
+    [new RegExp(`budget(?: of| is)?\\s*(?:about\\s*)?([$€£])?\\s*${amount}`), 1, 2],
+    [new RegExp(`${spend}\\s*(?:about\\s*)?([$€£])\\s*${amount}`), 1, 2],
+    [new RegExp(`${spend}\\s*(?:about\\s*)?${amount}\\s*(dollars|bucks|usd|euros?|pounds)\\b`), 2, 1],
+    [new RegExp(`([$€£])\\s*${amount}\\s*(?:or less|or under|max|tops)`), 1, 2]
+  ];
+  const currencyOf = (unit) => CURRENCY_SYMBOLS[unit] || (/^euro/.test(unit || '') ? 'EUR' : unit === 'pounds' ? 'GBP' : 'USD');
+
+  for (const [pattern, unitGroup, amountGroup] of patterns) {
+    const match = q.match(pattern);
+    if (match) {
+      return { amount: parseAmount(match[amountGroup]), currency: currencyOf(match[unitGroup]) };
+    }
+  }
+  return null;
+}
+
+const SagePricing = {
+  GRAMS_PER_OUNCE,
+  parsePrice,
+  formatPrice,
+  parseWeightGrams,
+  buildPriceModel,
+  computePriceBands,
+  priceBandOf,
+  parseBudget
+};
+
+if (typeof window !== 'undefined') {
+  window.SagePricing = SagePricing;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SagePricing;
+}
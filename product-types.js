@@ -0,0 +1,227 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Typed product model: flower, pre-rolls, vapes, edibles, tinctures and concentrates.
+// Each type declares how its potency is expressed (percent vs mg per serving), its
+// per-category fields, and typical onset/duration, which records can override.
+//
+// Normalized products carry:
+//   productType   key of PRODUCT_TYPES
+//   details       per-category fields, e.g. { mgPerServing, servingsPerPackage, totalMg } for edibles,
+//                 plus mgPerMl and volumeMl for tinctures
+//   onset         { min, max } minutes
+//   duration      { min, max } hours
+//
+// `pattern` classifies a record's own type/name text. `mention` finds a type named in a
+// shopper's prompt or an answer, where words like "joint", "drink", "oil" and "drops"
+// only count next to product context ("joint pain", "oil change" are not products).
+
+const PRODUCT_TYPES = {
+  flower: {
+    label: 'THCa Flower',
+    potency: 'percent',
+    pattern: /\b(?:flowers?|buds?)\b/i,
+    mention: /\bflowers?\b/i,
+    fields: ['weight'],
+    onset: { min: 5, max: 15 },
+    duration: { min: 1, max: 3 }
+  },
+  'pre-roll': {
+    label: 'Pre-Roll',
+    potency: 'percent',
+    pattern: /\b(?:pre-?rolls?|joints?|blunts?)\b/i,
+    mention: /\bpre-?rolls?\b|\b(?:a|some|few|pack of|rolled|roll|smoke|buy|get)\s+(?:a\s+)?(?:joints?|blunts?)\b/i,
+    fields: ['weight', 'packCount'],
+    onset: { min: 5, max: 15 },
+    duration: { min: 1, max: 3 }
+  },
+  vape: {
+    label: 'Vape Cartridge',
+    potency: 'percent',
+    pattern: /\b(?:vapes?|vapor|vaporizers?|carts?|cartridges?|pods?|disposables?)\b/i,
+    mention: /\b(?:vapes?|vaping|vaporizers?|vape pens?|cartridges?)\b|\b(?:thca?|510|vape|a|some)\s+carts?\b|\bdisposable\s+(?:vapes?|pens?)\b/i,
+    fields: ['cartridgeSize'],
+    onset: { min: 2, max: 10 },
+    duration: { min: 1, max: 3 }
+  },
+  edible: {
+    label: 'Edible',
+    potency: 'mg',
+    pattern: /\b(?:edibles?|gumm(?:y|ies)|chocolates?|capsules?|beverages?|drinks?|seltzers?)\b/i,
+    mention: /\b(?:edibles?|gumm(?:y|ies)|chocolates?|capsules?|seltzers?)\b|\b(?:thca?|cannabis|infused|hemp|canna)[- ](?:drinks?|beverages?|sodas?)\b/i,
+    fields: ['mgPerServing', 'servingsPerPackage', 'totalMg'],
+    onset: { min: 30, max: 120 },
+    duration: { min: 4, max: 8 }
+  },
+  tincture: {
+    label: 'Tincture',
+    potency: 'mg',
+    pattern: /\b(?:tinctures?|drops|sublingual|oils?)\b/i,
+    mention: /\b(?:tinctures?|sublingual|droppers?)\b|\b(?:thca?|cbd|cannabis|hemp|tincture)\s+(?:oils?|drops)\b/i,
+    fields: ['mgPerServing', 'mgPerMl', 'servingsPerPackage', 'volumeMl', 'totalMg'],
+    onset: { min: 15, max: 45 },
+    duration: { min: 4, max: 6 }
+  },
+  concentrate: {
+    label: 'Concentrate',
+    potency: 'percent',
+    pattern: /\b(?:concentrates?|rosin|resin|wax|shatter|badder|diamonds)\b/i,
+    mention: /\b(?:concentrates?|rosin|live resin|shatter|badder)\b|\b(?:thca?|live|cured)\s+(?:diamonds|wax|resin)\b|\bwax\s+(?:pens?|concentrates?)\b/i,
+    fields: ['weight'],
+    onset: { min: 2, max: 10 },
+    duration: { min: 1, max: 3 }
+  }
+};
+
+// Checked in this order so "pre-roll" wins over "flower" and "vape" over "oil"
+const DETECTION_ORDER = ['pre-roll', 'vape', 'edible', 'tincture', 'concentrate', 'flower'];
+
+const FIELD_LABELS = {
+  weight: 'Weight',
+  packCount: 'Pack',
+  cartridgeSize: 'Cartridge',
+  mgPerServing: 'Per serving',
+  mgPerMl: 'Strength',
+  servingsPerPackage: 'Servings',
+  volumeMl: 'Bottle',
+  totalMg: 'Total'
+};
+
+// Alternate field names read from raw records
+const FIELD_ALIASES = {
+  weight: ['weight', 'netWeight'],
+  packCount: ['packCount', 'count', 'pieces'],
+  cartridgeSize: ['cartridgeSize', 'cartSize', 'volume'],
+  mgPerServing: ['mgPerServing', 'thcMgPerServing', 'doseMg'],
+  mgPerMl: ['mgPerMl', 'thcMgPerMl'],
+  servingsPerPackage: ['servingsPerPackage', 'servings', 'count', 'pieces'],
+  volumeMl: ['volumeMl', 'bottleMl'],
+  totalMg: ['totalMg', 'mgPerPackage']
+};
+
+function readField(record, field) {
+  const key = (FIELD_ALIASES[field] || [field]).find(k => record[k] !== undefined && record[k] !== null && record[k] !== '');
+  return key ? record[key] : undefined;
+}
+
+function toNumber(value) {
+  const n = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(/[^\d.]/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+// Resolve a type key from an explicit productType ("Edibles", "cart"), else the type text, else the name.
+// The name comes last because strain names can contain type words.
+function detectProductType(record) {
+  const explicit = String(record?.productType || '').toLowerCase().trim();
+  if (PRODUCT_TYPES[explicit]) return explicit;
+
+  for (const text of [explicit, record?.type, record?.name || record?.title]) {
+    const hit = text && DETECTION_ORDER.find(key => PRODUCT_TYPES[key].pattern.test(text));
+    if (hit) return hit;
+  }
+  return 'flower';
+}
+
+// Product types mentioned in free text, e.g. "gummies for sleep" → ['edible'].
+// The results become hard productType filters, so only `mention` matches count.
+function productTypesInText(text) {
+  const q = String(text || '');
+  return DETECTION_ORDER.filter(key => PRODUCT_TYPES[key].mention.test(q));
+}
+
+// "30-90 min" | "1–2 hours" | 45 | { min, max } → { min, max } in the requested unit
+function parseRange(value, unit) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? { min: value, max: value } : null;
+  if (typeof value === 'object') {
+    const min = toNumber(value.min);
+    const max = toNumber(value.max ?? value.min);
+    return min === null ? null : { min, max: max ?? min };
+  }
+
+  const text = String(value).toLowerCase();
+  const match = text.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)?\s*(\d+(?:\.\d+)?)?/);
+  if (!match) return null;
+  let min = parseFloat(match[1]);
+  let max = match[2] ? parseFloat(match[2]) : min;
+  const inHours = /h(ou)?r/.test(text);
+  const inMinutes = /min/.test(text);
+  if (unit === 'minutes' && inHours) { min *= 60; max *= 60; }
+  if (unit === 'hours' && inMinutes) { min /= 60; max /= 60; }
+  return { min, max };
+}
+
+// Per-category details for one raw record; mg totals are derived when not listed
+function buildTypeDetails(record, productType) {
+  const def = PRODUCT_TYPES[productType] || PRODUCT_TYPES.flower;
+  const details = {};
+  def.fields.forEach((field) => {
+    const value = readField(record, field);
+    if (value === undefined) return;
+    details[field] = ['weight', 'cartridgeSize'].includes(field) ? String(value) : toNumber(value);
+  });
+
+  if (def.potency === 'mg' && details.totalMg == null && details.mgPerServing != null && details.servingsPerPackage != null) {
+    details.totalMg = details.mgPerServing * details.servingsPerPackage;
+  }
+  Object.keys(details).forEach((key) => { if (details[key] === null) delete details[key]; });
+
+  return {
+    details,
+    onset: parseRange(record.onsetMinutes ?? record.onset, 'minutes') || { ...def.onset },
+    duration: parseRange(record.durationHours ?? record.duration, 'hours') || { ...def.duration }
+  };
+}
+
+function formatRange(range, unit) {
+  if (!range) return '';
+  const round = (n) => Math.round(n * 10) / 10;
+  return range.min === range.max ? `${round(range.min)} ${unit}` : `${round(range.min)}–${round(range.max)} ${unit}`;
+}
+
+// Potency text for the card: "THCa 22%" for inhaled types, "10mg / serving" for edibles and tinctures
+function formatPotency(product) {
+  const def = PRODUCT_TYPES[product.productType] || PRODUCT_TYPES.flower;
+  if (def.potency === 'mg') {
+    const cannabinoid = product.cannabinoid || 'THC';
+    const mg = product.details?.mgPerServing;
+    return mg != null ? `${mg}mg ${cannabinoid} / serving` : `${cannabinoid} --mg`;
+  }
+  const cannabinoid = product.cannabinoid || 'THCa';
+  return product.thcaPercent != null ? `${cannabinoid} ${product.thcaPercent}%` : `${cannabinoid} --`;
+}
+
+// Label/value rows for the fields that fit the product's type, plus onset and duration
+function describeProductFields(product) {
+  const def = PRODUCT_TYPES[product.productType] || PRODUCT_TYPES.flower;
+  const details = product.details || {};
+  const units = { mgPerServing: 'mg', mgPerMl: 'mg/ml', totalMg: 'mg', volumeMl: 'ml' };
+  const rows = def.fields
+    .filter(field => details[field] !== undefined)
+    .map(field => ({ label: FIELD_LABELS[field], value: `${details[field]}${units[field] || ''}` }));
+
+  if (product.onset) rows.push({ label: 'Onset', value: formatRange(product.onset, 'min') });
+  if (product.duration) rows.push({ label: 'Lasts', value: formatRange(product.duration, 'h') });
+  return rows;
+}
+
+const SageProductTypes = {
+  PRODUCT_TYPES,
+  detectProductType,
+  productTypesInText,
+  parseRange,
+  buildTypeDetails,
+  formatPotency,
+  formatRange,
+  describeProductFields
+};
+
+if (typeof window !== 'undefined') {
+  window.SageProductTypes = SageProductTypes;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageProductTypes;
+}
@@ -14,7 +14,9 @@ class ProductsPageHandler {
     // Load stored response data
     this.loadResponseData();
     
-    if (this.responseData) {
+    if (this.responseData?.streaming) {
+      this.streamResponse();
+    } else if (this.responseData) {
       this.populateContent();
     } else {
       this.handleMissingData();
@@ -74,14 +76,127 @@ class ProductsPageHandler {
   }
 
   populateContent() {
+    // Crisis prompts (crisis-rules.js) show only the safety answer and its resources
+    if (this.responseData.safety) {
+      document.body.classList.add('safety-mode', `safety-${this.responseData.safety.severity}`);
+      this.populateMainResponse();
+      return;
+    }
+    // Layout per question type (intent-router.js), e.g. education answers have no product grid
+    if (this.responseData.intent) {
+      document.body.classList.add(`intent-${this.responseData.intent.layout}`);
+    }
     this.populateMainResponse();
-    this.populateGuidanceCards();
+    this.populateBenefitCards();
     this.populateEnhancedProducts();
     this.addLoadingAnimations();
   }
 
-  populateMainResponse() {
-    // Update query display
+  // Streaming flow: generate on this page, filling sections as tokens arrive
+  async streamResponse() {
+    const { userInput, experienceLevel, medications, intent } = this.responseData;
+    const sageAPI = new SageAPI();
+    const controller = new AbortController();
+
+    this.populateQueryText();
+    const responseContent = document.querySelector('.ai-response-content');
+    const cancelBtn = document.querySelector('.cancel-stream-btn');
+    if (responseContent) responseContent.classList.add('streaming');
+    if (cancelBtn) {
+      cancelBtn.hidden = false;
+      cancelBtn.onclick = () => {
+        cancelBtn.disabled = true;
+        cancelBtn.textContent = 'Stopped';
+        controller.abort();
+      };
+    }
+
+    // Rank products first: the answer is grounded in them, and their cards are
+    // on screen before the answer starts linking to them. Education and off-topic
+    // questions don't search products at all.
+    if (intent) document.body.classList.add(`intent-${intent.layout}`);
+    const products = intent?.needsProducts === false
+      ? []
+      : await sageAPI.getProductRecommendations(userInput, experienceLevel, { medications })
+        .catch(error => {
+          console.error('Product recommendations failed:', error);
+          return [];
+        });
+    const interactions = await sageAPI.checkMedications(medications);
+    const eventPlan = intent?.intent === 'event-planning'
+      ? sageAPI.planEvent(userInput, experienceLevel, products, interactions)
+      : null;
+    this.responseData.products = products;
+    this.responseData.interactions = interactions;
+    this.responseData.eventPlan = eventPlan;
+    // Streamed sections are checked against the same policy and catalog as the final render
+    this.responseData.catalog = sageAPI.inventoryCatalog || [];
+    this.responseData.jurisdiction = sageAPI.jurisdictionProfile || null;
+    const occasion = sageAPI.getOccasion(userInput, new Date(this.responseData.timestamp));
+    this.responseData.occasion = occasion;
+    this.populateEnhancedProducts();
+
+    let aiResponse = await sageAPI.generateResponseStream(userInput, experienceLevel, {
+      signal: controller.signal,
+      products: this.shownProducts(),
+      interactions,
+      intent: intent?.intent,
+      eventPlan,
+      occasion,
+      onUpdate: (text) => this.renderStreamingSections(sageAPI, text)
+    });
+    if (!aiResponse || !aiResponse.trim()) {
+      aiResponse = sageAPI.getFallbackResponse(userInput, experienceLevel);
+    }
+
+    if (responseContent) responseContent.classList.remove('streaming');
+    if (cancelBtn) cancelBtn.hidden = true;
+
+    this.responseData = {
+      ...this.responseData,
+      aiResponse,
+      products,
+      interactions,
+      eventPlan,
+      occasion,
+      catalog: sageAPI.inventoryCatalog || [],
+      jurisdiction: sageAPI.jurisdictionProfile || null,
+      cancelled: controller.signal.aborted,
+      streaming: false
+    };
+    // Persist the finished answer so a reload doesn't regenerate it
+    sessionStorage.setItem('sageResponse', JSON.stringify(this.responseData));
+
+    this.populateContent();
+  }
+
+  renderStreamingSections(sageAPI, text) {
+    // Same compliance rewrites (jurisdiction and interaction caps included) and inventory
+    // guard as the final render, so banned claims and uncapped doses never flash on screen.
+    // Findings are only logged and recorded once, for the finished answer.
+    const checked = this.applyCompliance({ sections: sageAPI.splitStreamingSections(text) }, { quiet: true });
+    const { sections } = this.guardAnswer(checked, { record: false });
+
+    // Until the first marker arrives, show the raw text in the main topic (never raw JSON)
+    if (sections.coreTopic === undefined) {
+      const isJson = window.SageAnswerContract && window.SageAnswerContract.looksLikeJsonAnswer(text);
+      sections.coreTopic = Object.keys(sections).length === 0 && !isJson ? text.trim() : '';
+    }
+
+    if (sections.introduction !== undefined) this.populateIntroduction(sections.introduction);
+    if (sections.coreTopic !== undefined) this.populateCoreTopic(sections.coreTopic);
+    if (sections.whyThisWorks !== undefined) this.populateWhyThisWorks(sections.whyThisWorks);
+    if (sections.whatToExpect !== undefined) this.populateWhatToExpect(sections.whatToExpect);
+    if (sections.gettingStarted !== undefined) this.populateGettingStarted(sections.gettingStarted);
+
+    // Move the typing caret to the section currently being written
+    const paragraphs = [...document.querySelectorAll('.ai-response-content p')];
+    paragraphs.forEach(p => p.classList.remove('streaming-tail'));
+    const tail = paragraphs.filter(p => p.textContent).pop();
+    if (tail) tail.classList.add('streaming-tail');
+  }
+
+  populateQueryText() {
     const queryText = document.querySelector('.query-text');
     if (queryText && this.responseData.userInput) {
       const displayText = this.responseData.userInput === 'demo' 
@@ -89,6 +204,11 @@ class ProductsPageHandler {
         : this.responseData.userInput;
       queryText.textContent = displayText;
     }
+  }
+
+  populateMainResponse() {
+    // Update query display
+    this.populateQueryText();
 
     // Populate new MVP structured sections
     this.populateAdaptiveContent();
@@ -120,8 +240,21 @@ class ProductsPageHandler {
       console.warn('Fallback content:', aiResponse);
     }
 
-    // Parse structured sections from MCP response
-    const sections = this.parseStructuredResponse(aiResponse);
+    // JSON answer contract first; [MARKER] and unstructured text only as a fallback
+    const checked = this.applyCompliance(this.parseAnswer(aiResponse));
+    const { sections, answer, answerText } = this.guardAnswer(checked);
+    this.answer = answer;
+    this.populateIntroduction(sections.introduction);
+    this.populateCoreTopic(sections.coreTopic);
+    this.populateWhyThisWorks(sections.whyThisWorks);
+    this.populateWhatToExpect(sections.whatToExpect);
+    this.populateGettingStarted(sections.gettingStarted);
+    this.renderAnswerExtras(answer);
+    this.renderDisclaimers(checked.disclaimers);
+    this.renderInteractionWarnings(this.responseData.interactions);
+    this.renderDosePlan();
+    this.renderEventPlan(this.responseData.eventPlan);
+    this.renderExpectTimeline(this.responseData.occasion);
     
     // Apply experience-level CSS class to main container
     const mainCard = document.querySelector('.main-response-card');
@@ -138,10 +271,206 @@ class ProductsPageHandler {
     
     // Use enhanced content filter to extract structured data for existing UI
     console.log('Extracting structured data for existing UI...');
-    this.populateExistingUIElements(aiResponse);
+    this.populateExistingUIElements(answerText);
     console.log('UI population complete');
   }
 
+  // Returns { sections, answer, answerText }: answer is the validated answer contract
+  // object (null for marker/plain-text responses); answerText is readable text for the
+  // regex-based extractors below
+  parseAnswer(aiResponse) {
+    const contract = window.SageAnswerContract;
+    if (!contract) {
+      return { sections: this.parseStructuredResponse(aiResponse), answer: null, answerText: aiResponse };
+    }
+
+    const parsed = contract.parseAnswer(aiResponse);
+    if (parsed.problems.length > 0) {
+      console.warn('Answer contract problems:', parsed.problems.join('; '));
+    }
+    if (parsed.ok) {
+      const sections = contract.sectionTexts(parsed.answer);
+      Object.keys(sections).forEach((key) => {
+        if (!sections[key]) sections[key] = this.getFallbackContent(key);
+      });
+      return { sections, answer: parsed.answer, answerText: contract.answerToText(parsed.answer) };
+    }
+
+    // A JSON answer cut off mid-stream (e.g. cancelled): keep the sections that arrived
+    if (contract.looksLikeJsonAnswer(aiResponse)) {
+      const partial = contract.partialAnswerSections(aiResponse);
+      const sections = {};
+      contract.ANSWER_SECTION_KEYS.forEach((key) => {
+        sections[key] = partial[key] || this.getFallbackContent(key);
+      });
+      return { sections, answer: null, answerText: Object.values(partial).join('\n\n') };
+    }
+
+    return { sections: this.parseStructuredResponse(aiResponse), answer: null, answerText: aiResponse };
+  }
+
+  // Rewrite banned medical claims and cap doses per compliance-policy.js before anything renders.
+  // quiet: skip the per-finding log (streaming re-checks the partial answer on every chunk)
+  applyCompliance(parsed, { quiet = false } = {}) {
+    const compliance = window.SageCompliancePolicy;
+    if (!compliance || this.responseData.safety) return { ...parsed, disclaimers: [] };
+
+    const policy = new SageAPI().getCompliancePolicy(this.responseData.jurisdiction, this.responseData.interactions);
+    const checked = compliance.applyCompliancePolicy(parsed, { experienceLevel: this.responseData.experienceLevel, policy });
+    if (!quiet) checked.report.findings.forEach((finding) => {
+      console.warn(`[compliance] ${finding.rule} "${finding.match}" in ${finding.where} → ${finding.action}`);
+    });
+    return checked;
+  }
+
+  renderDisclaimers(disclaimers) {
+    const list = document.querySelector('.compliance-disclaimers');
+    if (!list) return;
+    list.innerHTML = '';
+    (disclaimers || []).forEach((text) => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      list.appendChild(li);
+    });
+    list.hidden = list.children.length === 0;
+  }
+
+  // One entry per matched interaction class (medication-interactions.js), most severe first,
+  // plus a note for entries the knowledge base doesn't know
+  renderInteractionWarnings(interactions) {
+    const container = document.querySelector('.interaction-warnings');
+    const list = container?.querySelector('.interaction-list');
+    if (!list) return;
+    list.innerHTML = '';
+    (interactions?.warnings || []).forEach((w) => {
+      const li = document.createElement('li');
+      li.className = `interaction-${w.severity}`;
+      const label = document.createElement('strong');
+      label.textContent = `${w.medications.join(', ')}: `;
+      li.append(label, `${w.warning} ${w.advice}`);
+      list.appendChild(li);
+    });
+    if (interactions?.unknown?.length > 0) {
+      const li = document.createElement('li');
+      li.className = 'interaction-unknown';
+      li.textContent = `Sage couldn't check ${interactions.unknown.join(', ')}. Ask a pharmacist before combining them with cannabis.`;
+      list.appendChild(li);
+    }
+    container.hidden = list.children.length === 0;
+  }
+
+  // Clock-time timeline under What to Expect for the top product (occasion-model.js): when to
+  // take it for the occasion, when it starts and when it wears off
+  renderExpectTimeline(occasion) {
+    const container = document.querySelector('.expect-content');
+    if (!container) return;
+    container.querySelector('.expect-timeline')?.remove();
+    const occasions = window.SageOccasions;
+    if (!occasions || !occasions.hasStatedOccasion(occasion)) return;
+
+    const top = this.shownProducts().find(p => p.onset && p.duration);
+    const steps = top ? occasions.buildTimeline(occasion, top, { now: new Date(this.responseData.timestamp) }) : [];
+    if (steps.length === 0) return;
+    const list = document.createElement('ul');
+    list.className = 'expect-timeline';
+    const heading = document.createElement('li');
+    heading.className = 'expect-timeline-product';
+    this.renderLinkedText(heading, `With [[${top.id}]]:`);
+    list.appendChild(heading);
+    steps.forEach((step) => {
+      const li = document.createElement('li');
+      li.className = `expect-timeline-${step.step}`;
+      li.textContent = step.text;
+      list.appendChild(li);
+    });
+    container.appendChild(list);
+  }
+
+  // Shopping list for an event or group (event-planner.js): one line per product with its
+  // package count and subtotal, the total, and any assumptions or purchase-limit trims
+  renderEventPlan(plan) {
+    const container = document.querySelector('.event-plan');
+    const list = container?.querySelector('.event-plan-list');
+    if (!list) return;
+    list.innerHTML = '';
+    container.querySelector('.event-plan-notes').innerHTML = '';
+    container.hidden = !plan || plan.items.length === 0;
+    if (container.hidden) return;
+
+    container.querySelector('.event-plan-summary').textContent = `For ${plan.summary}`;
+    plan.items.forEach((item) => {
+      const li = document.createElement('li');
+      if (item.limited) li.className = 'event-plan-limited';
+      this.renderLinkedText(li, item.text);
+      list.appendChild(li);
+    });
+    const total = window.SagePricing ? window.SagePricing.formatPrice(plan.total) : plan.total.amount;
+    container.querySelector('.event-plan-total').textContent = `Estimated total: ${total}`;
+    plan.notes.forEach((note) => {
+      const li = document.createElement('li');
+      li.textContent = note;
+      container.querySelector('.event-plan-notes').appendChild(li);
+    });
+  }
+
+  // Flag strain and product names the answer mentions that aren't in the loaded inventory
+  // (see answer-guard.js); each check is logged and kept in localStorage for review unless
+  // record is false (streaming re-checks the partial answer on every chunk)
+  guardAnswer(parsed, { record = true } = {}) {
+    const guard = window.SageAnswerGuard;
+    if (!guard || this.responseData.isDemo) return parsed;
+
+    const catalog = this.responseData.catalog?.length > 0 ? this.responseData.catalog : this.shownProducts();
+    const mode = window.Config?.get('ANSWER_GUARD_MODE') || 'mark';
+    const guarded = guard.guardAnswer(parsed, catalog, { mode });
+    if (record && !guarded.report.skipped) {
+      guard.recordGuardChecks(guarded.report, { storage: localStorage, query: this.responseData.userInput });
+      console.log(`Answer guard: ${guarded.report.checks.length} name(s) checked, ${guarded.report.unknown} not in inventory`);
+    }
+    return guarded;
+  }
+
+  // Bullet lists under each section and numbered dosing steps under Getting Started
+  renderAnswerExtras(answer) {
+    const containers = {
+      introduction: '.introduction-content',
+      coreTopic: '.core-topic-content',
+      whyThisWorks: '.why-content',
+      whatToExpect: '.expect-content',
+      gettingStarted: '.started-content'
+    };
+    Object.entries(containers).forEach(([key, selector]) => {
+      const container = document.querySelector(selector);
+      if (!container) return;
+      container.querySelectorAll('.section-bullets, .answer-dosing-steps').forEach(el => el.remove());
+
+      const bullets = answer?.sections?.[key]?.bullets || [];
+      if (bullets.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'section-bullets';
+        bullets.forEach((bullet) => {
+          const li = document.createElement('li');
+          this.renderLinkedText(li, bullet);
+          list.appendChild(li);
+        });
+        container.appendChild(list);
+      }
+
+      if (key === 'gettingStarted' && answer?.dosingSteps?.length > 0) {
+        const steps = document.createElement('ol');
+        steps.className = 'answer-dosing-steps';
+        answer.dosingSteps.forEach((step) => {
+          const li = document.createElement('li');
+          const amount = step.amount ? ` (${step.amount})` : '';
+          const wait = step.waitMinutes !== null ? ` — wait ${step.waitMinutes} min` : '';
+          this.renderLinkedText(li, `${step.instruction}${amount}${wait}`);
+          steps.appendChild(li);
+        });
+        container.appendChild(steps);
+      }
+    });
+  }
+
   parseStructuredResponse(response) {
     console.log(`=== PARSING STRUCTURED RESPONSE ===`);
     console.log('Full response length:', response.length);
@@ -158,11 +487,14 @@ class ProductsPageHandler {
 
     // First, try to extract sections using markers
     console.log('Looking for section markers...');
-    const introMatch = response.match(/\[INTRODUCTION\]\s*([\s\S]*?)(?=\[|$)/);
-    const coreMatch = response.match(/\[CORE_TOPIC\]\s*([\s\S]*?)(?=\[|$)/);
-    const whyMatch = response.match(/\[WHY_THIS_WORKS\]\s*([\s\S]*?)(?=\[|$)/);
-    const expectMatch = response.match(/\[WHAT_TO_EXPECT\]\s*([\s\S]*?)(?=\[|$)/);
-    const startMatch = response.match(/\[GETTING_STARTED\]\s*([\s\S]*?)(?=\[|$)/);
+    // Sections end at the next known marker, so brackets inside the content are kept
+    const nextMarker = '(?=\\[(?:INTRODUCTION|CORE_TOPIC|WHY_THIS_WORKS|WHAT_TO_EXPECT|GETTING_STARTED)\\]|$)';
+    const sectionPattern = (marker) => new RegExp(`\\[${marker}\\]\\s*([\\s\\S]*?)${nextMarker}`);
+    const introMatch = response.match(sectionPattern('INTRODUCTION'));
+    const coreMatch = response.match(sectionPattern('CORE_TOPIC'));
+    const whyMatch = response.match(sectionPattern('WHY_THIS_WORKS'));
+    const expectMatch = response.match(sectionPattern('WHAT_TO_EXPECT'));
+    const startMatch = response.match(sectionPattern('GETTING_STARTED'));
 
     console.log('Section marker matches:', {
       introMatch: !!introMatch,
@@ -298,35 +630,35 @@ class ProductsPageHandler {
   populateIntroduction(content) {
     const introText = document.querySelector('.introduction-text');
     if (introText) {
-      introText.textContent = content;
+      this.renderLinkedText(introText, content);
     }
   }
 
   populateCoreTopic(content) {
     const coreTopicText = document.querySelector('.core-topic-text');
     if (coreTopicText) {
-      coreTopicText.textContent = content;
+      this.renderLinkedText(coreTopicText, content);
     }
   }
 
   populateWhyThisWorks(content) {
     const whyText = document.querySelector('.why-text');
     if (whyText) {
-      whyText.textContent = content;
+      this.renderLinkedText(whyText, content);
     }
   }
 
   populateWhatToExpect(content) {
     const expectText = document.querySelector('.expect-text');
     if (expectText) {
-      expectText.textContent = content;
+      this.renderLinkedText(expectText, content);
     }
   }
 
   populateGettingStarted(content) {
     const startedText = document.querySelector('.started-text');
     if (startedText) {
-      startedText.textContent = content;
+      this.renderLinkedText(startedText, content);
     }
   }
 
@@ -335,7 +667,7 @@ class ProductsPageHandler {
       introduction: `Welcome! I'm here to provide you with personalized cannabis guidance based on your ${this.responseData.experienceLevel} experience level.`,
       coreTopic: "Let me provide you with comprehensive cannabis guidance tailored to your specific needs and experience level.",
       whyThisWorks: "This approach is recommended based on your experience level and the scientific principles of cannabis interaction with your body.",
-      whatToExpected: "You can expect gradual onset of effects with the recommended approach, allowing you to gauge your response safely.",
+      whatToExpect: "You can expect gradual onset of effects with the recommended approach, allowing you to gauge your response safely.",
       gettingStarted: "Start with the lowest recommended dose and wait to assess effects before considering any adjustments."
     };
     return fallbacks[sectionType] || "Loading personalized guidance...";
@@ -361,8 +693,11 @@ class ProductsPageHandler {
     // Populate guidance cards
     this.populateGuidanceCards(extractedData);
     
-    // Populate product cards with AI-generated content
-    this.populateProductCards(extractedData);
+    // Product cards come from ranked inventory; AI-extracted products only fill in
+    // when there is no inventory to show
+    if (this.shownProducts().length === 0) {
+      this.populateProductCards(extractedData);
+    }
   }
 
   extractStructuredData(response) {
@@ -602,18 +937,13 @@ class ProductsPageHandler {
   }
 
   extractEffects(response, index) {
-    const allEffects = ['Relaxing', 'Energizing', 'Focus', 'Creative', 'Social', 'Sleep', 'Pain Relief', 'Anxiety Relief'];
-    
-    // Look for effect mentions in response
-    const foundEffects = allEffects.filter(effect => 
-      response.toLowerCase().includes(effect.toLowerCase())
-    );
-    
-    if (foundEffects.length > 0) {
-      return foundEffects[index % foundEffects.length];
-    }
-    
-    return allEffects[index % allEffects.length];
+    // Effects the response mentions, in the shared taxonomy's labels (effects-taxonomy.js)
+    const taxonomy = window.SageEffects;
+    if (!taxonomy) return [];
+    const allEffects = taxonomy.EFFECT_IDS.map(id => taxonomy.EFFECTS[id].label);
+    const foundEffects = taxonomy.readEffects(response).desired.map(taxonomy.effectLabel);
+    const list = foundEffects.length > 0 ? foundEffects : allEffects;
+    return list[index % list.length];
   }
 
   getDefaultTHC(experience) {
@@ -717,7 +1047,7 @@ class ProductsPageHandler {
   // Removed unused methods: populateCannabisScience, makeMoreScientific, populateConsumptionDosing
   // These were for the old section structure that has been replaced with the new MVP flow
 
-  populateGuidanceCards() {
+  populateBenefitCards() {
     const guidanceCards = document.querySelectorAll('.guidance-card');
     const benefits = this.responseData.benefits;
     
@@ -743,20 +1073,91 @@ class ProductsPageHandler {
     }
   }
 
+  // Ranked products that get a card (and that the answer prompt was grounded in)
+  shownProducts() {
+    return Array.isArray(this.responseData.products) ? this.responseData.products : [];
+  }
+
+  // One card per ranked product: the template cards are cloned for extra products and
+  // unused ones hidden, so every product the answer mentions has a card to link to
   populateEnhancedProducts() {
-    const enhancedCards = document.querySelectorAll('.enhanced-product-card');
-    const products = this.responseData.products;
-    
-    if (enhancedCards.length >= 2 && products.length >= 2) {
-      products.slice(0, 2).forEach((product, index) => {
-        if (enhancedCards[index]) {
-          this.populateEnhancedProductCard(enhancedCards[index], product);
-        }
-      });
+    const container = document.querySelector('.product-cards');
+    const products = this.shownProducts();
+    // Ranked but nothing to show (e.g. INVENTORY_STRICT dropped every record): no placeholder cards
+    const section = document.querySelector('.recommendations-section');
+    if (section && Array.isArray(this.responseData.products)) section.hidden = products.length === 0;
+    if (!container || products.length === 0) return;
+
+    let cards = [...container.querySelectorAll('.enhanced-product-card')];
+    while (cards.length > 0 && cards.length < products.length) {
+      const clone = cards[cards.length - 1].cloneNode(true);
+      container.appendChild(clone);
+      cards.push(clone);
+    }
+
+    cards.forEach((card, index) => {
+      card.hidden = index >= products.length;
+      if (!card.hidden) this.populateEnhancedProductCard(card, products[index]);
+    });
+    this.markReferencedProducts();
+  }
+
+  // Highlight cards whose IDs the answer lists in productIds
+  markReferencedProducts() {
+    const referenced = new Set(this.answer?.productIds || []);
+    document.querySelectorAll('.enhanced-product-card[data-product-id]').forEach((card) => {
+      card.classList.toggle('answer-referenced', referenced.has(card.dataset.productId));
+    });
+  }
+
+  // Set answer text, turning [[product-id]] references into links to the product cards.
+  // A reference still arriving mid-stream ("[[apoth") is hidden until it completes.
+  renderLinkedText(element, text) {
+    const content = String(text || '').replace(/\[\[[^\]]*\]?$/, '');
+    const products = new Map(this.shownProducts().map(p => [String(p.id), p]));
+    const pattern = /\[\[([A-Za-z0-9][\w.:-]{0,63})\]\]/g;
+    element.textContent = '';
+
+    let last = 0;
+    for (const match of content.matchAll(pattern)) {
+      element.append(content.slice(last, match.index));
+      const product = products.get(match[1]);
+      if (product) {
+        const link = document.createElement('a');
+        link.className = 'product-mention';
+        link.href = `#product-card-${product.id}`;
+        link.textContent = product.name;
+        link.addEventListener('click', (event) => {
+          event.preventDefault();
+          this.focusProductCard(product.id);
+        });
+        element.append(link);
+      } else {
+        element.append(match[1]);
+      }
+      last = match.index + match[0].length;
     }
+    element.append(content.slice(last));
+  }
+
+  focusProductCard(productId) {
+    const card = document.getElementById(`product-card-${productId}`);
+    if (!card) return;
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.classList.add('is-highlighted');
+    setTimeout(() => card.classList.remove('is-highlighted'), 2000);
   }
 
   populateEnhancedProductCard(card, product) {
+    // Anchor for [[product-id]] links in the answer
+    if (product.id) {
+      card.id = `product-card-${product.id}`;
+      card.dataset.productId = product.id;
+    } else {
+      card.removeAttribute('id');
+      delete card.dataset.productId;
+    }
+
     // Update product type badge
     const typeBadge = card.querySelector('.product-type-badge');
     if (typeBadge) {
@@ -767,9 +1168,12 @@ class ProductsPageHandler {
     const productName = card.querySelector('.product-name');
     if (productName) {
       productName.textContent = product.name;
+      this.renderWhyDifferent(productName, product.match);
     }
 
-    // Update rating
+    // Update rating; records without one show none
+    const rating = card.querySelector('.product-rating');
+    if (rating) rating.hidden = typeof product.rating !== 'number';
     const ratingValue = card.querySelector('.rating-value');
     const stars = card.querySelector('.stars');
     if (ratingValue && product.rating) {
@@ -789,7 +1193,18 @@ class ProductsPageHandler {
     const thcValue = card.querySelector('.thc .potency-value');
     const cbdValue = card.querySelector('.cbd .potency-value');
     if (thcValue) thcValue.textContent = product.thc;
-    if (cbdValue) cbdValue.textContent = product.cbd;
+    if (cbdValue) {
+      // Hidden when neither the record nor its COA lists CBD
+      cbdValue.textContent = product.cbd || '';
+      cbdValue.closest('.potency-item').hidden = !product.cbd;
+    }
+
+    // Type-specific fields (mg per serving, cartridge size, onset, ...)
+    const potencyDisplay = card.querySelector('.potency-display');
+    if (potencyDisplay) {
+      this.renderProductSpecs(potencyDisplay, product);
+      this.renderDoseGuide(potencyDisplay, product);
+    }
 
     // Update strain info
     const strainName = card.querySelector('.strain-name');
@@ -802,6 +1217,9 @@ class ProductsPageHandler {
     if (effectsTags && product.effects) {
       this.renderEffectsTags(effectsTags, product.effects);
     }
+    if (effectsTags) {
+      this.renderLabProfile(effectsTags, product);
+    }
 
     // Update description
     const description = card.querySelector('.product-description');
@@ -815,10 +1233,17 @@ class ProductsPageHandler {
       whyExplanation.textContent = product.whyThisWorks;
     }
 
+    // Show how the ranking engine scored this product
+    const whySection = card.querySelector('.why-this-works');
+    if (whySection) {
+      this.renderMatchBreakdown(whySection, product.match);
+    }
+
     // Update price
     const price = card.querySelector('.price');
     if (price) {
       price.textContent = product.price;
+      this.renderPriceDetail(price, product);
     }
     
     // Update price in CTA button
@@ -865,15 +1290,18 @@ class ProductsPageHandler {
     }
   }
 
-  // Render up to 3 effect tags; append "+N more" if applicable
+  // Render up to 3 effect tags in canonical labels (synonyms collapse into one tag); append "+N more" if applicable
   renderEffectsTags(container, effects) {
     container.innerHTML = '';
-    const list = Array.isArray(effects) ? effects : (effects ? [effects] : []);
+    const taxonomy = window.SageEffects;
+    const raw = Array.isArray(effects) ? effects : (effects ? [effects] : []);
+    const list = taxonomy ? taxonomy.normalizeEffects(raw) : raw;
     const maxTags = 3;
     list.slice(0, maxTags).forEach(effect => {
       const tag = document.createElement('span');
       tag.className = 'effect-tag';
       tag.textContent = effect;
+      if (taxonomy) tag.dataset.effect = taxonomy.effectId(effect);
       container.appendChild(tag);
     });
     const remaining = list.length - maxTags;
@@ -885,6 +1313,231 @@ class ProductsPageHandler {
     }
   }
 
+  // Terpene chart from the product's COA (lab-results.js) below the effect tags: the top terpenes
+  // as bars scaled to the strongest, then total THC, minor cannabinoids, the lab and a COA link
+  renderLabProfile(effectsTags, product) {
+    let profile = effectsTags.parentElement.querySelector('.lab-profile');
+    const lab = product.lab;
+    const minor = (lab?.cannabinoids || []).filter(c => c.percent > 0 && !['thca', 'd9-thc'].includes(c.id));
+    if (!lab || (lab.terpenes.length === 0 && minor.length === 0 && lab.totalThcPercent === null)) {
+      if (profile) profile.remove();
+      return;
+    }
+    if (!profile) {
+      profile = document.createElement('div');
+      profile.className = 'lab-profile';
+      effectsTags.insertAdjacentElement('afterend', profile);
+    }
+    profile.innerHTML = '';
+
+    const terpenes = lab.terpenes.slice(0, 5);
+    if (terpenes.length > 0) {
+      const chart = document.createElement('ul');
+      chart.className = 'lab-profile-chart';
+      chart.setAttribute('aria-label', 'Terpenes by percent');
+      const strongest = terpenes[0].percent;
+      terpenes.forEach((terpene) => {
+        const row = document.createElement('li');
+        row.className = 'lab-bar';
+        const label = document.createElement('span');
+        label.className = 'lab-bar-label';
+        label.textContent = terpene.label;
+        const track = document.createElement('span');
+        track.className = 'lab-bar-track';
+        const fill = document.createElement('span');
+        fill.className = 'lab-bar-fill';
+        fill.style.width = `${Math.max(4, Math.round(terpene.percent / strongest * 100))}%`;
+        track.appendChild(fill);
+        const value = document.createElement('span');
+        value.className = 'lab-bar-value';
+        value.textContent = `${terpene.percent}%`;
+        row.append(label, track, value);
+        chart.appendChild(row);
+      });
+      profile.appendChild(chart);
+    }
+
+    const cannabinoids = [
+      lab.totalThcPercent !== null ? `Total THC ${lab.totalThcPercent}%` : null,
+      ...minor.slice(0, 3).map(c => `${c.label} ${c.percent}%`)
+    ].filter(Boolean);
+    if (cannabinoids.length > 0) {
+      const line = document.createElement('p');
+      line.className = 'lab-profile-cannabinoids';
+      line.textContent = cannabinoids.join(' · ');
+      profile.appendChild(line);
+    }
+
+    const source = document.createElement('p');
+    source.className = 'lab-profile-source';
+    source.classList.toggle('lab-stale', lab.stale);
+    const tested = lab.testDate ? `tested ${lab.testDate}${lab.stale ? ' (over a year ago)' : ''}` : null;
+    source.textContent = [lab.lab, tested].filter(Boolean).join(' · ');
+    if (lab.coaUrl) {
+      const link = document.createElement('a');
+      link.href = lab.coaUrl;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = 'View COA';
+      if (source.textContent) source.append(' · ');
+      source.appendChild(link);
+    }
+    if (source.childNodes.length > 0) profile.appendChild(source);
+  }
+
+  // Render the fields that fit the product's type (see product-types.js) below the potency display
+  renderProductSpecs(potencyDisplay, product) {
+    let specs = potencyDisplay.parentElement.querySelector('.product-specs');
+    const rows = window.SageProductTypes && product.productType
+      ? window.SageProductTypes.describeProductFields(product)
+      : [];
+    if (rows.length === 0) {
+      if (specs) specs.remove();
+      return;
+    }
+    if (!specs) {
+      specs = document.createElement('dl');
+      specs.className = 'product-specs';
+      potencyDisplay.insertAdjacentElement('afterend', specs);
+    }
+    specs.innerHTML = '';
+    rows.forEach(({ label, value }) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      specs.append(term, detail);
+    });
+  }
+
+  // Starting dose inputs: experience level, the tolerance picked on the page, and the
+  // compliance ceiling after jurisdiction and medication limits
+  doseOptions() {
+    if (!this.tolerance) {
+      this.tolerance = localStorage.getItem('sageTolerance') || 'average';
+    }
+    const policy = new SageAPI().getCompliancePolicy(this.responseData.jurisdiction, this.responseData.interactions);
+    const experienceLevel = this.responseData.experienceLevel || 'casual';
+    return { experienceLevel, tolerance: this.tolerance, maxMg: policy?.maxDoseMg[experienceLevel] ?? null };
+  }
+
+  // "Start with half a gummy (5mg THC) ..." under the specs of edibles and tinctures
+  renderDoseGuide(potencyDisplay, product) {
+    const specs = potencyDisplay.parentElement.querySelector('.product-specs') || potencyDisplay;
+    let guide = potencyDisplay.parentElement.querySelector('.dose-guide');
+    const dose = window.SageDosing ? window.SageDosing.calculateDose(product, this.doseOptions()) : null;
+    if (!dose) {
+      if (guide) guide.remove();
+      return;
+    }
+    if (!guide) {
+      guide = document.createElement('p');
+      guide.className = 'dose-guide';
+      specs.insertAdjacentElement('afterend', guide);
+    }
+    guide.classList.toggle('dose-too-strong', dose.tooStrong);
+    guide.textContent = [dose.summary, ...dose.notes].join(' ');
+  }
+
+  // Dose plan under Getting Started: one line per shown edible or tincture, recalculated
+  // when the customer changes their tolerance
+  renderDosePlan() {
+    const plan = document.querySelector('.dose-plan');
+    const list = plan?.querySelector('.dose-plan-list');
+    if (!list || !window.SageDosing) return;
+
+    const options = this.doseOptions();
+    const doses = this.shownProducts()
+      .map(product => ({ product, dose: window.SageDosing.calculateDose(product, options) }))
+      .filter(({ dose }) => dose);
+    list.innerHTML = '';
+    doses.forEach(({ product, dose }) => {
+      const li = document.createElement('li');
+      li.classList.toggle('dose-too-strong', dose.tooStrong);
+      const name = document.createElement('strong');
+      name.textContent = `${product.name}: `;
+      li.append(name, dose.summary);
+      list.appendChild(li);
+    });
+    plan.hidden = doses.length === 0;
+
+    const select = plan.querySelector('.tolerance-select');
+    if (select && !select.dataset.bound) {
+      select.value = options.tolerance;
+      select.dataset.bound = 'true';
+      select.addEventListener('change', () => {
+        this.tolerance = select.value;
+        localStorage.setItem('sageTolerance', select.value);
+        this.renderDosePlan();
+        this.populateEnhancedProducts();
+      });
+    }
+  }
+
+  // Show price per gram and the available weights next to the price, e.g. "3.5g $29.99 · 7g $54.99 · from $7.86/g"
+  renderPriceDetail(priceEl, product) {
+    let detail = priceEl.parentElement.querySelector('.price-detail');
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+    const pricing = window.SagePricing;
+    const parts = variants
+      .filter(v => v.grams)
+      .map(v => `${v.label} ${pricing ? pricing.formatPrice(v) : v.amount}`);
+    if (Number.isFinite(product.pricePerGram)) {
+      const unit = pricing
+        ? pricing.formatPrice({ amount: product.pricePerGram, currency: product.currency || 'USD' })
+        : product.pricePerGram.toFixed(2);
+      parts.push(`${variants.length > 1 ? 'from ' : ''}${unit}/g`);
+    }
+
+    if (parts.length === 0) {
+      if (detail) detail.remove();
+      return;
+    }
+    if (!detail) {
+      detail = document.createElement('span');
+      detail.className = 'price-detail';
+      priceEl.insertAdjacentElement('afterend', detail);
+    }
+    detail.textContent = parts.join(' · ');
+  }
+
+  // "Sativa instead of Indica · Costs less" under the name of every pick after the top one
+  renderWhyDifferent(productName, match) {
+    let label = productName.parentElement.querySelector('.why-different');
+    if (!match?.whyDifferent) {
+      if (label) label.remove();
+      return;
+    }
+    if (!label) {
+      label = document.createElement('p');
+      label.className = 'why-different';
+      productName.insertAdjacentElement('afterend', label);
+    }
+    label.textContent = match.whyDifferent;
+  }
+
+  // Render the per-signal score breakdown from matching-engine.js under "Why This Works"
+  renderMatchBreakdown(container, match) {
+    let list = container.querySelector('.match-breakdown');
+    if (!match || !Array.isArray(match.breakdown) || match.breakdown.length === 0) {
+      if (list) list.remove();
+      return;
+    }
+    if (!list) {
+      list = document.createElement('ul');
+      list.className = 'match-breakdown';
+      container.appendChild(list);
+    }
+    list.innerHTML = '';
+    match.breakdown.forEach(({ label, points, detail }) => {
+      const li = document.createElement('li');
+      li.className = points > 0 ? 'match-positive' : points < 0 ? 'match-negative' : 'match-neutral';
+      const sign = points > 0 ? '+' : '';
+      li.textContent = `${sign}${points.toFixed(1)} ${label}: ${detail}`;
+      list.appendChild(li);
+    });
+  }
+
   formatResponse(response) {
     // Simple formatting for AI responses
     return response
@@ -1010,7 +1663,7 @@ class ProductsPageHandler {
   populateDosingGuidelines(data) {
     console.log('Populating dosing guidelines...');
     
-    const dosingList = document.querySelector('.dosing-steps');
+    const dosingList = document.querySelector('.consumption-dosing .dosing-steps');
     if (dosingList && data.dosingGuidelines) {
       dosingList.innerHTML = '';
       data.dosingGuidelines.forEach(step => {
@@ -1101,7 +1754,8 @@ class ProductsPageHandler {
       // Update CBD value
       const cbdValue = card.querySelector('.cbd .potency-value');
       if (cbdValue) {
-        cbdValue.textContent = product.cbd;
+        cbdValue.textContent = product.cbd || '';
+        cbdValue.closest('.potency-item').hidden = !product.cbd;
       }
       
       // Update product description
@@ -1148,6 +1802,15 @@ class ProductsPageHandler {
 }
 
 // Initialize when DOM is loaded
+// Results only render once the age gate is passed; a declined session stays on the block screen
 document.addEventListener('DOMContentLoaded', () => {
-  new ProductsPageHandler();
+  if (!window.SageAgeGate) {
+    new ProductsPageHandler();
+    return;
+  }
+  const sageAPI = new SageAPI();
+  new SageAgeGate.AgeGate({
+    config: window.Config,
+    loadProfile: () => sageAPI.loadJurisdictionProfile()
+  }).require().then(() => new ProductsPageHandler());
 });
@@ -211,17 +211,42 @@ class SageFormHandler {
       return;
     }
 
+    // No question is accepted until the age gate is passed (a declined session never gets past this)
+    if (this.ageGate) {
+      await this.ageGate.require();
+    }
+
     // Get selected experience level
     const experienceLevel = this.experienceSelector?.getSelectedLevel() || 'casual';
+    // Optional medication/substance list, checked against the interaction knowledge base
+    const medications = document.querySelector('.medication-input')?.value.trim() || '';
     
     // Check if this is demo mode
     if (userInput.toLowerCase() === 'demo') {
       this.handleDemoMode(experienceLevel);
       return;
     }
-    
-    // Show loading state
+
+    // Crisis and medical-emergency prompts get a safety response, never products
+    await this.sageAPI.loadJurisdictionProfile();
+    const safety = this.sageAPI.checkPromptSafety(userInput);
+    if (safety) {
+      this.handleSafetyMode(userInput, experienceLevel, safety);
+      return;
+    }
+
+    // Show loading state (classifying a borderline question may wait on the local model)
     this.setLoadingState(askButton, true);
+
+    // Question type picks the prompt template and results layout; education and
+    // off-topic questions skip the product search
+    const intent = await this.sageAPI.classifyIntent(userInput);
+
+    // Streaming mode: hand off to the results page, which fills sections as tokens arrive
+    if (window.Config && window.Config.get('OLLAMA_STREAMING')) {
+      this.handleStreamingMode(userInput, experienceLevel, medications, intent);
+      return;
+    }
     
     try {
       console.log(`=== STARTING REQUEST FLOW ===`);
@@ -231,13 +256,26 @@ class SageFormHandler {
       // EMERGENCY BYPASS: Skip API connectivity test
       console.log('EMERGENCY MODE: Bypassing API connectivity test');
       
-      // Generate AI response and get recommendations
-      console.log('Starting parallel API calls...');
-      const [aiResponse, benefits, products] = await Promise.all([
-        this.sageAPI.generateResponse(userInput, experienceLevel),
-        this.sageAPI.getBenefitsForExperience(experienceLevel),
-        this.sageAPI.getProductRecommendations(userInput, experienceLevel)
-      ]);
+      // Rank inventory first so the answer can be grounded in the products shown next to it
+      console.log(`Intent: ${intent?.intent || 'n/a'} (${intent?.source || 'none'})`);
+      const products = intent?.needsProducts === false
+        ? []
+        : await this.sageAPI.getProductRecommendations(userInput, experienceLevel, { medications });
+      const interactions = await this.sageAPI.checkMedications(medications);
+      // Events and groups get a shopping list sized to the group and the purchase limits
+      const eventPlan = intent?.intent === 'event-planning'
+        ? this.sageAPI.planEvent(userInput, experienceLevel, products, interactions)
+        : null;
+      // Activity, time of day and timing on the local clock, for the What to Expect timeline
+      const occasion = this.sageAPI.getOccasion(userInput);
+      const benefits = this.sageAPI.getBenefitsForExperience(experienceLevel);
+      const aiResponse = await this.sageAPI.generateResponse(userInput, experienceLevel, null, {
+        products,
+        interactions,
+        intent: intent?.intent,
+        eventPlan,
+        occasion
+      });
 
       console.log(`=== API RESPONSES RECEIVED ===`);
       console.log(`AI Response type: ${typeof aiResponse}`);
@@ -256,6 +294,13 @@ class SageFormHandler {
         aiResponse, // This is the structured MCP response
         benefits,
         products,
+        catalog: this.sageAPI.inventoryCatalog || [],
+        jurisdiction: this.sageAPI.jurisdictionProfile || null,
+        medications,
+        interactions,
+        intent,
+        eventPlan,
+        occasion,
         timestamp: Date.now(),
         isDemo: false
       };
@@ -312,6 +357,48 @@ class SageFormHandler {
     window.location.href = 'products.html';
   }
 
+  handleSafetyMode(userInput, experienceLevel, safety) {
+    console.log(`Safety mode: ${safety.category} (${safety.severity})`);
+
+    // products.js sees `safety` and shows only the safety answer and its resources
+    const responseData = {
+      userInput,
+      experienceLevel,
+      aiResponse: this.sageAPI.getSafetyResponse(safety),
+      benefits: [],
+      products: [],
+      catalog: [],
+      jurisdiction: this.sageAPI.jurisdictionProfile || null,
+      safety: { category: safety.category, label: safety.label, severity: safety.severity },
+      timestamp: Date.now(),
+      isDemo: false
+    };
+
+    sessionStorage.setItem('sageResponse', JSON.stringify(responseData));
+    window.location.href = 'products.html';
+  }
+
+  handleStreamingMode(userInput, experienceLevel, medications = '', intent = null) {
+    console.log('Streaming mode: deferring generation to products page');
+
+    // products.js sees `streaming: true` and runs generation + recommendations itself
+    const responseData = {
+      userInput,
+      experienceLevel,
+      aiResponse: null,
+      benefits: this.sageAPI.getBenefitsForExperience(experienceLevel),
+      products: [],
+      medications,
+      intent,
+      timestamp: Date.now(),
+      isDemo: false,
+      streaming: true
+    };
+
+    sessionStorage.setItem('sageResponse', JSON.stringify(responseData));
+    window.location.href = 'products.html';
+  }
+
   setLoadingState(button, isLoading) {
     if (isLoading) {
       button.classList.add('loading');
@@ -362,6 +449,10 @@ class SageFormHandler {
     this.experienceSelector = selector;
   }
 
+  setAgeGate(ageGate) {
+    this.ageGate = ageGate;
+  }
+
   // Progress hint helpers
   startProgressHints(button) {
     // Clear any existing timers just in case
@@ -428,6 +519,16 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initialize form handler
   const formHandler = new SageFormHandler();
   formHandler.setExperienceSelector(experienceSelector);
+
+  // Age gate before any question; the minimum age comes from the jurisdiction profile
+  if (window.SageAgeGate) {
+    const ageGate = new SageAgeGate.AgeGate({
+      config: window.Config,
+      loadProfile: () => formHandler.sageAPI.loadJurisdictionProfile()
+    });
+    formHandler.setAgeGate(ageGate);
+    ageGate.require();
+  }
   // Kick off a background warm-up (best effort)
   formHandler.warmUpModel();
   
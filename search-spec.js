@@ -0,0 +1,218 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// ProductSearchSpec schema: what SageAPI.buildProductSearchSpec may return.
+//
+// PRODUCT_SEARCH_SPEC_SCHEMA is sent as Ollama's `format` so the model answers with
+// JSON of this shape. The reply is still untrusted: sanitizeSearchSpec keeps only the
+// declared fields, clamps enums and ranges, and reports what it dropped. `legal`,
+// `query` and `experienceLevel` are never taken from the model.
+//
+// Every spec carries `provenance`: field → 'heuristic' | 'model' | 'default', or
+// 'interactions' where a medication list tightened it (medication-interactions.js).
+// The model only fills fields still at their default; what the prompt stated stays.
+
+const SPEC_PRODUCT_TYPES = ['flower', 'pre-roll', 'vape', 'edible', 'tincture', 'concentrate'];
+const SPEC_STRAINS = ['indica', 'sativa', 'hybrid'];
+const SPEC_PRICE_BANDS = ['value', 'mid', 'premium'];
+const SPEC_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD'];
+
+const SPEC_LIMITS = {
+  maxEffects: 6,
+  maxEffectLength: 30,
+  thcaPercent: { min: 0, max: 100 },
+  maxPriceAmount: { min: 1, max: 10000 }
+};
+
+// Fields the model is allowed to fill
+const MODEL_FIELDS = ['desiredEffects', 'productTypes', 'strainPreference', 'targetTHCaPercent', 'priceBand', 'maxPrice', 'avoid'];
+
+const PRODUCT_SEARCH_SPEC_SCHEMA = {
+  type: 'object',
+  properties: {
+    desiredEffects: { type: 'array', items: { type: 'string' }, maxItems: SPEC_LIMITS.maxEffects },
+    productTypes: { type: 'array', items: { type: 'string', enum: SPEC_PRODUCT_TYPES } },
+    strainPreference: { type: ['string', 'null'], enum: [...SPEC_STRAINS, null] },
+    targetTHCaPercent: {
+      type: ['object', 'null'],
+      properties: {
+        min: { type: 'number', minimum: SPEC_LIMITS.thcaPercent.min, maximum: SPEC_LIMITS.thcaPercent.max },
+        max: { type: 'number', minimum: SPEC_LIMITS.thcaPercent.min, maximum: SPEC_LIMITS.thcaPercent.max }
+      },
+      required: ['min', 'max']
+    },
+    priceBand: { type: ['string', 'null'], enum: [...SPEC_PRICE_BANDS, null] },
+    maxPrice: {
+      type: ['object', 'null'],
+      properties: {
+        amount: { type: 'number', minimum: SPEC_LIMITS.maxPriceAmount.min },
+        currency: { type: 'string', enum: SPEC_CURRENCIES }
+      },
+      required: ['amount']
+    },
+    avoid: { type: 'array', items: { type: 'string' }, maxItems: SPEC_LIMITS.maxEffects }
+  },
+  // Only the lists are required (empty when nothing is stated); the rest may be null or left out
+  required: ['desiredEffects', 'productTypes', 'avoid']
+};
+
+const clamp = (n, { min, max }) => Math.min(max, Math.max(min, n));
+
+// Effects taxonomy: window global in the browser, require under Node
+function specEffectsTaxonomy() {
+  if (typeof window !== 'undefined' && window.SageEffects) return window.SageEffects;
+  return typeof require === 'function' ? require('./effects-taxonomy.js') : null;
+}
+
+// Effect words: letters, spaces and hyphens only (anything else is dropped, not repaired),
+// mapped to canonical labels ("Relaxing" → "Relaxed"), deduped, capped
+function cleanEffectList(value) {
+  if (!Array.isArray(value)) return undefined;
+  const taxonomy = specEffectsTaxonomy();
+  const seen = new Set();
+  const effects = [];
+  value.forEach((item) => {
+    const text = String(item ?? '').trim();
+    if (!/^[A-Za-z][A-Za-z \-]*$/.test(text) || text.length > SPEC_LIMITS.maxEffectLength) return;
+    const label = taxonomy ? taxonomy.effectLabel(text) : text.charAt(0).toUpperCase() + text.slice(1);
+    const key = label.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    effects.push(label);
+  });
+  return effects.slice(0, SPEC_LIMITS.maxEffects);
+}
+
+function pickEnum(value, allowed) {
+  const normalized = String(value ?? '').toLowerCase().trim();
+  return allowed.find(option => option.toLowerCase() === normalized);
+}
+
+// Validate an untrusted (model) spec. Returns { values, problems }: values holds only the
+// fields that survived, clamped into range; problems lists what was dropped or adjusted.
+function sanitizeSearchSpec(candidate) {
+  const values = {};
+  const problems = [];
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { values, problems: ['spec is not an object'] };
+  }
+
+  Object.keys(candidate)
+    .filter(key => !MODEL_FIELDS.includes(key))
+    .forEach(key => problems.push(`${key}: not a model field, ignored`));
+
+  ['desiredEffects', 'avoid'].forEach((field) => {
+    if (candidate[field] === undefined) return;
+    const list = cleanEffectList(candidate[field]);
+    if (list === undefined) problems.push(`${field}: expected array`);
+    else values[field] = list;
+  });
+  if (values.desiredEffects && values.avoid) {
+    const both = values.desiredEffects.filter(effect => values.avoid.includes(effect));
+    if (both.length > 0) {
+      problems.push(`desiredEffects: ${both.join(', ')} also avoided, dropped`);
+      values.desiredEffects = values.desiredEffects.filter(effect => !both.includes(effect));
+    }
+  }
+
+  if (candidate.productTypes !== undefined) {
+    if (!Array.isArray(candidate.productTypes)) {
+      problems.push('productTypes: expected array');
+    } else {
+      const types = candidate.productTypes.map(t => pickEnum(t, SPEC_PRODUCT_TYPES));
+      if (types.includes(undefined)) problems.push('productTypes: unknown types dropped');
+      values.productTypes = [...new Set(types.filter(Boolean))];
+    }
+  }
+
+  // null means "not stated" for the optional fields below
+  if (candidate.strainPreference != null) {
+    const strain = pickEnum(candidate.strainPreference, SPEC_STRAINS);
+    if (strain) values.strainPreference = strain;
+    else problems.push(`strainPreference: must be one of ${SPEC_STRAINS.join(', ')}`);
+  }
+
+  if (candidate.priceBand != null) {
+    const band = pickEnum(candidate.priceBand, SPEC_PRICE_BANDS);
+    if (band) values.priceBand = band;
+    else problems.push(`priceBand: must be one of ${SPEC_PRICE_BANDS.join(', ')}`);
+  }
+
+  if (candidate.targetTHCaPercent != null) {
+    const range = candidate.targetTHCaPercent;
+    const min = Number(range?.min);
+    const max = Number(range?.max);
+    if (!Number.isFinite(min) || !Number.isFinite(max)) {
+      problems.push('targetTHCaPercent: expected { min, max } numbers');
+    } else {
+      const clamped = { min: clamp(min, SPEC_LIMITS.thcaPercent), max: clamp(max, SPEC_LIMITS.thcaPercent) };
+      if (clamped.min > clamped.max) [clamped.min, clamped.max] = [clamped.max, clamped.min];
+      if (clamped.min !== min || clamped.max !== max) problems.push('targetTHCaPercent: clamped');
+      values.targetTHCaPercent = clamped;
+    }
+  }
+
+  if (candidate.maxPrice !== undefined) {
+    const amount = Number(candidate.maxPrice?.amount);
+    if (candidate.maxPrice === null) {
+      values.maxPrice = null;
+    } else if (!Number.isFinite(amount)) {
+      problems.push('maxPrice: expected { amount, currency } or null');
+    } else {
+      const currency = pickEnum(candidate.maxPrice.currency || 'USD', SPEC_CURRENCIES) || 'USD';
+      values.maxPrice = { amount: clamp(amount, SPEC_LIMITS.maxPriceAmount), currency };
+    }
+  }
+
+  return { values, problems };
+}
+
+// An empty list or null from the model means "nothing stated"
+function isEmptyValue(value) {
+  return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+}
+
+// Layer sanitized model values over a heuristic spec; returns a new spec with updated provenance.
+// Only fields still at their default take the model's value: a heuristic reading of the
+// prompt ("strong", "under $40", an occasion's gentler range) or an interaction limit stays.
+function mergeSearchSpec(baseSpec, modelValues) {
+  const provenance = baseSpec.provenance || {};
+  const spec = { ...baseSpec, provenance: { ...provenance } };
+  Object.entries(modelValues || {}).forEach(([field, value]) => {
+    if (isEmptyValue(value)) return;
+    if (provenance[field] && provenance[field] !== 'default') return;
+    spec[field] = value;
+    spec.provenance[field] = 'model';
+  });
+  return spec;
+}
+
+// Mark each model field as 'heuristic' when the heuristics changed it from its default,
+// or when the prompt stated it outright (`stated`, e.g. "hybrid", which is also the default)
+function heuristicProvenance(defaults, spec, stated = []) {
+  const provenance = {};
+  MODEL_FIELDS.forEach((field) => {
+    const unchanged = JSON.stringify(spec[field]) === JSON.stringify(defaults[field]);
+    provenance[field] = unchanged && !stated.includes(field) ? 'default' : 'heuristic';
+  });
+  return provenance;
+}
+
+const SageSearchSpec = {
+  PRODUCT_SEARCH_SPEC_SCHEMA,
+  MODEL_FIELDS,
+  SPEC_LIMITS,
+  sanitizeSearchSpec,
+  mergeSearchSpec,
+  heuristicProvenance
+};
+
+if (typeof window !== 'undefined') {
+  window.SageSearchSpec = SageSearchSpec;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SageSearchSpec;
+}
@@ -0,0 +1,246 @@
+/**
+ * Copyright (c) 2025-2026 One Block Away LLC
+ * All rights reserved. Proprietary and confidential.
+ */
+
+// Local dev server: serves the static app and proxies /api/* to Ollama with CORS.
+// Config.js points the browser at http://localhost:11435, which is this server.
+//
+// Environment:
+//   PORT            listen port (default 11435)
+//   OLLAMA_UPSTREAM Ollama base URL (default http://localhost:11434)
+//   CORS_ORIGIN     allowed origin for cross-origin callers (default *)
+//   MAX_BODY_BYTES  largest accepted /api request body (default 1 MB)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createProxyMiddleware } = require('http-proxy-middleware');
+
+const SERVER_CONFIG = {
+  port: Number(process.env.PORT) || 11435,
+  upstream: (process.env.OLLAMA_UPSTREAM || 'http://localhost:11434').replace(/\/+$/, ''),
+  corsOrigin: process.env.CORS_ORIGIN || '*',
+  maxBodyBytes: Number(process.env.MAX_BODY_BYTES) || 1024 * 1024,
+  // Health probe against the upstream; keep it short so /healthz stays snappy
+  healthProbeTimeout: 3000
+};
+
+const STATIC_ROOT = __dirname;
+
+// Only app assets are served; server code, package files and dotfiles stay private
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.mp4': 'video/mp4',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+const PRIVATE_PATHS = ['node_modules', 'server.js', 'package.json', 'package-lock.json'];
+
+const startedAt = Date.now();
+
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', SERVER_CONFIG.corsOrigin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Max-Age', '600');
+  if (SERVER_CONFIG.corsOrigin !== '*') {
+    res.setHeader('Vary', 'Origin');
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+// Buffer the request body up to maxBodyBytes; rejects with a 413-tagged error past that
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers['content-length']);
+    if (declared > limit) {
+      const error = new Error(`Request body exceeds ${limit} bytes`);
+      error.status = 413;
+      reject(error);
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        const error = new Error(`Request body exceeds ${limit} bytes`);
+        error.status = 413;
+        req.pause();
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+const ollamaProxy = createProxyMiddleware({
+  target: SERVER_CONFIG.upstream,
+  changeOrigin: true,
+  // Streams (/api/generate with stream:true) must reach the browser unbuffered
+  proxyTimeout: 0,
+  on: {
+    proxyReq: (proxyReq, req) => {
+      // Ollama rejects browser origins it doesn't know; the proxy is the trusted caller
+      proxyReq.removeHeader('origin');
+      proxyReq.removeHeader('referer');
+      if (req.rawBody && req.rawBody.length > 0) {
+        proxyReq.setHeader('Content-Length', req.rawBody.length);
+        proxyReq.write(req.rawBody);
+      }
+    },
+    proxyRes: (proxyRes) => {
+      proxyRes.headers['access-control-allow-origin'] = SERVER_CONFIG.corsOrigin;
+    },
+    error: (err, req, res) => {
+      console.error(`Proxy error for ${req.method} ${req.url}:`, err.message);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      setCorsHeaders(res);
+      sendJson(res, 502, { error: `Cannot reach Ollama at ${SERVER_CONFIG.upstream}: ${err.message}` });
+    }
+  }
+});
+
+async function handleApi(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      req.rawBody = await readBody(req, SERVER_CONFIG.maxBodyBytes);
+    }
+  } catch (error) {
+    sendJson(res, error.status || 400, { error: error.message });
+    return;
+  }
+  ollamaProxy(req, res, () => sendJson(res, 404, { error: 'Not found' }));
+}
+
+async function probeUpstream() {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SERVER_CONFIG.healthProbeTimeout);
+  const started = Date.now();
+  try {
+    const response = await fetch(`${SERVER_CONFIG.upstream}/api/tags`, { signal: controller.signal });
+    const data = response.ok ? await response.json() : null;
+    return {
+      reachable: response.ok,
+      status: response.status,
+      latencyMs: Date.now() - started,
+      models: Array.isArray(data?.models) ? data.models.map(m => m.name) : []
+    };
+  } catch (error) {
+    return { reachable: false, error: error.name === 'AbortError' ? 'timeout' : error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function handleHealth(req, res) {
+  const upstream = await probeUpstream();
+  sendJson(res, upstream.reachable ? 200 : 503, {
+    status: upstream.reachable ? 'ok' : 'degraded',
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    proxy: {
+      port: SERVER_CONFIG.port,
+      corsOrigin: SERVER_CONFIG.corsOrigin,
+      maxBodyBytes: SERVER_CONFIG.maxBodyBytes
+    },
+    ollama: { url: SERVER_CONFIG.upstream, ...upstream }
+  });
+}
+
+function handleStatic(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (_) {
+    sendJson(res, 400, { error: 'Bad request path' });
+    return;
+  }
+  if (pathname === '/') pathname = '/index.html';
+
+  const filePath = path.normalize(path.join(STATIC_ROOT, pathname));
+  const relative = path.relative(STATIC_ROOT, filePath);
+  const segments = relative.split(path.sep);
+  const isPrivate = relative.startsWith('..') ||
+    segments.some(s => s.startsWith('.')) ||
+    PRIVATE_PATHS.includes(segments[0]);
+  const contentType = STATIC_TYPES[path.extname(filePath).toLowerCase()];
+
+  if (isPrivate || !contentType) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  fs.stat(filePath, (err, stats) => {
+    if (err || !stats.isFile()) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': contentType,
+      'Content-Length': stats.size,
+      'Cache-Control': 'no-cache'
+    });
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const started = Date.now();
+  res.on('close', () => {
+    console.log(`${req.method} ${req.url} → ${res.statusCode} (${Date.now() - started}ms)`);
+  });
+
+  setCorsHeaders(res);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.url === '/healthz' || req.url === '/health') {
+    handleHealth(req, res);
+  } else if (req.url.startsWith('/api/')) {
+    handleApi(req, res);
+  } else {
+    handleStatic(req, res);
+  }
+});
+
+if (require.main === module) {
+  server.listen(SERVER_CONFIG.port, () => {
+    console.log('=== SAGE DEV SERVER ===');
+    console.log(`App:     http://localhost:${SERVER_CONFIG.port}/`);
+    console.log(`Proxy:   /api/* → ${SERVER_CONFIG.upstream}`);
+    console.log(`Health:  http://localhost:${SERVER_CONFIG.port}/healthz`);
+    console.log(`CORS:    ${SERVER_CONFIG.corsOrigin} | body limit ${SERVER_CONFIG.maxBodyBytes} bytes`);
+  });
+}
+
+module.exports = { server, SERVER_CONFIG };
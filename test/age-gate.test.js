@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readAgeGateState, recordAgeGateChoice, ageGateStatus, canCheckStaffPin, sha256Hex, checkStaffPin } = require('../age-gate.js');
+
+function memoryStorage() {
+  const values = new Map();
+  return { getItem: key => values.get(key) ?? null, setItem: (key, value) => values.set(key, String(value)) };
+}
+
+test('questions wait for the gate until a choice is recorded', () => {
+  const storage = memoryStorage();
+  assert.equal(ageGateStatus(readAgeGateState(storage)), 'required');
+  recordAgeGateChoice(storage, { status: 'verified', minimumAge: 21 });
+  assert.equal(ageGateStatus(readAgeGateState(storage)), 'verified');
+});
+
+test('a decline blocks the session', () => {
+  const storage = memoryStorage();
+  recordAgeGateChoice(storage, { status: 'declined', minimumAge: 21 });
+  assert.equal(ageGateStatus(readAgeGateState(storage)), 'declined');
+});
+
+test('a verification only counts for its minimum age and until it expires', () => {
+  const state = { status: 'verified', method: 'self', minimumAge: 18, at: 0 };
+  assert.equal(ageGateStatus(state, { minimumAge: 21, now: 0 }), 'required');
+  assert.equal(ageGateStatus({ ...state, minimumAge: 21 }, { minimumAge: 21, ttlMinutes: 30, now: 29 * 60000 }), 'verified');
+  assert.equal(ageGateStatus({ ...state, minimumAge: 21 }, { minimumAge: 21, ttlMinutes: 30, now: 31 * 60000 }), 'required');
+});
+
+test('unreadable stored state asks again', () => {
+  const storage = memoryStorage();
+  storage.setItem('sageAgeGate', '{not json');
+  assert.equal(readAgeGateState(storage), null);
+});
+
+test('the staff PIN is checked against its SHA-256 hash', async () => {
+  const hash = await sha256Hex('4321');
+  assert.equal(await checkStaffPin(' 4321 ', hash.toUpperCase()), true);
+  assert.equal(await checkStaffPin('1234', hash), false);
+  assert.equal(await checkStaffPin('4321', ''), false);
+});
+
+test('without Web Crypto (a plain-http origin) the staff PIN cannot be checked', async () => {
+  const original = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+  Object.defineProperty(globalThis, 'crypto', { value: {}, configurable: true });
+  try {
+    assert.equal(canCheckStaffPin(), false);
+    await assert.rejects(checkStaffPin('4321', 'abc'), /crypto\.subtle/);
+  } finally {
+    Object.defineProperty(globalThis, 'crypto', original);
+  }
+  assert.equal(canCheckStaffPin(), true);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ANSWER_SECTION_KEYS, parseAnswer, partialAnswerSections, answerToText } = require('../answer-contract.js');
+
+const sections = Object.fromEntries(ANSWER_SECTION_KEYS.map(key => [key, { text: `${key} text`, bullets: [] }]));
+
+test('a valid answer parses, even inside a code fence', () => {
+  const reply = { version: 1, sections, dosingSteps: [{ instruction: 'Take half a gummy', amount: '2.5mg', waitMinutes: 120 }], productIds: ['indica-1'] };
+  const { ok, answer, problems } = parseAnswer(`\`\`\`json\n${JSON.stringify(reply)}\n\`\`\``);
+  assert.equal(ok, true);
+  assert.deepEqual(problems, []);
+  assert.equal(answer.dosingSteps[0].waitMinutes, 120);
+});
+
+test('other versions, free text and broken JSON are rejected', () => {
+  assert.equal(parseAnswer({ version: 2, sections }).ok, false);
+  assert.deepEqual(parseAnswer('[INTRODUCTION] hello').problems, ['not a JSON answer']);
+  assert.match(parseAnswer('{"version": 1, "sections": ').problems[0], /^invalid JSON/);
+});
+
+test('fields outside the contract and bad product IDs are dropped', () => {
+  const { answer, problems } = parseAnswer({ version: 1, sections, dosingSteps: [], productIds: ['ok-1', 'ok-1', '<script>'], extra: true });
+  assert.deepEqual(answer.productIds, ['ok-1']);
+  assert.equal('extra' in answer, false);
+  assert.ok(problems.includes('productIds: invalid or duplicate IDs dropped'));
+});
+
+test('sections render while the JSON is still streaming', () => {
+  const partial = '{"version":1,"sections":{"introduction":{"text":"Hello \\"there\\"","bullets":[]},"coreTopic":{"text":"Half a sente';
+  assert.deepEqual(partialAnswerSections(partial), { introduction: 'Hello "there"', coreTopic: 'Half a sente' });
+});
+
+test('answers render to the marker format with numbered dosing steps', () => {
+  const { answer } = parseAnswer({ version: 1, sections, dosingSteps: [{ instruction: 'Take half a gummy.', amount: '2.5mg', waitMinutes: 120 }], productIds: [] });
+  const text = answerToText(answer);
+  assert.match(text, /^\[INTRODUCTION\]\nintroduction text/);
+  assert.match(text, /1\. Take half a gummy \(2\.5mg\)\. Wait 120 minutes\./);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildInventoryIndex, extractNamedMentions, guardText, guardAnswer, summarizeGuardLog } = require('../answer-guard.js');
+
+const catalog = [
+  { id: 'apotheca-indica', name: 'Apotheca THCa Hemp Flower - Indica', strain: 'Indica' },
+  { id: 'blue-dream-5pk', name: 'Blue Dream Pre-Roll 5-Pack', strain: 'Sativa' }
+];
+const index = buildInventoryIndex(catalog);
+
+test('strain and product names are pulled from text, longest name only', () => {
+  const names = extractNamedMentions('Try Super Lemon Haze or Wana Gummies. The Indica is calmer.').map(m => `${m.kind}:${m.name}`);
+  assert.deepEqual(names.sort(), ['product:Wana Gummies', 'strain:Super Lemon Haze']);
+});
+
+test('carried names pass, others are marked once', () => {
+  const { text, checks } = guardText('Blue Dream is bright. Sour Diesel is too; Sour Diesel again.', index);
+  assert.equal(text, 'Blue Dream is bright. Sour Diesel (not available here) is too; Sour Diesel again.');
+  assert.deepEqual(checks.map(c => `${c.name}:${c.status}`).sort(), ['Blue Dream:known', 'Sour Diesel:unknown']);
+});
+
+test('rewrite mode replaces every mention, capitalized at a sentence start', () => {
+  const { text } = guardText('Sour Diesel lifts you. Many like Sour Diesel.', index, { mode: 'rewrite' });
+  assert.equal(text, 'A strain not available here lifts you. Many like a strain not available here.');
+});
+
+test('nothing is flagged without an inventory to check against', () => {
+  const guarded = guardAnswer({ sections: { introduction: 'Try Sour Diesel.' }, answerText: 'Try Sour Diesel.' }, []);
+  assert.equal(guarded.report.skipped, true);
+  assert.equal(guarded.sections.introduction, 'Try Sour Diesel.');
+});
+
+test('the log summary counts unknown names, most frequent first', () => {
+  const log = [
+    { name: 'Sour Diesel', kind: 'strain', status: 'unknown' },
+    { name: 'Wana Gummies', kind: 'product', status: 'unknown' },
+    { name: 'Sour Diesel', kind: 'strain', status: 'unknown' },
+    { name: 'Blue Dream', kind: 'strain', status: 'known' }
+  ];
+  assert.deepEqual(summarizeGuardLog(log), [
+    { name: 'Sour Diesel', kind: 'strain', count: 2 },
+    { name: 'Wana Gummies', kind: 'product', count: 1 }
+  ]);
+});
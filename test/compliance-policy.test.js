@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePolicy, applyToText, applyCompliancePolicy } = require('../compliance-policy.js');
+
+const policy = resolvePolicy();
+const forNew = text => applyToText(text, policy, policy.maxDoseMg.new);
+
+// [text, expected output] for a new user (5mg ceiling)
+const EXAMPLES = [
+  ['Each gummy has 10mg THC.', 'Each gummy has 10mg THC.'],
+  ['A 100mg package has 10 pieces of 10mg each.', 'A 100mg package has 10 pieces of 10mg each.'],
+  ['Most people feel it at about 15mg.', 'Most people feel it at about 15mg.'],
+  ['Start with about 10mg and wait two hours.', 'Start with about 5mg and wait two hours.'],
+  ['Try 2.5-10mg the first night.', 'Try 2.5-5mg the first night.'],
+  ['Take one 10mg gummy.', 'Take one 10mg gummy (more than the 5mg Sage suggests at once).'],
+  ['Each gummy has 10mg, so take half of one.', 'Each gummy has 10mg, so take half of one.'],
+  ['Cut it to half a 10mg gummy.', 'Cut it to half a 10mg gummy.'],
+  ['Start with 2.5mg. It lasts hours.', 'Start with 2.5mg. It lasts hours.'],
+  ['It has 20mg CBD per serving.', 'It has 20mg CBD per serving.'],
+  ['Start with 2.5mg to 10mg of THC.', 'Start with 2.5-5mg of THC.'],
+  ['Start with 10-20mg.', 'Start with 5mg.'],
+  ['Start low at 10mg THC.', 'Start low at 5mg THC.'],
+  ['Take two 5mg gummies.', 'Take two 5mg gummies (10mg in all, more than the 5mg Sage suggests at once).'],
+  ['Take 2 5mg gummies and wait.', 'Take 2 5mg gummies (10mg in all, more than the 5mg Sage suggests at once) and wait.'],
+  ['The tin has two 5mg gummies.', 'The tin has two 5mg gummies.'],
+  ['Start with 10 milligrams and wait.', 'Start with 5 milligrams and wait.'],
+  ['Start with 10 mg. Wait two hours.', 'Start with 5mg. Wait two hours.'],
+  ['This strain cures anxiety. Enjoy.', "Sage can't say whether cannabis treats any medical condition. Enjoy."],
+  ['Ask Dr. Lee if it cures insomnia. Then relax.', "Sage can't say whether cannabis treats any medical condition. Then relax."],
+  ["It's clinically proven with no side effects.", "It's reported with side effects that vary by person."]
+];
+
+EXAMPLES.forEach(([input, expected]) => {
+  test(`new user: "${input}"`, () => {
+    assert.equal(forNew(input).text, expected);
+  });
+});
+
+test('product strengths over the ceiling add the ceiling under the answer', () => {
+  const text = 'Each gummy has 10mg THC.';
+  const result = applyCompliancePolicy({ sections: { answer: text }, answerText: text }, { experienceLevel: 'new' });
+  assert.equal(result.sections.answer, text);
+  assert.ok(result.disclaimers.some(line => line.startsWith('Start with no more than 5mg THC')));
+  assert.deepEqual(result.report.findings.map(f => f.action), ['noted']);
+});
+
+test('amounts under the ceiling pass without findings', () => {
+  assert.deepEqual(forNew('Start with 2.5mg and wait.').findings, []);
+});
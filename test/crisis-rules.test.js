@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CRISIS_RULES, classifyPrompt, buildSafetyAnswer } = require('../crisis-rules.js');
+
+// Every rule's own examples: prompts it must and must not catch
+CRISIS_RULES.forEach((rule) => {
+  ['hit', 'miss'].forEach((expected) => {
+    (rule.examples?.[expected] || []).forEach((prompt) => {
+      test(`${rule.id} ${expected}s "${prompt}"`, () => {
+        const categories = (classifyPrompt(prompt)?.hits || []).map(hit => hit.category);
+        assert.equal(categories.includes(rule.id) ? 'hit' : 'miss', expected);
+      });
+    });
+  });
+});
+
+test('ordinary shopping questions get no safety screen', () => {
+  [
+    'Is 25% THCa too high for a beginner?',
+    'I had too much coffee, need something calm',
+    "anything for my kid's birthday party tonight? adults only",
+    "What strain for a stroke victim's caregiver",
+    "I'm 20 years into smoking",
+    'my 20 year old dog has anxiety'
+  ].forEach(prompt => assert.equal(classifyPrompt(prompt), null, prompt));
+});
+
+test('the minimum age comes from the context', () => {
+  assert.equal(classifyPrompt("I'm 19", { minimumAge: 18 }), null);
+  assert.equal(classifyPrompt("I'm 19", { minimumAge: 21 }).category, 'minor');
+});
+
+test('the most severe hit wins and the answer lists no products', () => {
+  const result = classifyPrompt("I'm pregnant and I think I'm having a heart attack");
+  assert.equal(result.category, 'severe-symptoms');
+  assert.deepEqual(result.hits.map(h => h.category), ['severe-symptoms', 'pregnancy']);
+  assert.deepEqual(buildSafetyAnswer(result).productIds, []);
+});
+
+test('a child or pet eating cannabis is an emergency', () => {
+  const result = classifyPrompt('my kid ate my edibles');
+  assert.equal(result.severity, 'emergency');
+  assert.ok(buildSafetyAnswer(result).sections.coreTopic.bullets.some(line => line.startsWith('Poison Control')));
+});
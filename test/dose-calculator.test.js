@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateDose, targetDoseMg, formatWait } = require('../dose-calculator.js');
+
+const gummy = (mgPerServing, name = 'Sleepy Gummies') => ({ name, productType: 'edible', details: { mgPerServing }, onset: { min: 30, max: 120 } });
+
+test('a new user starts with half of a 5mg gummy and waits three hours', () => {
+  const dose = calculateDose(gummy(5), { experienceLevel: 'new' });
+  assert.equal(dose.portion.text, 'half a gummy');
+  assert.equal(dose.doseMg, 2.5);
+  assert.equal(dose.waitMinutes, 180);
+  assert.equal(dose.summary, 'Start with half a gummy (2.5mg THC), then wait at least 3 hours before taking more.');
+});
+
+test('portions round down and the compliance ceiling wins', () => {
+  assert.equal(targetDoseMg('experienced', 'high'), 15);
+  assert.equal(targetDoseMg('experienced', 'high', 5), 5);
+  const dose = calculateDose(gummy(10), { experienceLevel: 'experienced', tolerance: 'high', maxMg: 5 });
+  assert.equal(dose.doseMg, 5);
+});
+
+test('products too strong to split small enough are flagged, not suggested', () => {
+  const dose = calculateDose(gummy(50, 'Sleep Capsules'), { experienceLevel: 'new' });
+  assert.equal(dose.tooStrong, true);
+  assert.match(dose.summary, /^Too strong to start with/);
+});
+
+test('tinctures are dosed in 0.25ml steps', () => {
+  const dose = calculateDose({ name: 'Calm Drops', productType: 'tincture', details: { mgPerMl: 10 } }, { experienceLevel: 'casual' });
+  assert.equal(dose.portion.text, '0.5ml');
+  assert.equal(dose.doseMg, 5);
+  const assumed = calculateDose({ productType: 'tincture', details: { mgPerServing: 10 } }, { experienceLevel: 'casual' });
+  assert.deepEqual(assumed.notes, ['Assumes one serving is a 1ml dropper; check the label.']);
+});
+
+test('inhaled products and missing mg data get no dose', () => {
+  assert.equal(calculateDose({ productType: 'flower', thcaPercent: 20 }), null);
+  assert.equal(calculateDose({ productType: 'edible', details: {} }), null);
+});
+
+test('waits read in minutes, then hours', () => {
+  assert.equal(formatWait(60), '60 minutes');
+  assert.equal(formatWait(120), '2 hours');
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readEffects, strainLeanOf, normalizeEffects, opposingEffects, effectLabel } = require('../effects-taxonomy.js');
+const { SageAPI } = require('../api.js');
+
+// [question, desired in order, avoided]
+const READINGS = [
+  ['something to help me sleep', ['sleep', 'relaxed'], ['energetic', 'focus']],
+  ['energy but not jittery', ['energetic', 'focus'], ['sleep']],
+  ['help with focus, without getting sleepy', ['focus', 'energetic'], ['sleep']],
+  ['I get anxious at parties', ['calm', 'social', 'relaxed', 'uplifted'], []],
+  ['mellow and creative, no couch lock', ['calm', 'creative', 'relaxed', 'uplifted'], ['sleep']],
+  ['help me sleep but not groggy in the morning', ['sleep', 'relaxed'], ['energetic', 'focus']],
+  ['sleep, or maybe focus', ['sleep', 'relaxed'], ['energetic', 'focus']],
+  ["what's good to try today", [], []]
+];
+
+READINGS.forEach(([text, desired, avoid]) => {
+  test(`reads "${text}"`, () => {
+    const got = readEffects(text);
+    assert.deepEqual(got.desired, desired);
+    assert.deepEqual([...got.avoid].sort(), [...avoid].sort());
+  });
+});
+
+test('strain lean goes by majority, then the first effect asked for', () => {
+  assert.equal(strainLeanOf(['sleep', 'relaxed']), 'indica');
+  assert.equal(strainLeanOf(['sleep', 'relaxed', 'energetic']), 'indica');
+  assert.equal(strainLeanOf(['focus', 'calm']), 'sativa');
+  assert.equal(strainLeanOf(['calm', 'focus']), 'indica');
+  assert.equal(strainLeanOf(['uplifted', 'social']), null);
+});
+
+test('synonyms normalize to one label', () => {
+  assert.deepEqual(normalizeEffects(['Relaxing', 'Mellow', 'Uplifting', 'relaxed']), ['Relaxed', 'Calm', 'Uplifted']);
+  assert.equal(effectLabel('sparkly'), 'Sparkly');
+  assert.deepEqual(opposingEffects(['sleep']), ['energetic', 'focus']);
+});
+
+test('a sleep question leans indica in the search spec', async () => {
+  const api = new SageAPI({ config: { get: () => null, hasOllamaConnection: () => false } });
+  const spec = await api.buildProductSearchSpec('help me sleep but not groggy in the morning', 'casual');
+  assert.equal(spec.strainPreference, 'indica');
+  assert.deepEqual(spec.desiredEffects, ['Sleep', 'Relaxed']);
+});
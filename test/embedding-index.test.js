@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EmbeddingIndex, cosineSimilarity, similarityScores, keywordScores } = require('../embedding-index.js');
+
+test('near-tied similarities keep near-tied relevance', () => {
+  const scores = similarityScores({ a: 0.61, b: 0.6, c: 0.2, d: 0.95 });
+  assert.ok(Math.abs(scores.a - scores.b) < 0.05);
+  assert.equal(scores.c, 0);
+  assert.equal(scores.d, 1);
+});
+
+test('cosine similarity', () => {
+  assert.equal(cosineSimilarity([1, 0], [1, 0]), 1);
+  assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+  assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+});
+
+test('keyword scores match effect words to product effects', () => {
+  const products = [
+    { id: 'calm', name: 'Evening Flower', effects: ['Relaxed'] },
+    { id: 'bright', name: 'Morning Flower', effects: ['Energetic'] }
+  ];
+  const { scores } = keywordScores('something to help me relax', products);
+  assert.ok(scores.calm > scores.bright);
+});
+
+test('only new or changed products are embedded again', async () => {
+  const embedded = [];
+  const embed = async (texts) => { embedded.push(...texts); return texts.map(t => [t.length, 1]); };
+  const store = new Map();
+  const storage = { getItem: k => store.get(k) ?? null, setItem: (k, v) => store.set(k, v) };
+  const products = [{ id: 'a', name: 'Alpha' }, { id: 'b', name: 'Beta' }];
+  await new EmbeddingIndex({ model: 'm', embed, storage }).build(products);
+  embedded.length = 0;
+  await new EmbeddingIndex({ model: 'm', embed, storage }).build([products[0], { id: 'b', name: 'Beta Kush' }]);
+  assert.equal(embedded.length, 1);
+  assert.match(embedded[0], /Beta Kush/);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEventDetails, planEvent } = require('../event-planner.js');
+
+// [question, fields its parse must have]
+const PARSES = [
+  ['4 day bachelorette party - what should we get?', { people: 4, days: 4, sessionsPerDay: 2 }],
+  ['camping trip with 5 friends this weekend', { people: 6, days: 2 }],
+  ['birthday party for 10 people, half of us are new', { people: 10, days: 1, mix: { new: 5 } }],
+  ['me and three friends, a cabin for the week, 2 of us are beginners', { people: 4, days: 7, mix: { new: 2 } }],
+  ['game night, group of 8, everyone is experienced', { people: 8, mix: { experienced: 8 } }],
+  ['something for sleep', { people: 1, days: 1, sessionsPerDay: 1 }]
+];
+
+PARSES.forEach(([text, expected]) => {
+  test(`parses "${text}"`, () => {
+    const got = parseEventDetails(text);
+    Object.entries(expected).forEach(([field, value]) => {
+      if (field === 'mix') Object.entries(value).forEach(([level, count]) => assert.equal(got.mix[level], count, `mix.${level}`));
+      else assert.equal(got[field], value, field);
+    });
+  });
+});
+
+test('packages are trimmed to the purchase limit, lowest-ranked first', () => {
+  const flower = (id, weight) => ({ id, name: `Flower ${id}`, productType: 'flower', details: { weight }, priceAmount: 30, currency: 'USD' });
+  const details = parseEventDetails('camping trip with 5 friends this weekend, everyone is experienced');
+  const plan = planEvent(details, [flower('a', '3.5g'), flower('b', '3.5g')], { purchaseLimits: { flowerGrams: 7 }, limitsName: 'Test' });
+  const grams = plan.items.reduce((sum, item) => sum + item.packages * item.perPackage.amount, 0);
+  assert.ok(grams <= 7);
+  assert.ok(plan.notes.some(note => note.includes("Test's purchase limit of 7g of flower")));
+  assert.ok(plan.items[0].packages >= (plan.items[1]?.packages ?? 0));
+});
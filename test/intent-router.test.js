@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyIntent, sanitizeIntent } = require('../intent-router.js');
+
+// Expected routes
+const ROUTES = {
+  education: ["What's the difference between indica and sativa?", 'what are terpenes', 'how does cbd work', 'is THCa legal in texas'],
+  'product-search': ['something for sleep under $40', 'gummies for anxiety', "what's the best strain for focus", 'help me relax after work'],
+  dosing: ['How much should I take?', 'how long do edibles take to kick in', 'is 10mg too much for a first time'],
+  'event-planning': ['4 day bachelorette party - what should we get?', 'camping trip with 5 friends', 'wedding weekend, a few of us have never tried it'],
+  'off-topic': ['write me a poem about cats', "what's the weather tomorrow", 'who won the game last night']
+};
+
+Object.entries(ROUTES).forEach(([intent, prompts]) => {
+  prompts.forEach((prompt) => {
+    test(`"${prompt}" is ${intent}`, () => {
+      assert.equal(classifyIntent(prompt).intent, intent);
+    });
+  });
+});
+
+test('education skips products unless the question names one or asks which', () => {
+  assert.equal(classifyIntent('what are terpenes').needsProducts, false);
+  assert.equal(classifyIntent("What's the difference between indica and sativa?").needsProducts, false);
+  const mixed = classifyIntent('how do terpenes work and which flower has the most myrcene?');
+  assert.equal(mixed.intent, 'education');
+  assert.equal(mixed.needsProducts, true);
+  assert.equal(sanitizeIntent({ intent: 'education', confidence: 0.9 }, 'which gummies use myrcene?').needsProducts, true);
+});
+
+test('off-topic never searches products', () => {
+  assert.equal(classifyIntent('write me a poem about cats').needsProducts, false);
+  assert.equal(sanitizeIntent({ intent: 'off-topic', confidence: 2 }, 'which car should I buy').needsProducts, false);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { SageAPI } = require('../api.js');
+const { validateInventory } = require('../inventory-schema.js');
+
+const inventory = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../inventory/apotheca-thca.json'), 'utf8'));
+
+function apiWith(records, { strict = false } = {}) {
+  const settings = { INVENTORY_STRICT: strict, DISPENSARY_SOURCE: 'test', EMBEDDING_MODEL: '', INTENT_MODEL_ENABLED: false };
+  const config = { get: key => settings[key] ?? null, hasOllamaConnection: () => false };
+  const adapter = { fetch: async () => records, normalize: raw => raw };
+  return new SageAPI({ config, inventoryAdapters: { get: id => (id === 'test' ? adapter : null) } });
+}
+
+test('the shipped inventory is valid', () => {
+  assert.equal(validateInventory(inventory).valid, true);
+});
+
+test('strict mode with every record invalid recommends nothing, not mock products', async () => {
+  const invalid = [{ name: 'Hemp Flower A', thcaPercent: 'lots' }, { name: 'Hemp Flower B', thcaPercent: 250 }];
+  assert.ok((await apiWith(invalid).getProductRecommendations('something relaxing', 'casual')).length > 0);
+  assert.deepEqual(await apiWith(invalid, { strict: true }).getProductRecommendations('something relaxing', 'casual'), []);
+});
+
+test('an empty inventory recommends nothing', async () => {
+  assert.deepEqual(await apiWith([]).getProductRecommendations('something relaxing', 'casual'), []);
+});
+
+test('records without a rating stay unrated', () => {
+  const [unrated, rated] = apiWith([]).normalizeInventory([{ name: 'Hemp Flower' }, { name: 'Hemp Flower 2', rating: 4.2 }], null);
+  assert.equal(unrated.rating, null);
+  assert.equal(rated.rating, 4.2);
+});
+
+test('CBD comes from the record, never a compliance note', () => {
+  const [unlisted, listed] = apiWith([]).normalizeInventory([{ name: 'Hemp Flower' }, { name: 'Hemp Flower 2', cbdPercent: 0.8 }], null);
+  assert.equal(unlisted.cbd, null);
+  assert.equal(listed.cbd, '0.8%');
+});
+
+test('a crisis prompt returns no products without asking the model', async () => {
+  const api = apiWith(inventory);
+  let specBuilt = false;
+  api.buildProductSearchSpec = async () => { specBuilt = true; return null; };
+  assert.deepEqual(await api.getProductRecommendations('I took too many pills', 'casual'), []);
+  assert.equal(specBuilt, false);
+});
+
+test('an unsure intent asks the model once with a short timeout, then keeps the heuristic', async () => {
+  const settings = { INTENT_MODEL_ENABLED: true };
+  const api = new SageAPI({ config: { get: key => settings[key] ?? null, hasOllamaConnection: () => true } });
+  const calls = [];
+  api.callOllama = async (prompt, model, options) => { calls.push(options); throw new Error('Ollama request timed out'); };
+  const intent = await api.classifyIntent('what dose for my group');
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].timeouts.length, 1);
+  assert.equal(intent.source, 'heuristic');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadJurisdictionProfile, legalRules, checkProduct, hempOriginOf, mergeProfiles, DEFAULT_JURISDICTION } = require('../jurisdiction-rules.js');
+const { SageAPI } = require('../api.js');
+
+const root = path.resolve(__dirname, '..');
+const loadJson = async url => JSON.parse(fs.readFileSync(path.resolve(root, url), 'utf8'));
+const inventory = JSON.parse(fs.readFileSync(path.join(root, 'inventory/apotheca-thca.json'), 'utf8'));
+
+async function apiFor(id) {
+  const api = new SageAPI({ config: { get: () => null, hasOllamaConnection: () => false } });
+  api.jurisdictionProfile = await loadJurisdictionProfile(id, { loadJson });
+  return api;
+}
+
+const delta9Gummies = {
+  id: 'd9-gummies',
+  name: 'Dispensary Delta-9 THC Gummies',
+  productType: 'edible',
+  mgPerServing: 10,
+  servingsPerPackage: 10,
+  price: '$20.00'
+};
+
+test('hemp origin comes from the record, not generated text', () => {
+  assert.equal(hempOriginOf({ name: 'Apotheca THCa Hemp Flower' }), true);
+  assert.equal(hempOriginOf({ name: 'Delta-9 Gummies', description: 'Farm Bill compliant' }), true);
+  assert.equal(hempOriginOf({ name: 'Hemp Gummies', hempDerived: false }), false);
+  assert.equal(hempOriginOf(delta9Gummies), null);
+});
+
+test('us-federal blocks a record that never says it is hemp', async () => {
+  const api = await apiFor('us-federal');
+  const [product] = api.normalizeInventory([delta9Gummies], null, { keepBlocked: true });
+  assert.deepEqual(checkProduct(product, legalRules(api.jurisdictionProfile)), ['not marked hemp-derived']);
+  assert.deepEqual(api.normalizeInventory([delta9Gummies], null), []);
+});
+
+test('a tested Δ9 within the limit counts as hemp', () => {
+  const rules = legalRules(DEFAULT_JURISDICTION);
+  assert.deepEqual(checkProduct({ productType: 'flower', hempDerived: null, delta9Percent: 0.2 }, rules), []);
+  assert.match(checkProduct({ productType: 'flower', hempDerived: true, delta9Percent: 0.5 }, rules)[0], /Δ9 0.5% above 0.3%/);
+});
+
+test('the shipped inventory passes the apotheca profile', async () => {
+  const api = await apiFor('apotheca');
+  assert.equal(api.normalizeInventory(inventory, null).length, inventory.length);
+});
+
+test('a state profile can lift the federal hemp-only rule but not loosen caps', async () => {
+  const ca = await loadJurisdictionProfile('us-ca', { loadJson });
+  assert.equal(ca.hempDerivedOnly, false);
+  assert.equal(ca.minimumAge, 21);
+
+  const store = mergeProfiles(ca, { id: 'store', maxMgPerServing: 20, allowedProductTypes: ['flower', 'edible'] });
+  assert.equal(store.maxMgPerServing, 10);
+  assert.deepEqual(store.allowedProductTypes, ['flower', 'edible']);
+  assert.equal(store.hempDerivedOnly, false);
+});
+
+test('product copy follows the profile instead of hard-coded Farm Bill text', async () => {
+  const federal = (await apiFor('us-federal')).normalizeInventory([{ name: 'Hemp Flower' }], null)[0];
+  assert.match(federal.whyThisWorks, /^Hemp-derived, Farm Bill–compliant THCa flower/);
+  assert.equal(federal.description, 'Hemp-derived, Farm Bill–compliant THCa flower');
+
+  const ca = (await apiFor('us-ca')).normalizeInventory([delta9Gummies], null)[0];
+  assert.ok(ca, 'licensed CA store keeps a non-hemp edible');
+  assert.doesNotMatch(`${ca.whyThisWorks} ${ca.description}`, /Farm Bill|Hemp/);
+});
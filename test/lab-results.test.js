@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLabResults, validateLabResults, labEffects, labSummary } = require('../lab-results.js');
+
+const NOW = new Date('2026-06-01T00:00:00Z');
+const COA = {
+  lab: 'SC Labs',
+  coaUrl: 'https://example.com/coa.pdf',
+  testDate: '2026-03-14',
+  cannabinoids: { thca: 24.6, 'Delta 9 THC': 0.21, cbg: '1.1%', cbn: 'ND' },
+  terpenes: { 'β-Myrcene': 0.82, 'α-Pinene': 0.1, 'beta-pinene': 0.12, limonene: '<LOQ' }
+};
+
+test('a COA parses to named compounds, strongest first', () => {
+  const lab = parseLabResults(COA, { now: NOW });
+  assert.deepEqual(lab.terpenes.map(t => `${t.label} ${t.percent}`), ['Myrcene 0.82', 'Pinene 0.22']);
+  assert.equal(lab.cannabinoids.find(c => c.id === 'cbn').percent, 0);
+  assert.equal(lab.totalThcPercent, 21.78);
+  assert.equal(lab.totalThcSource, 'computed');
+  assert.equal(lab.stale, false);
+});
+
+test('terpenes and minor cannabinoids point at effects', () => {
+  const effects = labEffects(parseLabResults(COA, { now: NOW }));
+  const sleep = effects.find(e => e.effect === 'Sleep');
+  assert.deepEqual(sleep.sources, ['Myrcene 0.82%']);
+  assert.ok(effects.some(e => e.effect === 'Focus' && e.sources.includes('CBG 1.1%')));
+});
+
+test('a COA over a year old is stale', () => {
+  assert.equal(parseLabResults({ ...COA, testDate: '2025-01-01' }, { now: NOW }).stale, true);
+});
+
+test('validation reports mg/g entered as percent and a mismatched total', () => {
+  const problems = validateLabResults({ ...COA, terpenes: { myrcene: 16.4 }, totalThcPercent: 30 }, { now: NOW });
+  assert.deepEqual(problems.map(p => p.field), ['terpenes.myrcene', 'totalThcPercent']);
+  assert.deepEqual(validateLabResults(COA, { now: NOW }), []);
+});
+
+test('the prompt summary names the top terpenes, minor cannabinoids and the source', () => {
+  assert.equal(labSummary(parseLabResults(COA, { now: NOW })),
+    'terpenes: Myrcene 0.82%, Pinene 0.22%; CBG 1.1%; total THC 21.78% (SC Labs, 2026-03-14)');
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ProductMatcher, RELAXATION_ORDER } = require('../matching-engine.js');
+
+const product = (id, fields = {}) => ({
+  id,
+  name: `Hemp Flower ${id}`,
+  productType: 'flower',
+  strain: 'Hybrid',
+  thcaPercent: 20,
+  priceAmount: 30,
+  price: '$30.00',
+  currency: 'USD',
+  effects: ['Relaxed'],
+  availability: 'In Stock',
+  hempDerived: true,
+  ...fields
+});
+
+const ids = ranked => ranked.map(p => p.id);
+const matcher = new ProductMatcher();
+
+test('the default THCa range scores but does not filter', () => {
+  const products = [product('mild', { thcaPercent: 12 }), product('mid', { thcaPercent: 22 })];
+  const range = { min: 18, max: 28 };
+  assert.deepEqual(ids(matcher.rank(products, { targetTHCaPercent: range, provenance: { targetTHCaPercent: 'default' } })), ['mid', 'mild']);
+  assert.deepEqual(ids(matcher.rank(products, { targetTHCaPercent: range, provenance: { targetTHCaPercent: 'heuristic' } })), ['mid']);
+});
+
+test('filters relax least important first', () => {
+  assert.deepEqual(RELAXATION_ORDER, ['thcaRange', 'budget', 'productType', 'avoidEffects']);
+  const spec = {
+    targetTHCaPercent: { min: 25, max: 30 },
+    maxPrice: { amount: 20, currency: 'USD' },
+    productTypes: ['edible'],
+    avoid: ['Sleepy']
+  };
+  const potencyOnly = product('potency-only', { productType: 'edible', thcaPercent: 10, priceAmount: 15 });
+  const overBudget = product('over-budget', { productType: 'edible', thcaPercent: 28, priceAmount: 50 });
+  assert.deepEqual(ids(matcher.rank([potencyOnly, overBudget], spec)), ['potency-only']);
+
+  const flower = product('flower', { thcaPercent: 10, priceAmount: 15 });
+  const sleepy = product('sleepy', { productType: 'edible', thcaPercent: 10, priceAmount: 50, effects: ['Sleepy'] });
+  const ranked = matcher.rank([flower, sleepy], spec);
+  assert.deepEqual(ids(ranked), ['flower']);
+  assert.deepEqual(ranked[0].match.relaxed.sort(), ['productType', 'thcaRange']);
+});
+
+test('stock, legal and interaction filters are never relaxed', () => {
+  const soldOut = product('sold-out', { availability: 'Out of Stock' });
+  const vape = product('vape', { productType: 'vape' });
+  const strong = product('strong', { thcaPercent: 30 });
+  const spec = {
+    legal: { allowedProductTypes: ['flower'], hempDerivedOnly: false },
+    interactions: { classes: ['sedatives'], excludeProductTypes: [], maxThcaPercent: 20 }
+  };
+  assert.deepEqual(matcher.rank([soldOut, vape, strong], spec), []);
+});
+
+test('diversify trades score for a different strain or form', () => {
+  const ranked = matcher.rank([
+    product('a', { effects: ['Relaxed', 'Calm'] }),
+    product('b', { effects: ['Relaxed', 'Calm'] }),
+    product('c', { strain: 'Sativa', productType: 'edible', name: 'Citrus Gummies', effects: ['Relaxed', 'Calm'] })
+  ], { desiredEffects: ['Relaxed', 'Calm'] });
+  const picked = matcher.diversify(ranked, { count: 2 });
+  assert.deepEqual(ids(picked), ['a', 'c']);
+  assert.match(picked[1].match.whyDifferent, /Sativa instead of Hybrid/);
+});
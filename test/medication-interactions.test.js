@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const kb = require('../interactions/medication-interactions.json');
+const { validateKnowledgeBase, matchMedication, checkMedications, applyInteractionsToSpec, checkProductInteractions } = require('../medication-interactions.js');
+const { ProductMatcher } = require('../matching-engine.js');
+
+const flower = (id, thcaPercent) => ({ id, name: `Flower ${id}`, productType: 'flower', thcaPercent, effects: ['Relaxed'] });
+const baseSpec = { desiredEffects: ['Relaxed'], productTypes: [], targetTHCaPercent: { min: 18, max: 28 }, avoid: [] };
+
+test('the knowledge base is valid', () => {
+  assert.deepEqual(validateKnowledgeBase(kb), []);
+});
+
+// Each class lists entries it must and must not match
+kb.classes.forEach((cls) => {
+  ['match', 'miss'].forEach((expected) => {
+    (cls.examples?.[expected] || []).forEach((entry) => {
+      test(`${cls.id} examples: "${entry}" is a ${expected}`, () => {
+        assert.equal(matchMedication(entry, kb).some(c => c.id === cls.id), expected === 'match');
+      });
+    });
+  });
+});
+
+test('class names work as well as drug names', () => {
+  assert.deepEqual(checkMedications('I take blood thinners and sleeping pills', kb).classes.sort(), ['blood-thinners', 'sedatives']);
+});
+
+test('xanax and oxycodone cap THCa at 20%', () => {
+  const result = checkMedications('xanax, oxycodone', kb);
+  assert.deepEqual(result.classes.sort(), ['opioids', 'sedatives']);
+  assert.equal(result.tighten.maxThcaPercent, 20);
+});
+
+test('products over the THCa cap are excluded even when the range relaxes', () => {
+  const spec = applyInteractionsToSpec(baseSpec, checkMedications('xanax, oxycodone', kb));
+  const ranked = new ProductMatcher().rank([flower('a', 30), flower('b', 32)], spec);
+  assert.deepEqual(ranked, []);
+
+  const mixed = new ProductMatcher().rank([flower('a', 30), flower('b', 32), flower('c', 12)], spec);
+  assert.deepEqual(mixed.map(p => p.id), ['c']);
+});
+
+test('checkProductInteractions reports the THCa and per-serving caps', () => {
+  const rules = { classes: ['sedatives'], maxThcaPercent: 20, maxMgPerServing: 2.5, excludeProductTypes: ['concentrate'] };
+  assert.match(checkProductInteractions(flower('a', 30), rules)[0], /THCa 30% above 20%/);
+  assert.deepEqual(checkProductInteractions(flower('b', 19), rules), []);
+  const gummy = { productType: 'edible', details: { mgPerServing: 5 } };
+  assert.match(checkProductInteractions(gummy, rules)[0], /5mg per serving above 2.5mg/);
+  assert.match(checkProductInteractions({ productType: 'concentrate' }, rules)[0], /concentrate not suggested/);
+});
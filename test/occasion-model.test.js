@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOccasion, timingFit } = require('../occasion-model.js');
+
+// Clock fixed at 2pm for questions that don't say when
+const NOW = new Date(2026, 0, 15, 14, 0, 0);
+
+// [question, fields its parse must have]
+const PARSES = [
+  ['Going to the movies tonight', { activity: 'movies', timeOfDay: 'evening', timeSource: 'query', setting: 'public' }],
+  ['Need energy but not jittery', { gentle: true, timeSource: 'clock', timeOfDay: 'afternoon' }],
+  ['help me relax after work', { activity: 'unwind', timeOfDay: 'evening' }],
+  ['something to help me sleep', { activity: 'sleep', timeOfDay: 'night', strainLean: 'indica' }],
+  ["what's good to try today", { activity: null, timeSource: 'clock' }],
+  ['hiking this morning, need it to kick in right away', { activity: 'exercise', timeOfDay: 'morning', maxOnsetMinutes: 15 }],
+  ['working on a deadline, need to stay awake', { activity: 'work', avoid: ['Sleep'] }],
+  ['painting at 8pm with friends', { activity: 'social', timeOfDay: 'evening', setting: 'social' }],
+  ['the show starts in 30 minutes', { maxOnsetMinutes: 30 }],
+  ['daytime gummies', { timeOfDay: 'afternoon', timeSource: 'query', strainLean: 'sativa' }]
+];
+
+PARSES.forEach(([text, expected]) => {
+  test(`parses "${text}"`, () => {
+    const got = parseOccasion(text, { now: NOW });
+    Object.entries(expected).forEach(([field, value]) => assert.deepEqual(got[field], value, field));
+  });
+});
+
+test('an edible is too slow for a show that starts in 30 minutes', () => {
+  const occasion = parseOccasion('the show starts in 30 minutes', { now: NOW });
+  assert.equal(timingFit({ onset: { min: 30, max: 120 } }, occasion).onsetOk, false);
+  assert.equal(timingFit({ onset: { min: 5, max: 15 } }, occasion).onsetOk, true);
+});
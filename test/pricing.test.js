@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrice, parseBudget, parseWeightGrams, buildPriceModel } = require('../pricing.js');
+
+test('prices read thousands separators and decimal commas', () => {
+  assert.deepEqual(parsePrice('$1,299.99'), { amount: 1299.99, currency: 'USD' });
+  assert.deepEqual(parsePrice('$12,000'), { amount: 12000, currency: 'USD' });
+  assert.deepEqual(parsePrice('€12,50'), { amount: 12.5, currency: 'EUR' });
+  assert.deepEqual(parsePrice('USD 29.99'), { amount: 29.99, currency: 'USD' });
+  assert.deepEqual(parsePrice('$25 - $40'), { amount: 25, currency: 'USD' });
+});
+
+// [question, budget amount or null]
+const BUDGETS = [
+  ['something relaxing under $40', 40],
+  ['less than 40 dollars', 40],
+  ['$35 or less please', 35],
+  ['budget of 50', 50],
+  ['looking to spend $60 on a gift', 60],
+  ['spending about 25 bucks', 25],
+  ['nothing over... well, under $1,200, for the whole party', 1200],
+  ['we will spend 3 days camping', null],
+  ['spending 2 nights at a cabin', null],
+  ['under 20% THCa', null],
+  ['kicks in within 30 minutes', null]
+];
+
+BUDGETS.forEach(([text, amount]) => {
+  test(`budget in "${text}"`, () => {
+    assert.equal(parseBudget(text)?.amount ?? null, amount);
+  });
+});
+
+test('weights and price per gram', () => {
+  assert.equal(parseWeightGrams('1/8 oz'), 3.5);
+  assert.equal(parseWeightGrams('eighth'), 3.5);
+  const model = buildPriceModel({ price: '$35', weight: '3.5g' });
+  assert.equal(model.price.amount, 35);
+  assert.equal(model.pricePerGram, 10);
+});
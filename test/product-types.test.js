@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { productTypesInText, detectProductType } = require('../product-types.js');
+
+// [question, product types it asks for]
+const MENTIONS = [
+  ['gummies for sleep', ['edible']],
+  ['a THC drink for the party', ['edible']],
+  ['pack of pre-rolls and some flower', ['pre-roll', 'flower']],
+  ['roll a joint or get a 510 cart', ['pre-roll', 'vape']],
+  ['hemp oil drops under the tongue', ['tincture']],
+  ['live resin or THCa diamonds', ['concentrate']],
+  ['something for joint pain', []],
+  ['I dont drink alcohol', []],
+  ['something mellow for watching cartoons', []],
+  ['wax on wax off', []],
+  ['listening to drops of rain', []],
+  ['relax after an oil change', []]
+];
+
+MENTIONS.forEach(([text, expected]) => {
+  test(`types named in "${text}"`, () => {
+    assert.deepEqual(productTypesInText(text), expected);
+  });
+});
+
+test('records are typed from productType, then type, then name', () => {
+  assert.equal(detectProductType({ productType: 'Edible', name: 'Blue Dream' }), 'edible');
+  assert.equal(detectProductType({ type: 'Vape Cartridge', name: 'Pineapple Express' }), 'vape');
+  assert.equal(detectProductType({ name: 'Sour Diesel Pre-Roll 5-pack' }), 'pre-roll');
+  assert.equal(detectProductType({ name: 'Cartoon Kush' }), 'flower');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeSearchSpec, mergeSearchSpec, heuristicProvenance, PRODUCT_SEARCH_SPEC_SCHEMA } = require('../search-spec.js');
+const { SageAPI } = require('../api.js');
+
+// A model that answers every prompt with the same spec
+function apiWithModel(reply) {
+  const config = { get: () => null, hasOllamaConnection: () => true };
+  const api = new SageAPI({ config });
+  api.callOllama = async () => JSON.stringify(reply);
+  return api;
+}
+
+const INVENTED = {
+  desiredEffects: ['Relaxed'],
+  productTypes: [],
+  strainPreference: 'indica',
+  targetTHCaPercent: { min: 25, max: 32 },
+  priceBand: 'premium',
+  maxPrice: null,
+  avoid: []
+};
+
+test('only the lists are required from the model', () => {
+  assert.deepEqual(PRODUCT_SEARCH_SPEC_SCHEMA.required, ['desiredEffects', 'productTypes', 'avoid']);
+});
+
+test('null optional fields are left unset, not reported', () => {
+  const { values, problems } = sanitizeSearchSpec({ desiredEffects: [], productTypes: [], avoid: [], strainPreference: null, targetTHCaPercent: null, priceBand: null });
+  assert.deepEqual(problems, []);
+  assert.equal('strainPreference' in values, false);
+  assert.equal('targetTHCaPercent' in values, false);
+  assert.equal('priceBand' in values, false);
+});
+
+test('model values are clamped and unknown fields dropped', () => {
+  const { values, problems } = sanitizeSearchSpec({ targetTHCaPercent: { min: 40, max: 120 }, legal: { hempDerivedOnly: false }, strainPreference: 'ruderalis' });
+  assert.deepEqual(values.targetTHCaPercent, { min: 40, max: 100 });
+  assert.equal('strainPreference' in values, false);
+  assert.ok(problems.some(p => p.startsWith('legal:')));
+});
+
+test('the model fills defaults but never replaces a stated value', () => {
+  const defaults = { strainPreference: 'hybrid', targetTHCaPercent: { min: 18, max: 28 }, priceBand: 'mid' };
+  const base = { ...defaults, targetTHCaPercent: { min: 22, max: 30 } };
+  base.provenance = heuristicProvenance(defaults, base, ['strainPreference']);
+  const merged = mergeSearchSpec(base, { strainPreference: 'indica', targetTHCaPercent: { min: 10, max: 15 }, priceBand: 'value' });
+  assert.equal(merged.strainPreference, 'hybrid');
+  assert.deepEqual(merged.targetTHCaPercent, { min: 22, max: 30 });
+  assert.equal(merged.priceBand, 'value');
+  assert.equal(merged.provenance.priceBand, 'model');
+});
+
+test('an occasion\'s gentler range and a stated budget survive the model', async () => {
+  const spec = await apiWithModel({ ...INVENTED, maxPrice: { amount: 200, currency: 'USD' } })
+    .buildProductSearchSpec('something for a focused workday, not jittery, under $40', 'casual');
+  assert.deepEqual(spec.targetTHCaPercent, { min: 15, max: 22 });
+  assert.equal(spec.maxPrice.amount, 40);
+  assert.equal(spec.provenance.maxPrice, 'heuristic');
+});
+
+test('"strong" keeps its range', async () => {
+  const spec = await apiWithModel(INVENTED).buildProductSearchSpec('something strong for the evening', 'experienced');
+  assert.deepEqual(spec.targetTHCaPercent, { min: 22, max: 30 });
+});
+
+test('a prompt that states nothing takes the model\'s reading', async () => {
+  const spec = await apiWithModel(INVENTED).buildProductSearchSpec('what do you recommend?', 'casual');
+  assert.equal(spec.priceBand, 'premium');
+  assert.equal(spec.provenance.priceBand, 'model');
+});